@@ -0,0 +1,224 @@
+/**
+ * achievements.js - Tracks achievements from game events
+ * This module defines the achievements, follows their progress through the
+ * event bus and publishes ACHIEVEMENT_UNLOCKED when one is earned. Progress
+ * and unlocks are persisted through SaveSystem.
+ */
+
+const Achievements = (function() {
+    // Achievement definitions
+    // Counters add up over all games; 'best' achievements keep the best single game
+    const ACHIEVEMENTS = [
+        { id: 'first_blood', icon: '🗡️', name: 'First Blood', description: 'Defeat your first enemy', target: 1, progressType: 'counter' },
+        { id: 'exterminator', icon: '💀', name: 'Exterminator', description: 'Defeat 500 enemies', target: 500, progressType: 'counter' },
+        { id: 'architect', icon: '🏗️', name: 'Architect', description: 'Build 100 towers', target: 100, progressType: 'counter' },
+        { id: 'unit_collector', icon: '🧩', name: 'Unit Collector', description: 'Complete 25 rows, columns or boxes', target: 25, progressType: 'counter' },
+        { id: 'quick_thinker', icon: '⚡', name: 'Quick Thinker', description: 'Complete a box before wave 2', target: 1, progressType: 'best' },
+        { id: 'specialist', icon: '🔮', name: 'Specialist', description: 'Win a wave defended only by special towers', target: 1, progressType: 'best' },
+        { id: 'perfectionist', icon: '✨', name: 'Perfectionist', description: 'Survive 5 waves without placing an incorrect tower', target: 5, progressType: 'best' },
+        { id: 'untouchable', icon: '🛡️', name: 'Untouchable', description: 'Survive 3 waves in a row without letting an enemy through', target: 3, progressType: 'best' },
+        { id: 'survivor', icon: '🏆', name: 'Survivor', description: 'Survive 10 waves in one game', target: 10, progressType: 'best' }
+    ];
+
+    // Unit types that are boxes: the grid boxes of every size, or jigsaw regions
+    const BOX_UNITS = ['grid', 'region'];
+
+    // Unit types counted by Unit Collector; diagonals and Killer cages aren't
+    const COLLECTED_UNITS = ['row', 'column', ...BOX_UNITS];
+
+    // Saved progress and unlock time by achievement ID
+    let progress = {};
+
+    // What has happened in the current game
+    let runState = createRunState(true);
+
+    /**
+     * Create the state tracked for one game
+     * @param {boolean} clean - Whether no incorrect tower has been placed yet
+     * @returns {Object} Run state
+     */
+    function createRunState(clean) {
+        return {
+            clean: clean,
+            leakedThisWave: false,
+            cleanWaveStreak: 0
+        };
+    }
+
+    /**
+     * Get an achievement definition
+     * @param {string} id - Achievement ID
+     * @returns {Object|undefined} Achievement definition
+     */
+    function getDefinition(id) {
+        return ACHIEVEMENTS.find(achievement => achievement.id === id);
+    }
+
+    /**
+     * Get the saved progress for an achievement
+     * @param {string} id - Achievement ID
+     * @returns {Object} Progress and unlock time
+     */
+    function getProgress(id) {
+        if (!progress[id]) {
+            progress[id] = { progress: 0, unlockedAt: null };
+        }
+        return progress[id];
+    }
+
+    /**
+     * Update an achievement's progress and unlock it when it reaches its target
+     * @param {string} id - Achievement ID
+     * @param {number} value - For counters the amount to add, otherwise the value reached
+     */
+    function recordProgress(id, value) {
+        const achievement = getDefinition(id);
+        const state = getProgress(id);
+        if (!achievement || state.unlockedAt) {
+            return;
+        }
+
+        if (achievement.progressType === 'counter') {
+            state.progress += value;
+        } else {
+            state.progress = Math.max(state.progress, value);
+        }
+        state.progress = Math.min(state.progress, achievement.target);
+
+        if (state.progress >= achievement.target) {
+            state.unlockedAt = Date.now();
+            save();
+
+            EventSystem.publish(GameEvents.ACHIEVEMENT_UNLOCKED, { ...achievement });
+        }
+    }
+
+    /**
+     * Get every achievement with its progress, for the gallery
+     * @returns {Object[]} Achievements with progress and unlockedAt
+     */
+    function getAll() {
+        return ACHIEVEMENTS.map(achievement => ({
+            ...achievement,
+            progress: getProgress(achievement.id).progress,
+            unlockedAt: getProgress(achievement.id).unlockedAt
+        }));
+    }
+
+    /**
+     * Check if an achievement is unlocked
+     * @param {string} id - Achievement ID
+     * @returns {boolean} Whether it is unlocked
+     */
+    function isUnlocked(id) {
+        return !!getProgress(id).unlockedAt;
+    }
+
+    /**
+     * Save progress through SaveSystem
+     */
+    function save() {
+        if (window.SaveSystem) {
+            SaveSystem.saveAchievements(progress);
+        }
+    }
+
+    /**
+     * Load progress through SaveSystem
+     */
+    function load() {
+        progress = window.SaveSystem ? SaveSystem.loadAchievements() : {};
+    }
+
+    /**
+     * Remove all progress and unlocks
+     */
+    function reset() {
+        progress = {};
+        save();
+    }
+
+    /**
+     * Initialize event listeners
+     */
+    function initEventListeners() {
+        EventSystem.subscribe(GameEvents.GAME_INIT, function() {
+            runState = createRunState(true);
+        });
+
+        // A restored game only counts as clean if its statistics say so
+        EventSystem.subscribe(GameEvents.GAME_RESTORED, function(snapshot) {
+            runState = createRunState(!!snapshot.stats && snapshot.stats.incorrectPlacements === 0);
+        });
+
+        EventSystem.subscribe(GameEvents.ENEMY_DEFEATED, function() {
+            recordProgress('first_blood', 1);
+            recordProgress('exterminator', 1);
+        });
+
+        EventSystem.subscribe(GameEvents.TOWER_PLACED, function(tower) {
+            recordProgress('architect', 1);
+            if (!tower.isCorrect) {
+                runState.clean = false;
+            }
+        });
+
+        EventSystem.subscribe(GameEvents.UNIT_COMPLETED, function(data) {
+            if (COLLECTED_UNITS.includes(data.unitType)) {
+                recordProgress('unit_collector', 1);
+            }
+
+            if (BOX_UNITS.includes(data.unitType) && window.EnemyWaves && EnemyWaves.getWaveNumber() === 1) {
+                recordProgress('quick_thinker', 1);
+            }
+        });
+
+        EventSystem.subscribe(GameEvents.ENEMY_REACHED_END, function() {
+            runState.leakedThisWave = true;
+        });
+
+        EventSystem.subscribe(GameEvents.WAVE_START, function() {
+            runState.leakedThisWave = false;
+        });
+
+        EventSystem.subscribe(GameEvents.WAVE_COMPLETE, function(data) {
+            const towers = window.TowerPlacement ? TowerPlacement.getTowers() : [];
+            if (towers.length > 0 && towers.every(tower => tower.type === 'special')) {
+                recordProgress('specialist', 1);
+            }
+
+            if (runState.clean) {
+                recordProgress('perfectionist', data.waveNumber);
+            }
+
+            runState.cleanWaveStreak = runState.leakedThisWave ? 0 : runState.cleanWaveStreak + 1;
+            recordProgress('untouchable', runState.cleanWaveStreak);
+
+            recordProgress('survivor', data.waveNumber);
+
+            save();
+        });
+
+        EventSystem.subscribe(GameEvents.GAME_OVER, save);
+
+        if (typeof window.addEventListener === 'function') {
+            window.addEventListener('beforeunload', save);
+        }
+    }
+
+    // Initialize once stored data has been read
+    if (window.GameStorage) {
+        GameStorage.whenReady(load);
+    }
+    initEventListeners();
+
+    // Public API
+    return {
+        getAll,
+        isUnlocked,
+        reset
+    };
+})();
+
+// Make module available globally
+window.Achievements = Achievements;
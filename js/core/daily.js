@@ -0,0 +1,304 @@
+/**
+ * daily.js - Daily challenge mode
+ * Every calendar date has its own seed, so everyone playing on that date
+ * gets the same board, path and wave sequence. The first game started from
+ * the daily challenge each day is the scored attempt: its result goes into a
+ * local history of daily results, which also gives the streak of days
+ * played. Later games from the same date are practice and aren't recorded.
+ */
+
+const DailyChallenge = (function() {
+    // Storage key and schema version of the history
+    const STORAGE_KEY = 'sudoku_td_daily_history';
+    const SCHEMA_VERSION = 1;
+
+    // Seeds of daily games are this prefix followed by the date
+    const SEED_PREFIX = 'DAILY-';
+
+    // Puzzle settings of every daily challenge, whatever the player's own settings
+    const PUZZLE_SETTINGS = { difficulty: 'medium', variant: 'classic', size: 9, pathShape: 'edge' };
+
+    // Leaderboard mode of scored attempts
+    const MODE = 'daily';
+
+    // Date of the scored attempt being played, null if the game isn't one
+    let activeDate = null;
+
+    /**
+     * Check if game storage can be used
+     * @returns {boolean} Whether GameStorage is loaded (it isn't in headless runs)
+     */
+    function hasStorage() {
+        return !!window.GameStorage;
+    }
+
+    /**
+     * Get the key of a calendar date in the player's time zone
+     * @param {Date} [date] - Date, today if omitted
+     * @returns {string} Date as YYYY-MM-DD
+     */
+    function getDateKey(date = new Date()) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Get the seed of a date's challenge
+     * @param {string} dateKey - Date as YYYY-MM-DD
+     * @returns {string} Seed
+     */
+    function getSeed(dateKey) {
+        return `${SEED_PREFIX}${dateKey}`;
+    }
+
+    /**
+     * Get the date a daily seed belongs to
+     * @param {string} seed - Game seed
+     * @returns {string|null} Date as YYYY-MM-DD, or null if it isn't a daily seed
+     */
+    function getDateOfSeed(seed) {
+        const match = /^DAILY-(\d{4}-\d{2}-\d{2})$/.exec(String(seed || ''));
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Read the history from storage
+     * @returns {Object} Results by date
+     */
+    function loadHistory() {
+        if (!hasStorage()) {
+            return {};
+        }
+
+        try {
+            const data = GameStorage.getItem(STORAGE_KEY);
+            if (!data) {
+                return {};
+            }
+
+            const stored = JSON.parse(data);
+            if (!stored || stored.schemaVersion !== SCHEMA_VERSION || typeof stored.results !== 'object') {
+                throw new Error("unknown format");
+            }
+
+            return stored.results;
+        } catch (error) {
+            console.warn(`Daily challenge history is corrupt and was reset: ${error.message}`);
+            GameStorage.removeItem(STORAGE_KEY);
+            return {};
+        }
+    }
+
+    /**
+     * Write the history to storage
+     * @param {Object} results - Results by date
+     */
+    function saveHistory(results) {
+        if (!hasStorage()) {
+            return;
+        }
+
+        try {
+            GameStorage.setItem(STORAGE_KEY, JSON.stringify({ schemaVersion: SCHEMA_VERSION, results: results }));
+        } catch (error) {
+            console.error(`Error saving daily challenge history: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get every recorded result
+     * @returns {Object} Results by date: score, wave, lives and status
+     *     ('playing' until the attempt is 'lost' or the puzzle 'completed')
+     */
+    function getHistory() {
+        return loadHistory();
+    }
+
+    /**
+     * Get the result of a date's scored attempt
+     * @param {string} [dateKey] - Date as YYYY-MM-DD, today if omitted
+     * @returns {Object|null} Result, or null if the challenge hasn't been played
+     */
+    function getResult(dateKey = getDateKey()) {
+        const result = loadHistory()[dateKey];
+        return result ? { ...result } : null;
+    }
+
+    /**
+     * Get the streak of consecutive days played. A streak is still alive if
+     * today's challenge hasn't been played yet but yesterday's was.
+     * @param {Date} [today] - Date to count back from, today if omitted
+     * @returns {Object} Current and longest streak as { current, longest }
+     */
+    function getStreak(today = new Date()) {
+        const results = loadHistory();
+        const day = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+
+        if (!results[getDateKey(day)]) {
+            day.setDate(day.getDate() - 1);
+        }
+
+        let current = 0;
+        while (results[getDateKey(day)]) {
+            current++;
+            day.setDate(day.getDate() - 1);
+        }
+
+        // Longest run of consecutive dates in the whole history
+        let longest = 0;
+        let run = 0;
+        let previous = null;
+        Object.keys(results).sort().forEach(dateKey => {
+            const [year, month, date] = dateKey.split('-').map(Number);
+            const time = new Date(year, month - 1, date);
+            const expected = previous ? new Date(previous.getFullYear(), previous.getMonth(), previous.getDate() + 1) : null;
+            run = expected && expected.getTime() === time.getTime() ? run + 1 : 1;
+            longest = Math.max(longest, run);
+            previous = time;
+        });
+
+        return { current, longest };
+    }
+
+    /**
+     * Update the result of the scored attempt being played, until it is finished
+     * @param {string} [status] - New status, kept if omitted
+     */
+    function recordProgress(status) {
+        if (!isScoredAttempt()) {
+            return;
+        }
+
+        const results = loadHistory();
+        if (!results[activeDate] || results[activeDate].status !== 'playing') {
+            return;
+        }
+
+        const playerState = PlayerModule.getState();
+        results[activeDate] = {
+            score: playerState.score,
+            wave: EnemyWaves.getWaveNumber(),
+            lives: Math.max(0, playerState.lives),
+            status: status || 'playing',
+            token: results[activeDate].token
+        };
+        saveHistory(results);
+    }
+
+    /**
+     * Check if the current game is a scored daily attempt
+     * @returns {boolean} Whether the game's result is being recorded
+     */
+    function isScoredAttempt() {
+        return activeDate !== null && !!window.GameRandom && GameRandom.getSeed() === getSeed(activeDate);
+    }
+
+    /**
+     * Get the scored attempt being played, to be kept with a saved game
+     * @returns {Object|null} Attempt as { date, token }, or null if the game isn't one
+     */
+    function getAttempt() {
+        if (!isScoredAttempt()) {
+            return null;
+        }
+        const result = getResult(activeDate);
+        return result ? { date: activeDate, token: result.token } : null;
+    }
+
+    /**
+     * Check if the current game is a daily challenge, scored or not
+     * @returns {boolean} Whether the game was started from a daily seed
+     */
+    function isDailyGame() {
+        return !!window.GameRandom && getDateOfSeed(GameRandom.getSeed()) !== null;
+    }
+
+    /**
+     * Start today's challenge. The puzzle is generated from the date seed
+     * with the daily settings, then the game is started from the same seed so
+     * the waves that follow are the same for everyone too.
+     * @returns {boolean} Whether this is the scored attempt (false for practice)
+     */
+    function start() {
+        const dateKey = getDateKey();
+        const seed = getSeed(dateKey);
+        const scored = !getResult(dateKey);
+
+        GameRandom.setSeed(seed);
+        const puzzle = SudokuGenerator.generatePuzzle(PUZZLE_SETTINGS.difficulty, PUZZLE_SETTINGS.variant,
+            PUZZLE_SETTINGS.size, { shape: PUZZLE_SETTINGS.pathShape });
+
+        // The attempt counts from the moment it starts, leaving it doesn't give another
+        if (scored) {
+            const results = loadHistory();
+            // The token tells the saves of this attempt apart from those of practice games
+            results[dateKey] = { score: 0, wave: 1, lives: 0, status: 'playing', token: GameRandom.generateSeed() };
+            saveHistory(results);
+        }
+
+        activeDate = null;
+        GameLoop.reset({ seed, puzzle });
+        activeDate = scored ? dateKey : null;
+
+        EventSystem.publish(GameEvents.STATUS_MESSAGE, scored ?
+            `Daily challenge for ${dateKey} started!` :
+            `Practicing the daily challenge for ${dateKey}, this game isn't scored`);
+
+        return scored;
+    }
+
+    /**
+     * Initialize event listeners
+     */
+    function initEventListeners() {
+        // Keep the result up to date, so it stands even if the attempt is left unfinished
+        EventSystem.subscribe(GameEvents.WAVE_COMPLETE, function() {
+            recordProgress();
+        });
+
+        EventSystem.subscribe(GameEvents.GAME_OVER, function() {
+            recordProgress('lost');
+        });
+
+        EventSystem.subscribe(GameEvents.SUDOKU_COMPLETE, function() {
+            recordProgress('completed');
+        });
+
+        // Any other game ends the attempt being played
+        EventSystem.subscribe(GameEvents.GAME_INIT, function() {
+            activeDate = null;
+        });
+
+        // A saved scored attempt that wasn't finished can be carried on, but
+        // only from a save of that attempt, not one of a practice game or share code
+        EventSystem.subscribe(GameEvents.GAME_RESTORED, function(snapshot) {
+            const dateKey = getDateOfSeed(GameRandom.getSeed());
+            const result = dateKey ? getResult(dateKey) : null;
+            const attempt = snapshot && snapshot.daily;
+            activeDate = result && result.status === 'playing' && attempt &&
+                attempt.date === dateKey && !!result.token && attempt.token === result.token ? dateKey : null;
+        });
+    }
+
+    initEventListeners();
+
+    // Public API
+    return {
+        getDateKey,
+        getSeed,
+        getDateOfSeed,
+        getHistory,
+        getResult,
+        getStreak,
+        isScoredAttempt,
+        getAttempt,
+        isDailyGame,
+        start,
+        PUZZLE_SETTINGS,
+        MODE
+    };
+})();
+
+// Make module available globally
+window.DailyChallenge = DailyChallenge;
@@ -87,10 +87,14 @@ const GameEvents = {
     GAME_RESUME: 'game:resume',
     GAME_OVER: 'game:over',
     GAME_WIN: 'game:win',
+    GAME_SPEED_CHANGE: 'game:speed:change',
+    GAME_RESTORED: 'game:restored',
     
     // Player events
     PLAYER_UPDATE: 'player:update',
     CURRENCY_CHANGE: 'player:currency:change',
+    CURRENCY_EARNED: 'player:currency:earned',
+    CURRENCY_SPENT: 'player:currency:spent',
     LIVES_CHANGE: 'player:lives:change',
     SCORE_CHANGE: 'player:score:change',
     
@@ -100,6 +104,11 @@ const GameEvents = {
     SUDOKU_CELL_VALID: 'sudoku:cell:valid',
     SUDOKU_CELL_INVALID: 'sudoku:cell:invalid',
     SUDOKU_COMPLETE: 'sudoku:complete',
+    UNIT_COMPLETED: 'sudoku:unit:completed',
+    HINT_SHOWN: 'sudoku:hint:shown',
+    HINT_CLEARED: 'sudoku:hint:cleared',
+    NOTES_CHANGED: 'sudoku:notes:changed',
+    NOTES_MODE_CHANGE: 'sudoku:notes:mode',
     
     // Tower events
     TOWER_SELECTED: 'tower:selected',
@@ -114,10 +123,23 @@ const GameEvents = {
     ENEMY_DAMAGE: 'enemy:damage',
     ENEMY_DEFEATED: 'enemy:defeated',
     ENEMY_REACHED_END: 'enemy:reached:end',
+    PATH_UPDATED: 'path:updated',
     
     // Wave events
     WAVE_START: 'wave:start',
     WAVE_COMPLETE: 'wave:complete',
+    WAVE_READY: 'wave:ready',
+    
+    // Bonus events
+    BONUS_CHOICE_REQUIRED: 'bonus:choice:required',
+    BONUS_APPLIED: 'bonus:applied',
+    BONUS_REMOVED: 'bonus:removed',
+    
+    // Achievement events
+    ACHIEVEMENT_UNLOCKED: 'achievement:unlocked',
+    
+    // Settings events
+    SETTINGS_CHANGED: 'settings:changed',
     
     // UI events
     UI_UPDATE: 'ui:update',
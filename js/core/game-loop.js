@@ -2,26 +2,40 @@ const GameLoop = (function() {
     let isInitialized = false;
     let isRunning = false;
     let isPaused = false;
+    let isHeadless = false;
     let lastUpdateTime = 0;
-    let boardElement = null;
     let cellSize = 0;
 
-    function init() {
+    // Cell size used when no board is measured (e.g. headless simulation)
+    const DEFAULT_CELL_SIZE = 55;
+
+    // Fixed-timestep simulation: the simulation always advances in SIMULATION_STEP
+    // increments, independent of the display frame rate
+    const SIMULATION_STEP = 1 / 60;
+    const MAX_FRAME_TIME = 0.25;
+    const MAX_STEPS_PER_FRAME = 240;
+    const GAME_SPEEDS = [1, 2, 4];
+    let accumulator = 0;
+    let gameSpeed = 1;
+    let stepMode = false;
+
+    function init(options = {}) {
         if (isInitialized) return;
 
         console.log("Game initialization started");
 
-        boardElement = document.getElementById('sudoku-board');
-        if (!boardElement) {
-            console.error("Board element not found");
-            return;
-        }
+        // Seed the shared random generator before anything is generated
+        const seed = window.GameRandom ? GameRandom.setSeed(options.seed) : null;
 
-        cellSize = Math.floor(boardElement.clientWidth / 9);
-        const gameSettings = { cellSize };
+        // Headless games are driven by advance() instead of animation frames.
+        // The cell size is measured by the renderer, keep the last one on reset.
+        isHeadless = !!options.headless;
+        cellSize = options.cellSize || cellSize || DEFAULT_CELL_SIZE;
+        // An imported puzzle is played instead of a generated one
+        const gameSettings = { cellSize, seed, puzzle: options.puzzle || null };
 
         EventSystem.publish(GameEvents.GAME_INIT, gameSettings);
-        updateUI();
+        EventSystem.publish(GameEvents.UI_UPDATE);
 
         isInitialized = true;
         start();
@@ -33,8 +47,14 @@ const GameLoop = (function() {
         if (isRunning) return;
         isRunning = true;
         isPaused = false;
-        lastUpdateTime = performance.now();
+        accumulator = 0;
         EventSystem.publish(GameEvents.GAME_START);
+        requestFrame();
+    }
+
+    function requestFrame() {
+        if (isHeadless) return;
+        lastUpdateTime = performance.now();
         requestAnimationFrame(gameLoop);
     }
 
@@ -47,9 +67,9 @@ const GameLoop = (function() {
     function resume() {
         if (!isRunning || !isPaused) return;
         isPaused = false;
-        lastUpdateTime = performance.now();
+        accumulator = 0;
         EventSystem.publish(GameEvents.GAME_RESUME);
-        requestAnimationFrame(gameLoop);
+        requestFrame();
     }
 
     function stop() {
@@ -57,19 +77,19 @@ const GameLoop = (function() {
         isPaused = false;
     }
 
-    function reset() {
+    function reset(options = {}) {
         console.log("Game reset started");
 
         stop();
 
+        if (window.GameScheduler) GameScheduler.clear();
         if (window.PlayerModule) PlayerModule.reset();
-        if (window.SudokuBoard) SudokuBoard.reset();
         if (window.EnemyWaves) EnemyWaves.init();
         if (window.TowerPlacement) TowerPlacement.init();
 
         isInitialized = false;
-        init();
-        updateUI();
+        init({ headless: isHeadless, ...options });
+        EventSystem.publish(GameEvents.UI_UPDATE);
 
         EventSystem.publish(GameEvents.STATUS_MESSAGE, "New game started!");
         console.log("Game reset completed");
@@ -78,16 +98,75 @@ const GameLoop = (function() {
     function gameLoop(timestamp) {
         if (!isRunning || isPaused) return;
 
-        const deltaTime = (timestamp - lastUpdateTime) / 1000;
+        // Clamp long frames (tab switches, hitches) so the simulation never spirals
+        const frameTime = Math.min((timestamp - lastUpdateTime) / 1000, MAX_FRAME_TIME);
         lastUpdateTime = timestamp;
 
-        update(deltaTime);
-        render();
+        // In step mode the simulation only advances through step()
+        if (!stepMode) {
+            accumulator += frameTime * gameSpeed;
+
+            let steps = 0;
+            while (accumulator >= SIMULATION_STEP && steps < MAX_STEPS_PER_FRAME) {
+                update(SIMULATION_STEP);
+                accumulator -= SIMULATION_STEP;
+                steps++;
+            }
+
+            // Drop any backlog we could not catch up on
+            if (steps >= MAX_STEPS_PER_FRAME) {
+                accumulator = 0;
+            }
+        }
+
+        // Render between the previous and current simulation states
+        render(stepMode ? 1 : accumulator / SIMULATION_STEP);
         requestAnimationFrame(gameLoop);
     }
 
+    function step(count = 1) {
+        if (!isRunning || isPaused) return;
+
+        setStepMode(true);
+        for (let i = 0; i < count; i++) {
+            update(SIMULATION_STEP);
+        }
+        render(1);
+    }
+
+    // Advance the simulation by a span of game time without rendering.
+    // Used by headless drivers, which have no animation frames.
+    function advance(seconds) {
+        const steps = Math.round(seconds / SIMULATION_STEP);
+        let stepsRun = 0;
+
+        while (stepsRun < steps && isRunning && !isPaused) {
+            update(SIMULATION_STEP);
+            stepsRun++;
+        }
+
+        return stepsRun;
+    }
+
+    function setStepMode(enabled) {
+        if (stepMode === enabled) return;
+        stepMode = enabled;
+        accumulator = 0;
+        if (!isHeadless) lastUpdateTime = performance.now();
+        EventSystem.publish(GameEvents.GAME_SPEED_CHANGE, { speed: gameSpeed, stepMode });
+    }
+
+    function setSpeed(speed) {
+        if (!GAME_SPEEDS.includes(speed)) return;
+        gameSpeed = speed;
+        stepMode = false;
+        accumulator = 0;
+        EventSystem.publish(GameEvents.GAME_SPEED_CHANGE, { speed: gameSpeed, stepMode });
+    }
+
     function update(deltaTime) {
         try {
+            if (window.GameScheduler) GameScheduler.update(deltaTime);
             if (window.EnemyWaves) EnemyWaves.update(deltaTime);
             if (window.TowerAttacks) TowerAttacks.update(deltaTime);
             if (window.SudokuCompletion) SudokuCompletion.checkCompletions();
@@ -97,53 +176,17 @@ const GameLoop = (function() {
         }
     }
 
-    function render() {
-        if (window.BoardRenderer) BoardRenderer.renderEnemies();
+    function render(alpha) {
+        if (window.BoardRenderer) BoardRenderer.renderEnemies(alpha);
     }
 
-    function updateUI() {
-        if (window.PlayerModule) {
-            const state = PlayerModule.getState();
-            const scoreEl = document.getElementById('score-value');
-            const livesEl = document.getElementById('lives-value');
-            const currencyEl = document.getElementById('currency-value');
-            if (scoreEl) scoreEl.textContent = state.score;
-            if (livesEl) livesEl.textContent = state.lives;
-            if (currencyEl) currencyEl.textContent = state.currency;
-        }
-
-        if (window.EnemyWaves) {
-            const waveEl = document.getElementById('wave-value');
-            if (waveEl) waveEl.textContent = EnemyWaves.getWaveNumber();
-        }
-
-        if (window.SaveSystem && typeof SaveSystem.getHighScore === 'function') {
-            const highScore = SaveSystem.getHighScore();
-            const hsEl = document.getElementById('high-score-value');
-            if (hsEl) hsEl.textContent = highScore;
-        }
-    }
-
-    function initEventListeners() {
-        document.addEventListener('DOMContentLoaded', init);
-
-        EventSystem.subscribe(GameEvents.PLAYER_UPDATE, updateUI);
-        EventSystem.subscribe(GameEvents.CURRENCY_CHANGE, updateUI);
-        EventSystem.subscribe(GameEvents.LIVES_CHANGE, updateUI);
-        EventSystem.subscribe(GameEvents.SCORE_CHANGE, updateUI);
-        EventSystem.subscribe(GameEvents.UI_UPDATE, updateUI);
-
-        window.addEventListener('resize', () => {
-            if (!boardElement) return;
-            cellSize = Math.floor(boardElement.clientWidth / 9);
-            if (window.EnemyWaves) EnemyWaves.setCellSize(cellSize);
-            if (window.TowerPlacement) TowerPlacement.setCellSize(cellSize);
-            if (window.BoardRenderer) BoardRenderer.updateBoard();
-        });
+    function setCellSize(size) {
+        if (!size) return;
+        cellSize = size;
+        if (window.EnemyMovement) EnemyMovement.setCellSize(cellSize);
+        if (window.TowerPlacement) TowerPlacement.setCellSize(cellSize);
     }
 
-    initEventListeners();
-
     return {
         init,
         start,
@@ -151,9 +194,18 @@ const GameLoop = (function() {
         resume,
         stop,
         reset,
-        updateUI,
+        step,
+        setSpeed,
+        setStepMode,
+        advance,
+        setCellSize,
+        getSpeed: () => gameSpeed,
+        getSpeeds: () => [...GAME_SPEEDS],
+        isStepMode: () => stepMode,
+        getSimulationStep: () => SIMULATION_STEP,
         getCellSize: () => cellSize,
         isPaused: () => isPaused,
+        isHeadless: () => isHeadless,
         isActive: () => isRunning && !isPaused
     };
 })();
@@ -0,0 +1,264 @@
+/**
+ * leaderboard.js - Local top scores per difficulty and game mode
+ * This module keeps a top-10 table for every difficulty and mode in
+ * GameStorage. Each entry records the player name, score, wave reached,
+ * lives left, date and seed of the game. Every puzzle type and board size is
+ * a mode of its own, so scores are only ranked against the same kind of game.
+ */
+
+const Leaderboard = (function() {
+    // Storage keys
+    const STORAGE_KEY = 'sudoku_td_leaderboard';
+    const PLAYER_NAME_KEY = 'sudoku_td_player_name';
+
+    // Schema version of the stored tables
+    const SCHEMA_VERSION = 1;
+
+    // Entries kept per table
+    const MAX_ENTRIES = 10;
+
+    // Mode of classic 9x9 games, the mode of every game before puzzle types and board sizes
+    const DEFAULT_MODE = 'classic';
+
+    // Board size whose modes are just the puzzle type
+    const DEFAULT_SIZE = 9;
+
+    // Puzzle type of imported puzzles in modes, e.g. "imported-4" for 4x4
+    // ones. They are ranked at the difficulty of their grade.
+    const IMPORTED_MODE = 'imported';
+
+    // Longest name kept in an entry
+    const MAX_NAME_LENGTH = 20;
+
+    /**
+     * Get the table key for a difficulty and mode
+     * @param {string} difficulty - Puzzle difficulty
+     * @param {string} [mode] - Game mode
+     * @returns {string} Table key
+     */
+    function getTableKey(difficulty, mode = DEFAULT_MODE) {
+        return `${mode}:${difficulty}`;
+    }
+
+    /**
+     * Get the mode of games of a puzzle type and board size
+     * @param {string} variant - Puzzle variant
+     * @param {number} size - Board size
+     * @returns {string} Mode, e.g. "classic" for classic 9x9 or "killer-6" for Killer 6x6
+     */
+    function getPuzzleMode(variant, size) {
+        return size === DEFAULT_SIZE ? variant : `${variant}-${size}`;
+    }
+
+    /**
+     * Get the puzzle type and board size of a mode
+     * @param {string} mode - Game mode
+     * @returns {Object|null} Mode as { variant, size }, or null for special
+     *     modes like the daily challenge
+     */
+    function parsePuzzleMode(mode) {
+        const [variant, size] = String(mode).split('-');
+        const isVariant = window.SudokuConstraints && variant in SudokuConstraints.VARIANTS;
+        if (!isVariant && variant !== IMPORTED_MODE) {
+            return null;
+        }
+        return { variant, size: size ? Number(size) : DEFAULT_SIZE };
+    }
+
+    /**
+     * Get a display name for a mode, e.g. "Killer 6x6" or "Imported 4x4"
+     * @param {string} mode - Game mode
+     * @returns {string} Display name
+     */
+    function describeMode(mode) {
+        const puzzleMode = parsePuzzleMode(mode);
+        if (!puzzleMode) {
+            return mode;
+        }
+        const name = puzzleMode.variant === IMPORTED_MODE ? 'Imported' : SudokuConstraints.VARIANTS[puzzleMode.variant].name;
+        return `${name} ${puzzleMode.size}x${puzzleMode.size}`;
+    }
+
+    /**
+     * Read all tables from storage
+     * @returns {Object} Tables by key
+     */
+    function loadTables() {
+        try {
+            const data = GameStorage.getItem(STORAGE_KEY);
+            if (!data) {
+                return {};
+            }
+
+            const stored = JSON.parse(data);
+            if (!stored || stored.schemaVersion !== SCHEMA_VERSION || typeof stored.tables !== 'object') {
+                throw new Error("unknown format");
+            }
+
+            return stored.tables;
+        } catch (error) {
+            console.warn(`Leaderboard data is corrupt and was reset: ${error.message}`);
+            clear();
+            if (window.SaveSystem) {
+                SaveSystem.showSaveNotification('Leaderboard data was corrupt and has been reset', true);
+            }
+            return {};
+        }
+    }
+
+    /**
+     * Write all tables to storage
+     * @param {Object} tables - Tables by key
+     */
+    function saveTables(tables) {
+        try {
+            GameStorage.setItem(STORAGE_KEY, JSON.stringify({ schemaVersion: SCHEMA_VERSION, tables: tables }));
+        } catch (error) {
+            console.error(`Error saving leaderboard: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the entries of a table, best first
+     * @param {string} difficulty - Puzzle difficulty
+     * @param {string} [mode] - Game mode
+     * @returns {Object[]} Leaderboard entries
+     */
+    function getEntries(difficulty, mode = DEFAULT_MODE) {
+        const entries = loadTables()[getTableKey(difficulty, mode)];
+        return Array.isArray(entries) ? entries.map(entry => ({ ...entry })) : [];
+    }
+
+    /**
+     * Check if a score would make it onto a table
+     * @param {number} score - Score to check
+     * @param {string} difficulty - Puzzle difficulty
+     * @param {string} [mode] - Game mode
+     * @returns {boolean} Whether the score qualifies
+     */
+    function qualifies(score, difficulty, mode = DEFAULT_MODE) {
+        if (score <= 0) {
+            return false;
+        }
+
+        const entries = getEntries(difficulty, mode);
+        return entries.length < MAX_ENTRIES || score > entries[entries.length - 1].score;
+    }
+
+    /**
+     * Add an entry to its table
+     * @param {Object} result - Game result: name, score, wave, lives, seed, difficulty and mode
+     * @returns {number} Rank of the new entry (1 is best) or 0 if it didn't qualify
+     */
+    function addEntry(result) {
+        const mode = result.mode || DEFAULT_MODE;
+        if (!qualifies(result.score, result.difficulty, mode)) {
+            return 0;
+        }
+
+        const entry = {
+            name: String(result.name || '').trim().slice(0, MAX_NAME_LENGTH) || 'Player',
+            score: result.score,
+            wave: result.wave,
+            lives: Math.max(0, result.lives),
+            date: result.date || Date.now(),
+            seed: result.seed || ''
+        };
+
+        const tables = loadTables();
+        const key = getTableKey(result.difficulty, mode);
+        const entries = Array.isArray(tables[key]) ? tables[key] : [];
+
+        // Later entries rank below earlier ones with the same score
+        let rank = entries.findIndex(existing => entry.score > existing.score);
+        if (rank === -1) {
+            rank = entries.length;
+        }
+
+        entries.splice(rank, 0, entry);
+        tables[key] = entries.slice(0, MAX_ENTRIES);
+        saveTables(tables);
+
+        return rank + 1;
+    }
+
+    /**
+     * Get the result of the current game. Daily challenges and imported
+     * puzzles of each size have their own tables, and only the day's scored
+     * attempt is ranked on the daily one.
+     * @returns {Object} Score, wave, lives, seed, difficulty, mode and whether it can be ranked
+     */
+    function getCurrentResult() {
+        const playerState = PlayerModule.getState();
+        const daily = window.DailyChallenge && DailyChallenge.isDailyGame();
+        const imported = !daily && SudokuBoard.isImported();
+        const layout = SudokuBoard.getLayout();
+
+        return {
+            score: playerState.score,
+            wave: window.EnemyWaves ? EnemyWaves.getWaveNumber() : 1,
+            lives: playerState.lives,
+            seed: window.GameRandom ? GameRandom.getSeed() : '',
+            difficulty: daily ? DailyChallenge.PUZZLE_SETTINGS.difficulty :
+                (imported ? SudokuBoard.getImportedDifficulty() : SudokuBoard.getDifficulty()),
+            mode: daily ? DailyChallenge.MODE : getPuzzleMode(imported ? IMPORTED_MODE : layout.variant, layout.size),
+            ranked: !daily || DailyChallenge.isScoredAttempt()
+        };
+    }
+
+    /**
+     * Get the last name entered, to prefill the name prompt
+     * @returns {string} Player name or an empty string
+     */
+    function getPlayerName() {
+        try {
+            return GameStorage.getItem(PLAYER_NAME_KEY) || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Remember the name entered
+     * @param {string} name - Player name
+     */
+    function setPlayerName(name) {
+        try {
+            GameStorage.setItem(PLAYER_NAME_KEY, String(name).trim().slice(0, MAX_NAME_LENGTH));
+        } catch (error) {
+            console.error(`Error saving player name: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove every leaderboard entry
+     */
+    function clear() {
+        try {
+            GameStorage.removeItem(STORAGE_KEY);
+        } catch (error) {
+            console.error(`Error clearing leaderboard: ${error.message}`);
+        }
+    }
+
+    // Public API
+    return {
+        getEntries,
+        qualifies,
+        addEntry,
+        getCurrentResult,
+        getPuzzleMode,
+        parsePuzzleMode,
+        describeMode,
+        getPlayerName,
+        setPlayerName,
+        clear,
+        MAX_ENTRIES,
+        DEFAULT_MODE,
+        DEFAULT_SIZE,
+        IMPORTED_MODE
+    };
+})();
+
+// Make module available globally
+window.Leaderboard = Leaderboard;
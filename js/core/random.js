@@ -0,0 +1,153 @@
+/**
+ * random.js - Seeded pseudo-random number generator
+ * This module is the single source of randomness for the game. Every system
+ * that needs random values (puzzle generation, enemy paths, wave composition)
+ * draws from it, so a game started from the same seed plays out the same way.
+ */
+
+const GameRandom = (function() {
+    // Characters used when generating a new human-readable seed
+    const SEED_CHARACTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const SEED_LENGTH = 8;
+
+    // Current seed and generator state
+    let seed = '';
+    let state = 0;
+
+    /**
+     * Hash a seed string into a 32-bit integer
+     * @param {string} value - Seed string
+     * @returns {number} 32-bit unsigned hash
+     */
+    function hashSeed(value) {
+        // FNV-1a hash
+        let hash = 2166136261;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Generate a new random seed string
+     * Uses Math.random since this is where a fresh game gets its entropy
+     * @returns {string} A new seed
+     */
+    function generateSeed() {
+        let result = '';
+        for (let i = 0; i < SEED_LENGTH; i++) {
+            result += SEED_CHARACTERS[Math.floor(Math.random() * SEED_CHARACTERS.length)];
+        }
+        return result;
+    }
+
+    /**
+     * Set the seed and reset the generator
+     * @param {string|number} [newSeed] - Seed to use, a new one is generated if omitted
+     * @returns {string} The seed in use
+     */
+    function setSeed(newSeed) {
+        if (newSeed === undefined || newSeed === null || String(newSeed).trim() === '') {
+            newSeed = generateSeed();
+        }
+
+        seed = String(newSeed).trim().toUpperCase();
+        state = hashSeed(seed);
+
+        console.log("GameRandom seeded with:", seed);
+
+        return seed;
+    }
+
+    /**
+     * Get the current seed
+     * @returns {string} Current seed
+     */
+    function getSeed() {
+        return seed;
+    }
+
+    /**
+     * Get the full generator state, for saving a game
+     * @returns {Object} Seed and internal state
+     */
+    function getState() {
+        return { seed: seed, state: state };
+    }
+
+    /**
+     * Restore a generator state from getState()
+     * @param {Object} savedState - Saved seed and internal state
+     */
+    function setState(savedState) {
+        if (!savedState || typeof savedState.state !== 'number') {
+            return;
+        }
+        seed = String(savedState.seed);
+        state = savedState.state >>> 0;
+    }
+
+    /**
+     * Get a random float in [0, 1)
+     * Uses the mulberry32 algorithm
+     * @returns {number} Random number
+     */
+    function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a random integer in [0, max)
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} Random integer
+     */
+    function randomInt(max) {
+        return Math.floor(random() * max);
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} array - Array to pick from
+     * @returns {*} Random element or undefined if the array is empty
+     */
+    function pick(array) {
+        return array[randomInt(array.length)];
+    }
+
+    /**
+     * Shuffle an array in place
+     * @param {Array} array - Array to shuffle
+     * @returns {Array} The same array, shuffled
+     */
+    function shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = randomInt(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    // Start with a fresh seed so the module is usable before a game is started
+    setSeed();
+
+    // Public API
+    return {
+        setSeed,
+        getSeed,
+        generateSeed,
+        getState,
+        setState,
+        random,
+        randomInt,
+        pick,
+        shuffle
+    };
+})();
+
+// Make module available globally
+window.GameRandom = GameRandom;
@@ -0,0 +1,436 @@
+/**
+ * save-codec.js - Converts game snapshots to and from portable formats
+ * This module turns SaveSystem snapshots into downloadable JSON files and
+ * compact base64 share codes, and checks anything read back in so that a
+ * broken or tampered import is rejected before it touches the game.
+ */
+
+const SaveCodec = (function() {
+    // Identifies our export files
+    const FILE_FORMAT = 'sudoku-td-save';
+    const FILE_VERSION = 1;
+
+    // Prefix of the share code payload, bumped if the layout changes
+    const SHARE_CODE_VERSION = 'STD1';
+
+    // Characters per tower in a share code: cell index, type and level
+    const SHARE_CODE_TOWER_WIDTH = 5;
+
+    /**
+     * Hash a string for the share code checksum
+     * @param {string} value - Text to hash
+     * @returns {string} 8-digit hex FNV-1a hash
+     */
+    function checksum(value) {
+        let hash = 2166136261;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Throw an import error unless a condition holds
+     * @param {boolean} condition - Condition that must hold
+     * @param {string} message - Error message for the player
+     */
+    function check(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    /**
+     * Check if a value is an integer in a range
+     * @param {*} value - Value to check
+     * @param {number} min - Inclusive minimum
+     * @param {number} max - Inclusive maximum
+     * @returns {boolean} Whether the value is in range
+     */
+    function isIntegerInRange(value, min, max) {
+        return Number.isInteger(value) && value >= min && value <= max;
+    }
+
+    /**
+     * Check if a grid is a square array of arrays whose cells pass a test
+     * @param {*} grid - Value to check
+     * @param {number} size - Expected size
+     * @param {function} isValidCell - Test for each cell
+     * @returns {boolean} Whether the grid is valid
+     */
+    function isGrid(grid, size, isValidCell) {
+        return Array.isArray(grid) && grid.length === size &&
+            grid.every(row => Array.isArray(row) && row.length === size && row.every(isValidCell));
+    }
+
+    /**
+     * Check if a solution grid is a complete, valid Sudoku
+     * @param {number[][]} solution - Solution grid
+     * @param {Object} layout - Units of the puzzle
+     * @returns {boolean} Whether every unit holds each digit once and every cage adds up
+     */
+    function isSolvedGrid(solution, layout) {
+        return layout.units.every(unit => {
+            const values = unit.cells.map(([row, col]) => solution[row][col]);
+            return new Set(values).size === unit.cells.length &&
+                (unit.type !== 'cage' || values.reduce((sum, value) => sum + value, 0) === unit.sum);
+        });
+    }
+
+    /**
+     * Check that a snapshot describes a consistent game
+     * @param {Object} snapshot - Snapshot to check
+     * @throws {Error} Describing the first problem found
+     */
+    function validateSnapshot(snapshot) {
+        check(snapshot && typeof snapshot === 'object', "Save data is missing");
+
+        const sudoku = snapshot.sudoku;
+        check(sudoku && typeof sudoku === 'object', "Save has no Sudoku board");
+
+        const size = Array.isArray(sudoku.board) ? sudoku.board.length : 0;
+        check(SudokuConstraints.isValidSize(size), `Board size ${size}x${size} is not supported`);
+        check(isGrid(sudoku.board, size, value => isIntegerInRange(value, 0, size)),
+            "Board contains invalid values");
+        check(sudoku.variant in SudokuConstraints.VARIANTS, `Unknown puzzle variant: ${sudoku.variant}`);
+        check(sudoku.variant !== 'jigsaw' || SudokuConstraints.isValidRegions(sudoku.regions, size),
+            "Jigsaw regions are invalid");
+        check(sudoku.variant !== 'killer' || SudokuConstraints.isValidCages(sudoku.cages, size),
+            "Killer cages are invalid");
+        const layout = SudokuConstraints.createLayout(sudoku.variant, { ...sudoku, size });
+
+        check(isGrid(sudoku.solution, size, value => isIntegerInRange(value, 1, size)) && isSolvedGrid(sudoku.solution, layout),
+            "Solution is not a valid Sudoku");
+        check(isGrid(sudoku.fixedCells, size, value => typeof value === 'boolean'),
+            "Fixed cells are invalid");
+
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                check(!sudoku.fixedCells[row][col] || sudoku.board[row][col] === sudoku.solution[row][col],
+                    `Given number at row ${row + 1}, column ${col + 1} doesn't match the solution`);
+            }
+        }
+
+        if (window.SudokuGenerator) {
+            check(sudoku.difficulty in SudokuGenerator.difficultySettings, `Unknown difficulty: ${sudoku.difficulty}`);
+            check(!sudoku.importedDifficulty || sudoku.importedDifficulty in SudokuGenerator.difficultySettings,
+                `Unknown difficulty: ${sudoku.importedDifficulty}`);
+        }
+
+        // Every enemy route must be a chain of neighbouring cells
+        const isCell = cell => Array.isArray(cell) && cell.length === 2 &&
+            isIntegerInRange(cell[0], 0, size - 1) && isIntegerInRange(cell[1], 0, size - 1);
+
+        check(Array.isArray(sudoku.routes) && sudoku.routes.length > 0, "Enemy path is missing");
+        sudoku.routes.forEach(route => {
+            check(Array.isArray(route) && route.length > 1 && route.every(isCell), "Enemy path is invalid");
+            route.forEach(([row, col], index) => {
+                if (index > 0) {
+                    const [prevRow, prevCol] = route[index - 1];
+                    check(Math.abs(row - prevRow) + Math.abs(col - prevCol) === 1, "Enemy path is not connected");
+                }
+            });
+        });
+
+        check(Array.isArray(sudoku.pathCells) && sudoku.pathCells.every(isCell), "Path cells are invalid");
+        const pathCells = new Set(sudoku.pathCells.map(([row, col]) => `${row},${col}`));
+        check(!layout.cages || layout.cages.every(cage => cage.cells.every(([row, col]) => !pathCells.has(`${row},${col}`))),
+            "A Killer cage covers the path");
+
+        // Towers must sit on free cells and match the numbers on the board
+        const towers = snapshot.towers;
+        check(towers && Array.isArray(towers.towers), "Save has no tower list");
+
+        const occupied = new Set();
+        towers.towers.forEach(tower => {
+            check(tower && window.TowerTypes && TowerTypes.getTowerType(tower.type, size), `Unknown tower type: ${tower && tower.type}`);
+            check(isCell([tower.row, tower.col]), "Tower is outside the board");
+
+            const key = `${tower.row},${tower.col}`;
+            check(!occupied.has(key), `Two towers at row ${tower.row + 1}, column ${tower.col + 1}`);
+            check(!pathCells.has(key) && !sudoku.fixedCells[tower.row][tower.col],
+                `Tower at row ${tower.row + 1}, column ${tower.col + 1} is on the path or a given number`);
+            check(isIntegerInRange(tower.level, 1, 100), "Tower level is invalid");
+            check(['damage', 'range', 'attackSpeed'].every(stat => typeof tower[stat] === 'number' && tower[stat] > 0),
+                "Tower stats are invalid");
+
+            const numberValue = parseInt(tower.type);
+            if (!isNaN(numberValue)) {
+                check(sudoku.board[tower.row][tower.col] === numberValue,
+                    `Tower at row ${tower.row + 1}, column ${tower.col + 1} doesn't match the board`);
+            }
+
+            occupied.add(key);
+        });
+
+        const notes = snapshot.notes;
+        check(notes && typeof notes === 'object' && !Array.isArray(notes), "Notes are invalid");
+        Object.entries(notes).forEach(([key, digits]) => {
+            const [row, col] = key.split(',').map(Number);
+            check(isIntegerInRange(row, 0, size - 1) && isIntegerInRange(col, 0, size - 1) && key === `${row},${col}`,
+                "Notes have a cell outside the board");
+            check(Array.isArray(digits) && digits.every(digit => isIntegerInRange(digit, 1, size)),
+                `Notes at row ${row + 1}, column ${col + 1} are invalid`);
+        });
+
+        check(isIntegerInRange(snapshot.waveNumber, 1, Number.MAX_SAFE_INTEGER), "Wave number is invalid");
+
+        const player = snapshot.player;
+        check(player && Number.isInteger(player.lives), "Lives are invalid");
+        check(isIntegerInRange(player.score, 0, Number.MAX_SAFE_INTEGER), "Score is invalid");
+        check(isIntegerInRange(player.currency, 0, Number.MAX_SAFE_INTEGER), "Currency is invalid");
+    }
+
+    /**
+     * Create the contents of an export file
+     * @param {Object} snapshot - Snapshot from SaveSystem.createSnapshot()
+     * @returns {string} JSON file contents
+     */
+    function exportToFile(snapshot) {
+        return JSON.stringify({
+            format: FILE_FORMAT,
+            version: FILE_VERSION,
+            snapshot: snapshot
+        }, null, 2);
+    }
+
+    /**
+     * Read a snapshot from the contents of an export file
+     * @param {string} text - JSON file contents
+     * @returns {Object} The validated snapshot
+     * @throws {Error} If the file is not a valid save
+     */
+    function importFromFile(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error("File is not valid JSON");
+        }
+
+        check(data && data.format === FILE_FORMAT, "File is not a Sudoku Tower Defense save");
+        check(data.version === FILE_VERSION, `Unsupported file version: ${data.version}`);
+
+        // Files from older games hold older snapshots
+        const snapshot = SaveMigrations.migrate(data.snapshot);
+        validateSnapshot(snapshot);
+
+        return snapshot;
+    }
+
+    /**
+     * Create a share code for a snapshot
+     * The code holds the seed, puzzle, paths, towers, wave and economy, but not
+     * completed units or bonuses, which are earned again once the game runs.
+     * Digits, region numbers and tower types are written in base 36, one
+     * character each, so the board size follows from the solution's length.
+     * Tower levels take two base 36 characters, as they can go past 35.
+     * The enemy routes are dash-separated.
+     * @param {Object} snapshot - Snapshot from SaveSystem.createSnapshot()
+     * @returns {string} Base64 share code
+     */
+    function createShareCode(snapshot) {
+        const sudoku = snapshot.sudoku;
+        const size = sudoku.board.length;
+        const toIndex = (row, col) => (row * size + col).toString(36).padStart(2, '0');
+        const toIndexes = cells => cells.map(([row, col]) => toIndex(row, col)).join('');
+
+        // Variant field: the variant name, then jigsaw regions or Killer cages ("sum:cells", dash-separated)
+        let variantText = sudoku.variant;
+        if (sudoku.variant === 'jigsaw') {
+            variantText = `jigsaw.${sudoku.regions.flat().map(region => region.toString(36)).join('')}`;
+        } else if (sudoku.variant === 'killer') {
+            variantText = `killer.${sudoku.cages.map(cage => `${cage.sum}:${toIndexes(cage.cells)}`).join('-')}`;
+        }
+
+        // Fixed cells as a bit string, packed into hex
+        const fixedBits = sudoku.fixedCells.flat().map(fixed => (fixed ? '1' : '0')).join('');
+        let fixedHex = '';
+        for (let i = 0; i < fixedBits.length; i += 4) {
+            fixedHex += parseInt(fixedBits.slice(i, i + 4).padEnd(4, '0'), 2).toString(16);
+        }
+
+        const fields = [
+            SHARE_CODE_VERSION,
+            encodeURIComponent(snapshot.random ? snapshot.random.seed : ''),
+            sudoku.difficulty,
+            variantText,
+            snapshot.waveNumber,
+            snapshot.player.lives,
+            snapshot.player.score,
+            snapshot.player.currency,
+            sudoku.solution.flat().map(value => value.toString(36)).join(''),
+            fixedHex,
+            sudoku.routes.map(toIndexes).join('-'),
+            toIndexes(sudoku.pathCells),
+            snapshot.towers.towers.map(tower =>
+                toIndex(tower.row, tower.col) +
+                (tower.type === 'special' ? 'S' : Number(tower.type).toString(36)) +
+                tower.level.toString(36).padStart(2, '0')
+            ).join(''),
+            sudoku.importedDifficulty || ''
+        ];
+
+        const payload = fields.join('|');
+        return btoa(`${payload}|${checksum(payload)}`);
+    }
+
+    /**
+     * Build a snapshot from a share code
+     * @param {string} code - Base64 share code
+     * @param {number} cellSize - Cell size used to rebuild upgraded tower stats
+     * @returns {Object} The validated snapshot
+     * @throws {Error} If the code is invalid or has been altered
+     */
+    function parseShareCode(code, cellSize) {
+        let text;
+        try {
+            text = atob(String(code).trim());
+        } catch (error) {
+            throw new Error("Share code is not valid base64");
+        }
+
+        const fields = text.split('|');
+        check(fields[0] === SHARE_CODE_VERSION && fields.length === 15, "Not a valid share code");
+
+        const payload = fields.slice(0, -1).join('|');
+        check(checksum(payload) === fields[fields.length - 1], "Share code is damaged or has been altered");
+
+        const [, seed, difficulty, variantText, wave, lives, score, currency, solutionText, fixedHex, pathText, pathCellsText, towerText, sourceText] = fields;
+
+        // Source field: empty for a generated puzzle, the ranked difficulty of an imported one
+        check(sourceText === '' || !window.SudokuGenerator || sourceText in SudokuGenerator.difficultySettings,
+            "Share code has an invalid puzzle source");
+        const size = Math.round(Math.sqrt(solutionText.length));
+        check(SudokuConstraints.isValidSize(size) && solutionText.length === size * size, "Share code has an invalid board size");
+        const fromDigit = digit => parseInt(digit, 36);
+        const isDigitText = (text, min, max) => /^[0-9a-z]*$/.test(text) &&
+            text.split('').every(digit => isIntegerInRange(fromDigit(digit), min, max));
+
+        const [variant, variantData] = variantText.split('.');
+        check(variant !== 'jigsaw' || (variantData.length === size * size && isDigitText(variantData, 0, size - 1)),
+            "Share code has invalid jigsaw regions");
+        const regions = variant === 'jigsaw'
+            ? Array(size).fill().map((_, row) => variantData.slice(row * size, (row + 1) * size).split('').map(fromDigit))
+            : null;
+        check(variant !== 'killer' || /^\d+:([0-9a-z]{2})+(-\d+:([0-9a-z]{2})+)*$/.test(variantData),
+            "Share code has invalid Killer cages");
+
+        check(isDigitText(solutionText, 1, size), "Share code has an invalid solution");
+        check(/^[0-9a-f]*$/.test(fixedHex) && fixedHex.length === Math.ceil(size * size / 4), "Share code has invalid given numbers");
+        const routeTexts = pathText.split('-');
+        check(routeTexts.every(routeText => routeText.length % 2 === 0) && pathCellsText.length % 2 === 0 && towerText.length % SHARE_CODE_TOWER_WIDTH === 0,
+            "Share code has an invalid layout");
+
+        const fromIndex = text => {
+            const index = parseInt(text, 36);
+            check(isIntegerInRange(index, 0, size * size - 1), "Share code has a cell outside the board");
+            return [Math.floor(index / size), index % size];
+        };
+
+        const solution = [];
+        for (let row = 0; row < size; row++) {
+            solution.push(solutionText.slice(row * size, (row + 1) * size).split('').map(fromDigit));
+        }
+
+        const fixedBits = fixedHex.split('').map(digit => parseInt(digit, 16).toString(2).padStart(4, '0')).join('');
+        const fixedCells = solution.map((row, r) => row.map((value, c) => fixedBits[r * size + c] === '1'));
+        const board = solution.map((row, r) => row.map((value, c) => (fixedCells[r][c] ? value : 0)));
+
+        const fromIndexes = text => {
+            const cells = [];
+            for (let i = 0; i < text.length; i += 2) {
+                cells.push(fromIndex(text.slice(i, i + 2)));
+            }
+            return cells;
+        };
+
+        const routes = routeTexts.map(fromIndexes);
+        const cages = variant === 'killer'
+            ? variantData.split('-').map(cageText => {
+                const [sum, cellText] = cageText.split(':');
+                return { cells: fromIndexes(cellText), sum: Number(sum) };
+            })
+            : null;
+
+        // Rebuild each tower with the stats of its type and level
+        const towers = [];
+        for (let i = 0; i < towerText.length; i += SHARE_CODE_TOWER_WIDTH) {
+            const [row, col] = fromIndex(towerText.slice(i, i + 2));
+            const type = towerText[i + 2] === 'S' ? 'special' : String(fromDigit(towerText[i + 2]));
+            const level = parseInt(towerText.slice(i + 3, i + SHARE_CODE_TOWER_WIDTH), 36);
+            const typeData = TowerTypes.getTowerType(type, size);
+            check(typeData && level >= 1, "Share code has an invalid tower");
+
+            let stats = { damage: typeData.damage, range: typeData.range * cellSize, attackSpeed: typeData.attackSpeed };
+            for (let upgrade = 1; upgrade < level; upgrade++) {
+                stats = TowerTypes.getUpgradedStats(stats);
+            }
+
+            const numberValue = parseInt(type);
+            if (!isNaN(numberValue)) {
+                board[row][col] = numberValue;
+            }
+
+            towers.push({
+                id: `tower_${towers.length + 1}`,
+                type: type,
+                damage: stats.damage,
+                range: stats.range / cellSize,
+                attackSpeed: stats.attackSpeed,
+                level: level,
+                row: row,
+                col: col,
+                isCorrect: isNaN(numberValue) || solution[row][col] === numberValue
+            });
+        }
+
+        const snapshot = {
+            savedAt: Date.now(),
+            seed: decodeURIComponent(seed),
+            sudoku: {
+                board: board,
+                solution: solution,
+                fixedCells: fixedCells,
+                pathCells: fromIndexes(pathCellsText),
+                routes: routes,
+                difficulty: difficulty,
+                importedDifficulty: sourceText || null,
+                variant: variant,
+                regions: regions,
+                cages: cages
+            },
+            towers: {
+                towerId: towers.length,
+                towers: towers,
+                incorrectTowers: towers.filter(tower => !tower.isCorrect).map(tower => tower.id)
+            },
+            notes: {},
+            waveNumber: Number(wave),
+            player: {
+                lives: Number(lives),
+                score: Number(score),
+                currency: Number(currency)
+            },
+            completion: { rows: [], columns: [], grids: [], diagonals: [], regions: [], cages: [] },
+            bonuses: { rows: {}, columns: {}, grids: {}, diagonals: {}, regions: {}, cages: {} }
+        };
+
+        validateSnapshot(snapshot);
+
+        return snapshot;
+    }
+
+    // Public API
+    return {
+        validateSnapshot,
+        exportToFile,
+        importFromFile,
+        createShareCode,
+        parseShareCode
+    };
+})();
+
+// Make module available globally
+window.SaveCodec = SaveCodec;
@@ -0,0 +1,138 @@
+/**
+ * save-migrations.js - Schema versions and migrations for saved games
+ * Every saved game snapshot carries a schemaVersion. When the shape of the
+ * saved state changes, bump CURRENT_VERSION and register a migration from the
+ * previous version; older saves are then upgraded one step at a time when
+ * they are loaded.
+ */
+
+const SaveMigrations = (function() {
+    // Schema version written by this version of the game
+    const CURRENT_VERSION = 7;
+
+    // Migrations by the version they upgrade from
+    const migrations = {};
+
+    /**
+     * Register a migration
+     * @param {number} fromVersion - Version the migration upgrades from
+     * @param {function} migrate - Takes a record at fromVersion and returns it at fromVersion + 1
+     */
+    function register(fromVersion, migrate) {
+        if (migrations[fromVersion]) {
+            console.warn(`Replacing save migration from version ${fromVersion}`);
+        }
+        migrations[fromVersion] = migrate;
+    }
+
+    /**
+     * Get the schema version of a record
+     * Records saved before versioning have no version and count as version 1
+     * @param {Object} record - Saved record
+     * @returns {number} Schema version
+     */
+    function getVersion(record) {
+        return record.schemaVersion === undefined ? 1 : record.schemaVersion;
+    }
+
+    /**
+     * Upgrade a record to the current schema version
+     * @param {Object} record - Saved record at any known version
+     * @returns {Object} The record at CURRENT_VERSION
+     * @throws {Error} If the record is from a newer game or a step is missing
+     */
+    function migrate(record) {
+        if (!record || typeof record !== 'object') {
+            throw new Error("Save data is missing");
+        }
+
+        let version = getVersion(record);
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Invalid save version: ${version}`);
+        }
+        if (version > CURRENT_VERSION) {
+            throw new Error(`Save is from a newer version of the game (version ${version})`);
+        }
+
+        while (version < CURRENT_VERSION) {
+            if (!migrations[version]) {
+                throw new Error(`No migration from save version ${version}`);
+            }
+
+            record = migrations[version](record);
+            version++;
+            record.schemaVersion = version;
+        }
+
+        return record;
+    }
+
+    // Version 1: unversioned snapshots. Sections added after the first save
+    // format may be missing, so fill them with the values of a fresh game.
+    register(1, function(record) {
+        return {
+            ...record,
+            random: record.random || null,
+            completion: record.completion || { rows: [], columns: [], grids: [] },
+            bonuses: record.bonuses || { rows: {}, columns: {}, grids: {} }
+        };
+    });
+
+    // Version 2: saves from before pencil-mark notes
+    register(2, function(record) {
+        return {
+            ...record,
+            notes: record.notes || {}
+        };
+    });
+
+    // Version 3: saves from before puzzle variants, which were all classic
+    register(3, function(record) {
+        return {
+            ...record,
+            sudoku: { variant: 'classic', regions: null, ...record.sudoku },
+            completion: { diagonals: [], regions: [], ...record.completion },
+            bonuses: { diagonals: {}, regions: {}, ...record.bonuses }
+        };
+    });
+
+    // Version 4: saves from before Killer cages
+    register(4, function(record) {
+        return {
+            ...record,
+            sudoku: { cages: null, ...record.sudoku },
+            completion: { cages: [], ...record.completion },
+            bonuses: { cages: {}, ...record.bonuses }
+        };
+    });
+
+    // Version 5: saves from before daily attempt tokens, which can't be
+    // told apart from practice games and so never count as scored attempts
+    register(5, function(record) {
+        return {
+            ...record,
+            daily: null
+        };
+    });
+
+    // Version 6: saves from before path networks, where the single enemy
+    // path was saved next to the board instead of as its only route
+    register(6, function(record) {
+        const { enemyPath, ...rest } = record;
+        return {
+            ...rest,
+            sudoku: { routes: Array.isArray(enemyPath) ? [enemyPath] : [], ...record.sudoku }
+        };
+    });
+
+    // Public API
+    return {
+        CURRENT_VERSION,
+        register,
+        getVersion,
+        migrate
+    };
+})();
+
+// Make module available globally
+window.SaveMigrations = SaveMigrations;
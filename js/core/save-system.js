@@ -1,5 +1,5 @@
 /**
- * save-system.js - Handles saving and loading game data using localStorage
+ * save-system.js - Handles saving and loading game data using GameStorage
  * This module provides functionality to store player scores and other game data persistently
  */
 
@@ -8,19 +8,33 @@ const SaveSystem = (function() {
     const STORAGE_KEYS = {
         HIGH_SCORE: 'sudoku_td_high_score',
         CURRENT_SCORE: 'sudoku_td_current_score',
-        LAST_LEVEL: 'sudoku_td_last_level',
-        LAST_WAVE: 'sudoku_td_last_wave',
-        DIFFICULTY: 'sudoku_td_difficulty'
+        DIFFICULTY: 'sudoku_td_difficulty',
+        SAVED_GAME: 'sudoku_td_saved_game',
+        SLOT_PREFIX: 'sudoku_td_slot_',
+        ACHIEVEMENTS: 'sudoku_td_achievements',
+        SETTINGS: 'sudoku_td_settings'
     };
     
+    // Schema version of the stored achievement progress
+    const ACHIEVEMENTS_VERSION = 1;
+    
+    // Schema version of the stored settings
+    const SETTINGS_VERSION = 1;
+    
+    // Number of named save slots
+    const SLOT_COUNT = 3;
+    
+    // Snapshot taken as the wave in progress started, null between waves
+    let waveStartSnapshot = null;
+    
     /**
-     * Save data to localStorage
+     * Save data to storage
      * @param {string} key - Storage key
      * @param {string|number} value - Value to store
      */
     function saveData(key, value) {
         try {
-            localStorage.setItem(key, String(value));
+            GameStorage.setItem(key, String(value));
             console.log(`Data saved: ${key}=${value}`);
         } catch (error) {
             console.error(`Error saving data: ${error.message}`);
@@ -28,14 +42,14 @@ const SaveSystem = (function() {
     }
     
     /**
-     * Load data from localStorage
+     * Load data from storage
      * @param {string} key - Storage key
      * @param {string|number} defaultValue - Default value if key not found
      * @returns {string} Stored value or default
      */
     function loadData(key, defaultValue = '') {
         try {
-            const value = localStorage.getItem(key);
+            const value = GameStorage.getItem(key);
             return value !== null ? value : defaultValue;
         } catch (error) {
             console.error(`Error loading data: ${error.message}`);
@@ -70,13 +84,6 @@ const SaveSystem = (function() {
             // Show regular save notification
             showSaveNotification('Game progress saved');
         }
-        
-        // Save level and wave info
-        if (window.LevelsModule) {
-            saveData(STORAGE_KEYS.LAST_LEVEL, LevelsModule.getCurrentLevel());
-            saveData(STORAGE_KEYS.LAST_WAVE, LevelsModule.getCurrentWave());
-            saveData(STORAGE_KEYS.DIFFICULTY, LevelsModule.getDifficulty());
-        }
     }
     
     /**
@@ -84,8 +91,29 @@ const SaveSystem = (function() {
      * @returns {number} High score
      */
     function getHighScore() {
-        const highScore = loadData(STORAGE_KEYS.HIGH_SCORE, '0');
-        return parseInt(highScore) || 0;
+        return loadNumber(STORAGE_KEYS.HIGH_SCORE, 0);
+    }
+    
+    /**
+     * Load a whole number, falling back to a default if the stored value is corrupt
+     * @param {string} key - Storage key
+     * @param {number} defaultValue - Value to use if the key is missing or corrupt
+     * @returns {number} Stored number or default
+     */
+    function loadNumber(key, defaultValue) {
+        const data = loadData(key, '');
+        if (data === '') {
+            return defaultValue;
+        }
+        
+        const value = Number(data);
+        if (!Number.isInteger(value) || value < 0) {
+            showSaveWarning(`Saved value "${key}" is corrupt and was reset`);
+            saveData(key, defaultValue);
+            return defaultValue;
+        }
+        
+        return value;
     }
     
     /**
@@ -93,25 +121,490 @@ const SaveSystem = (function() {
      * @returns {Object} Last saved state
      */
     function getLastSavedState() {
+        let difficulty = loadData(STORAGE_KEYS.DIFFICULTY, 'medium');
+        if (window.SudokuGenerator && !(difficulty in SudokuGenerator.difficultySettings)) {
+            showSaveWarning(`Saved difficulty "${difficulty}" is unknown, using medium`);
+            difficulty = 'medium';
+            saveData(STORAGE_KEYS.DIFFICULTY, difficulty);
+        }
+        
         return {
             highScore: getHighScore(),
-            currentScore: parseInt(loadData(STORAGE_KEYS.CURRENT_SCORE, '0')) || 0,
-            lastLevel: parseInt(loadData(STORAGE_KEYS.LAST_LEVEL, '1')) || 1,
-            lastWave: parseInt(loadData(STORAGE_KEYS.LAST_WAVE, '1')) || 1,
-            difficulty: loadData(STORAGE_KEYS.DIFFICULTY, 'medium')
+            currentScore: loadNumber(STORAGE_KEYS.CURRENT_SCORE, 0),
+            difficulty: difficulty
         };
     }
     
+    /**
+     * Build a snapshot of the whole game
+     * @returns {Object|null} Game snapshot or null if the game modules are missing
+     */
+    function createSnapshot() {
+        if (!window.SudokuBoard || !window.TowerPlacement || !window.EnemyWaves || !window.PlayerModule) {
+            console.error("Game modules not available for saving");
+            return null;
+        }
+        
+        const playerState = PlayerModule.getState();
+        
+        return {
+            schemaVersion: SaveMigrations.CURRENT_VERSION,
+            savedAt: Date.now(),
+            random: window.GameRandom ? GameRandom.getState() : null,
+            sudoku: SudokuBoard.getState(),
+            towers: TowerPlacement.getState(),
+            notes: window.SudokuNotes ? SudokuNotes.getState() : {},
+            waveNumber: EnemyWaves.getWaveNumber(),
+            player: {
+                lives: playerState.lives,
+                score: playerState.score,
+                currency: playerState.currency
+            },
+            completion: window.SudokuCompletion ? SudokuCompletion.getCompletionStatus() : null,
+            bonuses: window.CompletionBonusModule ? CompletionBonusModule.getBonuses() : null,
+            stats: window.GameStats ? GameStats.getRunStats() : null,
+            daily: window.DailyChallenge ? DailyChallenge.getAttempt() : null
+        };
+    }
+    
+    /**
+     * Build a snapshot to resume the game from. During a wave this is the
+     * snapshot from the wave's start, so resuming restarts the wave without
+     * keeping what was earned or lost in it.
+     * @returns {Object|null} Game snapshot or null if the game modules are missing
+     */
+    function getResumableSnapshot() {
+        if (waveStartSnapshot && window.EnemyWaves && EnemyWaves.isWaveInProgress()) {
+            return waveStartSnapshot;
+        }
+        return createSnapshot();
+    }
+    
+    /**
+     * Save a snapshot of the current game
+     * A wave in progress is not stored; resuming restarts that wave
+     */
+    function saveGame() {
+        // Nothing worth continuing once the game is lost
+        if (window.PlayerModule && PlayerModule.getState().lives <= 0) {
+            return;
+        }
+        
+        // Don't replace a saved game with one that hasn't started yet
+        if (window.EnemyWaves && window.TowerPlacement &&
+            EnemyWaves.getWaveNumber() <= 1 && TowerPlacement.getTowers().length === 0) {
+            return;
+        }
+        
+        const snapshot = getResumableSnapshot();
+        if (snapshot) {
+            saveData(STORAGE_KEYS.SAVED_GAME, JSON.stringify(snapshot));
+        }
+    }
+    
+    /**
+     * Bring a stored snapshot up to the current schema and check it
+     * @param {Object} snapshot - Snapshot as stored, at any schema version
+     * @param {string} label - Name of the save for the warning message
+     * @returns {Object|null} Current snapshot or null if it is corrupt
+     */
+    function upgradeSnapshot(snapshot, label) {
+        try {
+            snapshot = SaveMigrations.migrate(snapshot);
+            SaveCodec.validateSnapshot(snapshot);
+            return snapshot;
+        } catch (error) {
+            showSaveWarning(`${label} could not be loaded: ${error.message}`);
+            return null;
+        }
+    }
+    
+    /**
+     * Parse a stored JSON record
+     * @param {string} data - Stored JSON
+     * @param {string} label - Name of the save for the warning message
+     * @returns {Object|null} Parsed record or null if it is corrupt
+     */
+    function parseRecord(data, label) {
+        try {
+            return JSON.parse(data);
+        } catch (error) {
+            showSaveWarning(`${label} is corrupt and could not be loaded`);
+            return null;
+        }
+    }
+    
+    /**
+     * Load the saved game snapshot
+     * @returns {Object|null} Saved snapshot or null if there is none or it is corrupt
+     */
+    function loadGame() {
+        const data = loadData(STORAGE_KEYS.SAVED_GAME, '');
+        if (!data) {
+            return null;
+        }
+        
+        const snapshot = parseRecord(data, 'Saved game');
+        return snapshot ? upgradeSnapshot(snapshot, 'Saved game') : null;
+    }
+    
+    /**
+     * Check if there is a saved game to continue
+     * @returns {boolean} Whether a saved game exists
+     */
+    function hasSavedGame() {
+        return loadGame() !== null;
+    }
+    
+    /**
+     * Restore the game from a snapshot
+     * @param {Object} snapshot - Snapshot from createSnapshot()
+     * @returns {boolean} Whether the game was restored
+     */
+    function restoreGame(snapshot) {
+        if (!snapshot) {
+            return false;
+        }
+        
+        try {
+            // Drop any pending game-time work from the game we are replacing
+            if (window.GameScheduler) {
+                GameScheduler.clear();
+            }
+            
+            if (window.GameRandom && snapshot.random) {
+                GameRandom.setState(snapshot.random);
+            }
+            
+            // The board state holds the enemy routes too
+            SudokuBoard.loadState(snapshot.sudoku);
+            
+            if (window.EnemyWaves) {
+                EnemyWaves.init();
+                EnemyWaves.setWaveNumber(snapshot.waveNumber);
+            }
+            
+            TowerPlacement.loadState(snapshot.towers);
+            PlayerModule.loadState(snapshot.player);
+            
+            // Notes after the towers, so notes in cells that were built on are dropped
+            if (window.SudokuNotes) {
+                SudokuNotes.loadState(snapshot.notes);
+            }
+            
+            // Restore completed units before their bonuses so no new bonus is offered
+            if (window.SudokuCompletion && snapshot.completion) {
+                SudokuCompletion.loadCompletionStatus(snapshot.completion);
+            }
+            
+            if (window.CompletionBonusModule && snapshot.bonuses) {
+                CompletionBonusModule.loadBonuses(snapshot.bonuses);
+            }
+            
+            if (window.GameStats) {
+                GameStats.loadRunStats(snapshot.stats);
+            }
+            
+            EventSystem.publish(GameEvents.GAME_RESTORED, snapshot);
+            EventSystem.publish(GameEvents.UI_UPDATE);
+            EventSystem.publish(GameEvents.STATUS_MESSAGE, `Game restored at wave ${snapshot.waveNumber}`);
+            
+            return true;
+        } catch (error) {
+            console.error(`Error restoring saved game: ${error.message}`);
+            return false;
+        }
+    }
+    
+    /**
+     * Remove the saved game snapshot
+     */
+    function clearSavedGame() {
+        try {
+            GameStorage.removeItem(STORAGE_KEYS.SAVED_GAME);
+        } catch (error) {
+            console.error(`Error clearing saved game: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Get the storage key for a save slot
+     * @param {number} slot - Slot number, starting at 1
+     * @returns {string|null} Storage key or null if the slot doesn't exist
+     */
+    function getSlotKey(slot) {
+        slot = parseInt(slot);
+        if (!(slot >= 1 && slot <= SLOT_COUNT)) {
+            console.error(`Invalid save slot: ${slot}`);
+            return null;
+        }
+        return STORAGE_KEYS.SLOT_PREFIX + slot;
+    }
+    
+    /**
+     * Read a save slot
+     * @param {number} slot - Slot number
+     * @returns {Object|null} Slot record or null if the slot is empty
+     */
+    function readSlot(slot) {
+        const key = getSlotKey(slot);
+        const data = key ? loadData(key, '') : '';
+        if (!data) {
+            return null;
+        }
+        
+        const record = parseRecord(data, `Save slot ${slot}`);
+        const snapshot = record ? upgradeSnapshot(record.snapshot, `Save slot ${slot}`) : null;
+        if (!snapshot) {
+            return null;
+        }
+        
+        return { name: String(record.name || `Slot ${slot}`), snapshot: snapshot };
+    }
+    
+    /**
+     * Get the details of every save slot, for the load screen
+     * @returns {Object[]} One entry per slot; empty slots only have slot and empty set
+     */
+    function getSlots() {
+        const slots = [];
+        
+        for (let slot = 1; slot <= SLOT_COUNT; slot++) {
+            const record = readSlot(slot);
+            if (!record || !record.snapshot) {
+                slots.push({ slot: slot, empty: true });
+                continue;
+            }
+            
+            const snapshot = record.snapshot;
+            slots.push({
+                slot: slot,
+                empty: false,
+                name: record.name,
+                difficulty: snapshot.sudoku.difficulty,
+                waveNumber: snapshot.waveNumber,
+                score: snapshot.player.score,
+                lives: snapshot.player.lives,
+                savedAt: snapshot.savedAt,
+                preview: {
+                    board: snapshot.sudoku.board,
+                    fixedCells: snapshot.sudoku.fixedCells,
+                    pathCells: snapshot.sudoku.pathCells
+                }
+            });
+        }
+        
+        return slots;
+    }
+    
+    /**
+     * Save the current game to a slot, overwriting whatever is there
+     * @param {number} slot - Slot number
+     * @param {string} [name] - Slot name, keeps the existing name if omitted
+     * @returns {boolean} Whether the game was saved
+     */
+    function saveToSlot(slot, name) {
+        const key = getSlotKey(slot);
+        const snapshot = key ? getResumableSnapshot() : null;
+        if (!snapshot) {
+            return false;
+        }
+        
+        const existing = readSlot(slot);
+        const slotName = (name && name.trim()) || (existing && existing.name) || `Slot ${slot}`;
+        
+        saveData(key, JSON.stringify({ name: slotName, snapshot: snapshot }));
+        showSaveNotification(`Saved to "${slotName}"`);
+        
+        return true;
+    }
+    
+    /**
+     * Restore the game saved in a slot
+     * @param {number} slot - Slot number
+     * @returns {boolean} Whether the game was restored
+     */
+    function loadFromSlot(slot) {
+        const record = readSlot(slot);
+        if (!record) {
+            return false;
+        }
+        
+        return restoreGame(record.snapshot);
+    }
+    
+    /**
+     * Rename a save slot
+     * @param {number} slot - Slot number
+     * @param {string} name - New name
+     * @returns {boolean} Whether the slot was renamed
+     */
+    function renameSlot(slot, name) {
+        const record = readSlot(slot);
+        if (!record || !name || !name.trim()) {
+            return false;
+        }
+        
+        record.name = name.trim();
+        saveData(getSlotKey(slot), JSON.stringify(record));
+        
+        return true;
+    }
+    
+    /**
+     * Delete the game saved in a slot
+     * @param {number} slot - Slot number
+     */
+    function deleteSlot(slot) {
+        const key = getSlotKey(slot);
+        if (!key) {
+            return;
+        }
+        
+        try {
+            GameStorage.removeItem(key);
+        } catch (error) {
+            console.error(`Error deleting save slot: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Export the current game as the contents of a JSON file
+     * @returns {string|null} File contents or null if there is no game to export
+     */
+    function exportGame() {
+        const snapshot = getResumableSnapshot();
+        return snapshot ? SaveCodec.exportToFile(snapshot) : null;
+    }
+    
+    /**
+     * Import a game from the contents of an exported JSON file
+     * @param {string} text - File contents
+     * @throws {Error} If the file is not a valid save
+     */
+    function importGame(text) {
+        if (!restoreGame(SaveCodec.importFromFile(text))) {
+            throw new Error("The save could not be loaded");
+        }
+    }
+    
+    /**
+     * Create a share code for the current game
+     * @returns {string|null} Share code or null if there is no game to share
+     */
+    function getShareCode() {
+        const snapshot = getResumableSnapshot();
+        return snapshot ? SaveCodec.createShareCode(snapshot) : null;
+    }
+    
+    /**
+     * Load the position described by a share code
+     * @param {string} code - Share code
+     * @throws {Error} If the code is invalid or has been altered
+     */
+    function loadShareCode(code) {
+        const cellSize = window.GameLoop ? GameLoop.getCellSize() : 55;
+        const snapshot = SaveCodec.parseShareCode(code, cellSize);
+        
+        // The code only holds the seed, so restart the generator from it
+        if (window.GameRandom && snapshot.seed) {
+            GameRandom.setSeed(snapshot.seed);
+            snapshot.random = GameRandom.getState();
+        }
+        
+        if (!restoreGame(snapshot)) {
+            throw new Error("The shared game could not be loaded");
+        }
+    }
+    
+    /**
+     * Save achievement progress and unlocks
+     * @param {Object} achievements - Progress and unlock time by achievement ID
+     */
+    function saveAchievements(achievements) {
+        saveData(STORAGE_KEYS.ACHIEVEMENTS, JSON.stringify({
+            schemaVersion: ACHIEVEMENTS_VERSION,
+            achievements: achievements
+        }));
+    }
+    
+    /**
+     * Load achievement progress and unlocks
+     * @returns {Object} Progress and unlock time by achievement ID, empty if none or corrupt
+     */
+    function loadAchievements() {
+        const data = loadData(STORAGE_KEYS.ACHIEVEMENTS, '');
+        if (!data) {
+            return {};
+        }
+        
+        const record = parseRecord(data, 'Achievements');
+        if (!record) {
+            return {};
+        }
+        
+        if (record.schemaVersion !== ACHIEVEMENTS_VERSION || typeof record.achievements !== 'object') {
+            showSaveWarning('Achievements could not be loaded: unknown format');
+            return {};
+        }
+        
+        return record.achievements;
+    }
+    
+    /**
+     * Save the player's settings. The difficulty is also kept under its own
+     * key, which getLastSavedState() reports.
+     * @param {Object} settings - Settings by name
+     */
+    function saveSettings(settings) {
+        saveData(STORAGE_KEYS.SETTINGS, JSON.stringify({
+            schemaVersion: SETTINGS_VERSION,
+            settings: settings
+        }));
+        
+        if (settings.difficulty) {
+            saveData(STORAGE_KEYS.DIFFICULTY, settings.difficulty);
+        }
+    }
+    
+    /**
+     * Load the player's settings
+     * @returns {Object} Settings by name, empty if none or corrupt. Before settings
+     *     were saved only the difficulty was, so that is returned if present.
+     */
+    function loadSettings() {
+        const data = loadData(STORAGE_KEYS.SETTINGS, '');
+        if (!data) {
+            return loadData(STORAGE_KEYS.DIFFICULTY, '') ? { difficulty: getLastSavedState().difficulty } : {};
+        }
+        
+        const record = parseRecord(data, 'Settings data');
+        if (!record) {
+            return {};
+        }
+        
+        if (record.schemaVersion !== SETTINGS_VERSION || !record.settings || typeof record.settings !== 'object') {
+            showSaveWarning('Settings could not be loaded: unknown format');
+            return {};
+        }
+        
+        return record.settings;
+    }
+    
     /**
      * Clear all saved data
      */
     function clearSavedData() {
         try {
-            localStorage.removeItem(STORAGE_KEYS.HIGH_SCORE);
-            localStorage.removeItem(STORAGE_KEYS.CURRENT_SCORE);
-            localStorage.removeItem(STORAGE_KEYS.LAST_LEVEL);
-            localStorage.removeItem(STORAGE_KEYS.LAST_WAVE);
-            localStorage.removeItem(STORAGE_KEYS.DIFFICULTY);
+            GameStorage.removeItem(STORAGE_KEYS.HIGH_SCORE);
+            GameStorage.removeItem(STORAGE_KEYS.CURRENT_SCORE);
+            GameStorage.removeItem(STORAGE_KEYS.DIFFICULTY);
+            GameStorage.removeItem(STORAGE_KEYS.SAVED_GAME);
+            GameStorage.removeItem(STORAGE_KEYS.ACHIEVEMENTS);
+            GameStorage.removeItem(STORAGE_KEYS.SETTINGS);
+            for (let slot = 1; slot <= SLOT_COUNT; slot++) {
+                GameStorage.removeItem(getSlotKey(slot));
+            }
             console.log("All saved game data cleared");
             
             // Show notification for data cleared
@@ -152,6 +645,9 @@ const SaveSystem = (function() {
                         transition: opacity 0.3s, transform 0.3s;
                         z-index: 1000;
                     }
+                    .save-notification.warning {
+                        background-color: rgba(244, 67, 54, 0.9);
+                    }
                     .save-notification.visible {
                         opacity: 1;
                         transform: translateY(0);
@@ -166,16 +662,46 @@ const SaveSystem = (function() {
     /**
      * Show a save notification
      * @param {string} message - Message to show
+     * @param {boolean} [isWarning=false] - Whether to show the message as a warning
      */
-    function showSaveNotification(message = 'Game saved') {
+    function showSaveNotification(message = 'Game saved', isWarning = false) {
+        // Nothing to show when running without a page (headless simulation)
+        if (typeof document === 'undefined') {
+            return;
+        }
+        
         const notification = createSaveNotification();
         notification.textContent = message;
+        notification.classList.toggle('warning', isWarning);
         notification.classList.add('visible');
         
-        // Hide notification after a delay
+        // Hide notification after a delay, warnings stay up longer
         setTimeout(() => {
             notification.classList.remove('visible');
-        }, 2000);
+        }, isWarning ? 5000 : 2000);
+    }
+    
+    /**
+     * Warn that saved data was corrupt or unreadable
+     * @param {string} message - Warning to show
+     */
+    function showSaveWarning(message) {
+        console.warn(message);
+        showSaveNotification(message, true);
+    }
+    
+    /**
+     * Save the score and game as the page closes. The page can be gone before
+     * background writes finish, so the keys are flushed to storage at once.
+     */
+    function saveOnUnload() {
+        saveScore();
+        saveGame();
+        GameStorage.flush([
+            STORAGE_KEYS.CURRENT_SCORE,
+            STORAGE_KEYS.HIGH_SCORE,
+            STORAGE_KEYS.SAVED_GAME
+        ]);
     }
     
     /**
@@ -194,42 +720,34 @@ const SaveSystem = (function() {
             }
         });
         
+        // Keep the state at the start of each wave for saves made during it
+        EventSystem.subscribe(GameEvents.WAVE_START, function() {
+            waveStartSnapshot = createSnapshot();
+        });
+        
+        EventSystem.subscribe(GameEvents.GAME_INIT, function() {
+            waveStartSnapshot = null;
+        });
+        
         // Save on wave completion
         EventSystem.subscribe(GameEvents.WAVE_COMPLETE, saveScore);
         
-        // Save on game over
+        // Save a full snapshot once the next wave is ready
+        EventSystem.subscribe(GameEvents.WAVE_READY, saveGame);
+        
+        // Save on game over; a lost game cannot be continued
         EventSystem.subscribe(GameEvents.GAME_OVER, saveScore);
+        EventSystem.subscribe(GameEvents.GAME_OVER, clearSavedGame);
         
         // Save when window is closed
-        window.addEventListener('beforeunload', saveScore);
+        window.addEventListener('beforeunload', saveOnUnload);
         
         // Also save periodically (every 30 seconds)
         setInterval(saveScore, 30000);
     }
     
-    /**
-     * Check if local storage is available
-     * @returns {boolean} Whether localStorage is available
-     */
-    function isStorageAvailable() {
-        try {
-            const test = '__storage_test__';
-            localStorage.setItem(test, test);
-            localStorage.removeItem(test);
-            return true;
-        } catch (e) {
-            return false;
-        }
-    }
-    
-    // Initialize with storage check
-    const storageAvailable = isStorageAvailable();
-    if (!storageAvailable) {
-        console.warn("localStorage is not available. Game progress will not be saved.");
-    } else {
-        // Initialize event listeners if storage is available
-        initEventListeners();
-    }
+    // Initialize event listeners; without persistent storage, GameStorage keeps data in memory
+    initEventListeners();
     
     // Public API
     return {
@@ -237,7 +755,27 @@ const SaveSystem = (function() {
         getHighScore,
         getLastSavedState,
         clearSavedData,
-        isStorageAvailable: function() { return storageAvailable; },
+        createSnapshot,
+        saveGame,
+        loadGame,
+        hasSavedGame,
+        restoreGame,
+        clearSavedGame,
+        getSlots,
+        saveToSlot,
+        loadFromSlot,
+        renameSlot,
+        deleteSlot,
+        exportGame,
+        importGame,
+        getShareCode,
+        loadShareCode,
+        saveAchievements,
+        loadAchievements,
+        saveSettings,
+        loadSettings,
+        SLOT_COUNT,
+        isStorageAvailable: function() { return GameStorage.isAvailable(); },
         showSaveNotification
     };
 })();
@@ -0,0 +1,169 @@
+/**
+ * scheduler.js - Game-time timers driven by the game loop
+ * This module replaces window.setTimeout/setInterval for gameplay work.
+ * Timers only advance when GameLoop steps the simulation, so they stop
+ * while the game is paused and run faster at higher game speeds.
+ */
+
+const GameScheduler = (function() {
+    // Active timers by ID
+    const timers = new Map();
+    let nextTimerId = 0;
+
+    // Total simulation time elapsed, in seconds
+    let currentTime = 0;
+
+    // Shortest allowed repeat interval, in milliseconds
+    const MIN_INTERVAL = 1;
+
+    /**
+     * Register a timer
+     * @param {function} callback - Function to call when the timer fires
+     * @param {number} delay - Delay in milliseconds of game time
+     * @param {boolean} repeat - Whether the timer repeats
+     * @returns {number} Timer ID
+     */
+    function addTimer(callback, delay, repeat) {
+        const id = ++nextTimerId;
+        const interval = Math.max(repeat ? MIN_INTERVAL : 0, delay || 0) / 1000;
+
+        timers.set(id, {
+            id: id,
+            callback: callback,
+            interval: interval,
+            remaining: interval,
+            repeat: repeat,
+            paused: false
+        });
+
+        return id;
+    }
+
+    /**
+     * Call a function once after a delay of game time
+     * @param {function} callback - Function to call
+     * @param {number} delay - Delay in milliseconds
+     * @returns {number} Timer ID
+     */
+    function setTimeout(callback, delay) {
+        return addTimer(callback, delay, false);
+    }
+
+    /**
+     * Call a function repeatedly with a fixed interval of game time
+     * @param {function} callback - Function to call
+     * @param {number} interval - Interval in milliseconds
+     * @returns {number} Timer ID
+     */
+    function setInterval(callback, interval) {
+        return addTimer(callback, interval, true);
+    }
+
+    /**
+     * Cancel a timer
+     * @param {number} id - Timer ID
+     * @returns {boolean} Whether a timer was cancelled
+     */
+    function cancel(id) {
+        return timers.delete(id);
+    }
+
+    /**
+     * Pause a single timer
+     * @param {number} id - Timer ID
+     */
+    function pauseTimer(id) {
+        const timer = timers.get(id);
+        if (timer) {
+            timer.paused = true;
+        }
+    }
+
+    /**
+     * Resume a paused timer
+     * @param {number} id - Timer ID
+     */
+    function resumeTimer(id) {
+        const timer = timers.get(id);
+        if (timer) {
+            timer.paused = false;
+        }
+    }
+
+    /**
+     * Check if a timer is still scheduled
+     * @param {number} id - Timer ID
+     * @returns {boolean} Whether the timer exists
+     */
+    function isActive(id) {
+        return timers.has(id);
+    }
+
+    /**
+     * Advance all timers
+     * Called by GameLoop once per simulation step
+     * @param {number} deltaTime - Game time elapsed in seconds
+     */
+    function update(deltaTime) {
+        currentTime += deltaTime;
+
+        // Iterate over a copy so callbacks can add or cancel timers
+        for (const timer of Array.from(timers.values())) {
+            if (timer.paused || !timers.has(timer.id)) {
+                continue;
+            }
+
+            timer.remaining -= deltaTime;
+
+            while (timer.remaining <= 0 && timers.has(timer.id)) {
+                if (timer.repeat) {
+                    timer.remaining += timer.interval;
+                } else {
+                    timers.delete(timer.id);
+                }
+
+                try {
+                    timer.callback();
+                } catch (error) {
+                    console.error("Error in scheduled callback:", error);
+                }
+
+                if (!timer.repeat || timer.paused) {
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Cancel all timers and reset the clock
+     */
+    function clear() {
+        timers.clear();
+        currentTime = 0;
+    }
+
+    /**
+     * Get the elapsed game time
+     * @returns {number} Game time in seconds
+     */
+    function getTime() {
+        return currentTime;
+    }
+
+    // Public API
+    return {
+        setTimeout,
+        setInterval,
+        cancel,
+        pauseTimer,
+        resumeTimer,
+        isActive,
+        update,
+        clear,
+        getTime
+    };
+})();
+
+// Make module available globally
+window.GameScheduler = GameScheduler;
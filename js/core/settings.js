@@ -0,0 +1,223 @@
+/**
+ * settings.js - Handles the player's preferences
+ * This module keeps the settings chosen in the settings panel, saves them
+ * through SaveSystem and applies them to the game: the difficulty, variant
+ * and board size of new puzzles, the shape, entrances and forks of enemy
+ * paths, the game speed, the sound volume, reduced motion, tower ranges and
+ * how waves start.
+ */
+
+const GameSettings = (function() {
+    // Default value of every setting
+    const DEFAULTS = {
+        difficulty: 'medium',
+        variant: 'classic',
+        boardSize: 9,
+        pathShape: 'edge',
+        pathEntrances: 1,
+        pathForks: 0,
+        gameSpeed: 1,
+        volume: 50,
+        reducedMotion: false,
+        confirmBeforeWave: false,
+        autoStartWaves: false,
+        showTowerRanges: false
+    };
+
+    // Seconds to wait after a wave is ready before starting it automatically
+    const AUTO_START_DELAY = 3;
+
+    // Current settings
+    let settings = { ...DEFAULTS };
+
+    /**
+     * Check if a value is allowed for a setting
+     * @param {string} name - Setting name
+     * @param {*} value - Value to check
+     * @returns {boolean} Whether the value is valid
+     */
+    function isValid(name, value) {
+        switch (name) {
+            case 'difficulty':
+                return window.SudokuGenerator ? value in SudokuGenerator.difficultySettings : typeof value === 'string';
+            case 'variant':
+                return window.SudokuConstraints ? value in SudokuConstraints.VARIANTS : typeof value === 'string';
+            case 'boardSize':
+                return window.SudokuConstraints ? SudokuConstraints.isValidSize(value) : Number.isInteger(value);
+            case 'pathShape':
+                return window.EnemyPaths ? value in EnemyPaths.SHAPES : typeof value === 'string';
+            case 'pathEntrances':
+                return Number.isInteger(value) && value >= 1 && value <= (window.EnemyPaths ? EnemyPaths.MAX_ENTRANCES : 3);
+            case 'pathForks':
+                return Number.isInteger(value) && value >= 0 && value <= (window.EnemyPaths ? EnemyPaths.MAX_FORKS : 2);
+            case 'gameSpeed':
+                return window.GameLoop ? GameLoop.getSpeeds().includes(value) : [1, 2, 4].includes(value);
+            case 'volume':
+                return Number.isInteger(value) && value >= 0 && value <= 100;
+            default:
+                return typeof value === 'boolean';
+        }
+    }
+
+    /**
+     * Get the default for reduced motion from the browser preference
+     * @returns {boolean} Whether the player asked the system for reduced motion
+     */
+    function prefersReducedMotion() {
+        return typeof window.matchMedia === 'function' &&
+            window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    /**
+     * Load the settings through SaveSystem, replacing invalid values with defaults
+     */
+    function load() {
+        const stored = window.SaveSystem ? SaveSystem.loadSettings() : {};
+
+        settings = { ...DEFAULTS, reducedMotion: prefersReducedMotion() };
+        for (const name in DEFAULTS) {
+            if (!(name in stored)) {
+                continue;
+            }
+
+            if (isValid(name, stored[name])) {
+                settings[name] = stored[name];
+            } else {
+                console.warn(`Saved setting "${name}" is invalid, using the default`);
+            }
+        }
+    }
+
+    /**
+     * Save the settings through SaveSystem
+     */
+    function save() {
+        if (window.SaveSystem) {
+            SaveSystem.saveSettings(settings);
+        }
+    }
+
+    /**
+     * Apply the settings to the game modules and the page
+     */
+    function apply() {
+        if (window.SudokuBoard) {
+            SudokuBoard.setDifficulty(settings.difficulty);
+            SudokuBoard.setVariant(settings.variant);
+            SudokuBoard.setSize(settings.boardSize);
+            SudokuBoard.setPathShape(settings.pathShape);
+            SudokuBoard.setPathEntrances(settings.pathEntrances);
+            SudokuBoard.setPathForks(settings.pathForks);
+        }
+
+        if (window.GameLoop) {
+            GameLoop.setSpeed(settings.gameSpeed);
+        }
+
+        if (typeof document !== 'undefined' && document.body) {
+            document.body.classList.toggle('reduced-motion', settings.reducedMotion);
+            document.body.classList.toggle('show-tower-ranges', settings.showTowerRanges);
+
+            // Any sound on the page plays at the chosen volume
+            document.querySelectorAll('audio, video').forEach(element => {
+                element.volume = settings.volume / 100;
+            });
+        }
+    }
+
+    /**
+     * Get a setting
+     * @param {string} name - Setting name
+     * @returns {*} Setting value
+     */
+    function get(name) {
+        return settings[name];
+    }
+
+    /**
+     * Get all settings
+     * @returns {Object} Copy of the settings by name
+     */
+    function getAll() {
+        return { ...settings };
+    }
+
+    /**
+     * Change one or more settings, then save and apply them
+     * @param {Object} changes - New values by setting name
+     * @returns {string[]} Names of the settings that changed
+     * @throws {Error} If a setting is unknown or a value is invalid
+     */
+    function update(changes) {
+        for (const name in changes) {
+            if (!(name in DEFAULTS)) {
+                throw new Error(`Unknown setting "${name}"`);
+            }
+            if (!isValid(name, changes[name])) {
+                throw new Error(`Invalid value for setting "${name}"`);
+            }
+        }
+
+        const changed = Object.keys(changes).filter(name => settings[name] !== changes[name]);
+        if (changed.length === 0) {
+            return changed;
+        }
+
+        settings = { ...settings, ...changes };
+        save();
+        apply();
+
+        EventSystem.publish(GameEvents.SETTINGS_CHANGED, { settings: getAll(), changed });
+
+        return changed;
+    }
+
+    /**
+     * Put every setting back to its default
+     */
+    function reset() {
+        update({ ...DEFAULTS, reducedMotion: prefersReducedMotion() });
+    }
+
+    /**
+     * Load the saved settings and apply them, called once at startup
+     */
+    function init() {
+        load();
+        apply();
+    }
+
+    /**
+     * Start the next wave by itself when auto-start is on
+     */
+    function scheduleAutoStart() {
+        if (!settings.autoStartWaves || !window.EnemyWaves || !window.GameScheduler) {
+            return;
+        }
+
+        EventSystem.publish(GameEvents.STATUS_MESSAGE, `Next wave starts in ${AUTO_START_DELAY} seconds`);
+
+        GameScheduler.setTimeout(() => {
+            const gameOver = window.PlayerModule && PlayerModule.getState().lives <= 0;
+            if (settings.autoStartWaves && !gameOver && !EnemyWaves.isWaveInProgress()) {
+                EnemyWaves.startWave();
+            }
+        }, AUTO_START_DELAY * 1000);
+    }
+
+    // Listen for the end of each wave
+    EventSystem.subscribe(GameEvents.WAVE_READY, scheduleAutoStart);
+
+    // Public API
+    return {
+        init,
+        get,
+        getAll,
+        update,
+        reset,
+        DEFAULTS: { ...DEFAULTS }
+    };
+})();
+
+// Make module available globally
+window.GameSettings = GameSettings;
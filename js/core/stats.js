@@ -0,0 +1,216 @@
+/**
+ * stats.js - Collects game statistics from game events
+ * This module keeps totals for the current run and for every game played
+ * (lifetime). Lifetime totals are kept in GameStorage when it is available.
+ */
+
+const GameStats = (function() {
+    // Storage key and schema version for lifetime totals
+    const STORAGE_KEY = 'sudoku_td_lifetime_stats';
+    const SCHEMA_VERSION = 1;
+
+    // Totals for the current game and for all games
+    let runStats = createEmptyStats();
+    let lifetimeStats = createEmptyStats();
+
+    /**
+     * Create a set of empty totals
+     * @returns {Object} Empty statistics
+     */
+    function createEmptyStats() {
+        return {
+            killsByDigit: {},
+            damageByTowerType: {},
+            towersBuilt: 0,
+            incorrectPlacements: 0,
+            currencyEarned: 0,
+            currencySpent: 0,
+            enemiesLeaked: 0,
+            wavesSurvived: 0,
+            gamesPlayed: 0
+        };
+    }
+
+    /**
+     * Copy a set of totals
+     * @param {Object} stats - Statistics to copy
+     * @returns {Object} Deep copy of the statistics
+     */
+    function copyStats(stats) {
+        return {
+            ...stats,
+            killsByDigit: { ...stats.killsByDigit },
+            damageByTowerType: { ...stats.damageByTowerType }
+        };
+    }
+
+    /**
+     * Apply a change to both the run and lifetime totals
+     * @param {function} update - Function that changes a set of totals
+     */
+    function record(update) {
+        update(runStats);
+        update(lifetimeStats);
+    }
+
+    /**
+     * Check if game storage can be used
+     * @returns {boolean} Whether GameStorage is loaded (it isn't in headless runs)
+     */
+    function hasStorage() {
+        return !!window.GameStorage;
+    }
+
+    /**
+     * Load lifetime totals from storage
+     */
+    function loadLifetimeStats() {
+        if (!hasStorage()) {
+            return;
+        }
+
+        try {
+            const data = GameStorage.getItem(STORAGE_KEY);
+            if (!data) {
+                return;
+            }
+
+            const stored = JSON.parse(data);
+            if (!stored || stored.schemaVersion !== SCHEMA_VERSION || typeof stored.stats !== 'object') {
+                throw new Error("unknown format");
+            }
+
+            lifetimeStats = { ...createEmptyStats(), ...copyStats(stored.stats) };
+        } catch (error) {
+            console.warn(`Lifetime statistics are corrupt and were reset: ${error.message}`);
+            lifetimeStats = createEmptyStats();
+        }
+    }
+
+    /**
+     * Save lifetime totals to storage
+     */
+    function saveLifetimeStats() {
+        if (!hasStorage()) {
+            return;
+        }
+
+        try {
+            GameStorage.setItem(STORAGE_KEY, JSON.stringify({ schemaVersion: SCHEMA_VERSION, stats: lifetimeStats }));
+        } catch (error) {
+            console.error(`Error saving statistics: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the totals for the current game
+     * @returns {Object} Run statistics
+     */
+    function getRunStats() {
+        return copyStats(runStats);
+    }
+
+    /**
+     * Get the totals for all games
+     * @returns {Object} Lifetime statistics
+     */
+    function getLifetimeStats() {
+        return copyStats(lifetimeStats);
+    }
+
+    /**
+     * Restore the current game's totals, e.g. from a saved game
+     * @param {Object} stats - Run statistics from getRunStats()
+     */
+    function loadRunStats(stats) {
+        runStats = stats ? { ...createEmptyStats(), ...copyStats(stats) } : createEmptyStats();
+    }
+
+    /**
+     * Start counting a new game
+     */
+    function startRun() {
+        runStats = createEmptyStats();
+        runStats.gamesPlayed = 1;
+        lifetimeStats.gamesPlayed++;
+        saveLifetimeStats();
+    }
+
+    /**
+     * Remove all lifetime totals
+     */
+    function resetLifetimeStats() {
+        lifetimeStats = createEmptyStats();
+        saveLifetimeStats();
+    }
+
+    /**
+     * Initialize event listeners
+     */
+    function initEventListeners() {
+        EventSystem.subscribe(GameEvents.GAME_INIT, startRun);
+
+        EventSystem.subscribe(GameEvents.ENEMY_DEFEATED, function(data) {
+            const digit = data.enemy.type;
+            record(stats => {
+                stats.killsByDigit[digit] = (stats.killsByDigit[digit] || 0) + 1;
+            });
+        });
+
+        EventSystem.subscribe(GameEvents.TOWER_ATTACK, function(data) {
+            const type = data.tower.type;
+            record(stats => {
+                stats.damageByTowerType[type] = (stats.damageByTowerType[type] || 0) + data.damage;
+            });
+        });
+
+        EventSystem.subscribe(GameEvents.TOWER_PLACED, function(tower) {
+            record(stats => {
+                stats.towersBuilt++;
+                if (!tower.isCorrect) {
+                    stats.incorrectPlacements++;
+                }
+            });
+        });
+
+        EventSystem.subscribe(GameEvents.ENEMY_REACHED_END, function() {
+            record(stats => stats.enemiesLeaked++);
+        });
+
+        EventSystem.subscribe(GameEvents.CURRENCY_EARNED, function(amount) {
+            record(stats => { stats.currencyEarned += amount; });
+        });
+
+        EventSystem.subscribe(GameEvents.CURRENCY_SPENT, function(amount) {
+            record(stats => { stats.currencySpent += amount; });
+        });
+
+        EventSystem.subscribe(GameEvents.WAVE_COMPLETE, function() {
+            record(stats => stats.wavesSurvived++);
+            saveLifetimeStats();
+        });
+
+        EventSystem.subscribe(GameEvents.GAME_OVER, saveLifetimeStats);
+
+        if (typeof window.addEventListener === 'function') {
+            window.addEventListener('beforeunload', saveLifetimeStats);
+        }
+    }
+
+    // Initialize once stored data has been read
+    if (hasStorage()) {
+        GameStorage.whenReady(loadLifetimeStats);
+    }
+    initEventListeners();
+
+    // Public API
+    return {
+        getRunStats,
+        getLifetimeStats,
+        loadRunStats,
+        resetLifetimeStats
+    };
+})();
+
+// Make module available globally
+window.GameStats = GameStats;
@@ -0,0 +1,391 @@
+/**
+ * storage.js - Persistent key/value storage for game data
+ * This module hides where game data is kept behind one API. It uses an
+ * IndexedDB store when the browser supports it and falls back to localStorage
+ * otherwise. Everything is read into memory once at startup, so reads are
+ * synchronous; writes update memory at once and are written to the backend
+ * in the background.
+ *
+ * The first time IndexedDB is used, existing sudoku_td_* keys are moved over
+ * from localStorage. Background writes can be lost when the page closes, so
+ * flush() also copies keys to localStorage at once; those copies are applied
+ * the next time storage opens.
+ */
+
+const GameStorage = (function() {
+    // Prefix of every key the game stores
+    const KEY_PREFIX = 'sudoku_td_';
+
+    // IndexedDB database layout
+    const DB_NAME = 'sudoku_td';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'keyval';
+
+    // Set in the IndexedDB store once localStorage keys have been moved over
+    const MIGRATED_KEY = 'sudoku_td_storage_migrated';
+
+    // localStorage key holding values flushed while IndexedDB writes were pending
+    const PENDING_KEY = 'sudoku_td_pending_writes';
+
+    /**
+     * Wrap an IndexedDB request in a promise
+     * @param {IDBRequest} request - Request to wrap
+     * @returns {Promise} Resolves with the request result
+     */
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Create the IndexedDB backend
+     * @returns {Object} Adapter with async open, getAll, set and remove
+     */
+    function createIndexedDBAdapter() {
+        let db = null;
+
+        /**
+         * Run a request against the store
+         * @param {string} mode - Transaction mode
+         * @param {function} makeRequest - Creates the request from the object store
+         * @returns {Promise} Resolves with the request result
+         */
+        function withStore(mode, makeRequest) {
+            const transaction = db.transaction(STORE_NAME, mode);
+            return promisify(makeRequest(transaction.objectStore(STORE_NAME)));
+        }
+
+        return {
+            name: 'indexeddb',
+
+            open() {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME);
+                };
+                return promisify(request).then(database => {
+                    db = database;
+                });
+            },
+
+            getAll() {
+                return Promise.all([
+                    withStore('readonly', store => store.getAllKeys()),
+                    withStore('readonly', store => store.getAll())
+                ]).then(([keys, values]) => new Map(keys.map((key, index) => [key, values[index]])));
+            },
+
+            set(key, value) {
+                return withStore('readwrite', store => store.put(value, key));
+            },
+
+            remove(key) {
+                return withStore('readwrite', store => store.delete(key));
+            }
+        };
+    }
+
+    /**
+     * Create the localStorage backend
+     * @returns {Object} Adapter with the same API as the IndexedDB one
+     */
+    function createLocalStorageAdapter() {
+        return {
+            name: 'localstorage',
+
+            open() {
+                // Throws if storage is disabled, e.g. in some private browsing modes
+                const test = '__storage_test__';
+                localStorage.setItem(test, test);
+                localStorage.removeItem(test);
+                return Promise.resolve();
+            },
+
+            getAll() {
+                const entries = new Map();
+                for (let i = 0; i < localStorage.length; i++) {
+                    const key = localStorage.key(i);
+                    if (key.startsWith(KEY_PREFIX) && key !== PENDING_KEY) {
+                        entries.set(key, localStorage.getItem(key));
+                    }
+                }
+                return Promise.resolve(entries);
+            },
+
+            set(key, value) {
+                localStorage.setItem(key, value);
+                return Promise.resolve();
+            },
+
+            remove(key) {
+                localStorage.removeItem(key);
+                return Promise.resolve();
+            }
+        };
+    }
+
+    // Data in memory, the backend in use and the startup promise
+    let cache = new Map();
+    let adapter = null;
+    let readyPromise = null;
+
+    // Writes made before storage was ready, a null value for a removal
+    const earlyWrites = new Map();
+    let isReady = false;
+
+    // Number of the latest flush, so an earlier one doesn't clear its copies
+    let flushCount = 0;
+
+    /**
+     * Move the sudoku_td_* keys from localStorage into IndexedDB, once
+     * @returns {Promise} Resolves when the keys have been moved
+     */
+    function migrateFromLocalStorage() {
+        if (cache.has(MIGRATED_KEY)) {
+            return Promise.resolve();
+        }
+
+        // Even checking for localStorage throws in some sandboxed pages
+        const keys = [];
+        try {
+            if (typeof localStorage === 'undefined') {
+                return Promise.resolve();
+            }
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key.startsWith(KEY_PREFIX) && key !== PENDING_KEY) {
+                    keys.push(key);
+                }
+            }
+        } catch (error) {
+            console.warn(`Could not read localStorage for migration: ${error.message}`);
+            return Promise.resolve();
+        }
+
+        // Keys already in IndexedDB are newer than the localStorage copies
+        const writes = keys
+            .filter(key => !cache.has(key))
+            .map(key => {
+                const value = localStorage.getItem(key);
+                cache.set(key, value);
+                return adapter.set(key, value);
+            });
+
+        return Promise.all(writes).then(() => {
+            cache.set(MIGRATED_KEY, String(Date.now()));
+            return adapter.set(MIGRATED_KEY, cache.get(MIGRATED_KEY));
+        }).then(() => {
+            // Only free the old keys once they are safely stored
+            keys.forEach(key => localStorage.removeItem(key));
+            console.log(`Moved ${keys.length} saved items from localStorage to IndexedDB`);
+        });
+    }
+
+    /**
+     * Apply values flushed to localStorage by the last session, which are
+     * newer than the IndexedDB copies whose writes may not have finished
+     * @returns {Promise} Resolves when the values are stored
+     */
+    function recoverPendingWrites() {
+        let pending = null;
+        try {
+            pending = JSON.parse(localStorage.getItem(PENDING_KEY));
+        } catch (error) {
+            console.warn(`Could not read flushed writes: ${error.message}`);
+        }
+
+        if (!pending || typeof pending !== 'object') {
+            return Promise.resolve();
+        }
+
+        // A null value is a key that was removed
+        const writes = Object.keys(pending).map(key => {
+            if (pending[key] === null) {
+                cache.delete(key);
+                return adapter.remove(key);
+            }
+            cache.set(key, String(pending[key]));
+            return adapter.set(key, cache.get(key));
+        });
+
+        return Promise.all(writes).then(() => {
+            localStorage.removeItem(PENDING_KEY);
+        });
+    }
+
+    /**
+     * Open the best available backend and load its data
+     * @returns {Promise} Resolves when storage is ready to use
+     */
+    function init() {
+        if (readyPromise) {
+            return readyPromise;
+        }
+
+        // The adapter is only used once it has opened
+        const openIndexedDB = typeof indexedDB !== 'undefined'
+            ? Promise.resolve().then(() => {
+                const indexedDBAdapter = createIndexedDBAdapter();
+                return indexedDBAdapter.open().then(() => {
+                    adapter = indexedDBAdapter;
+                });
+            }).then(() => adapter.getAll())
+            : Promise.reject(new Error("IndexedDB is not supported"));
+
+        readyPromise = openIndexedDB
+            .then(entries => {
+                cache = entries;
+                return migrateFromLocalStorage();
+            })
+            .then(() => recoverPendingWrites())
+            .catch(error => {
+                console.warn(`IndexedDB unavailable, using localStorage: ${error.message}`);
+                adapter = null;
+                const localStorageAdapter = createLocalStorageAdapter();
+                return localStorageAdapter.open()
+                    .then(() => {
+                        adapter = localStorageAdapter;
+                        return adapter.getAll();
+                    })
+                    .then(entries => {
+                        cache = entries;
+                    });
+            })
+            .catch(error => {
+                console.warn(`No persistent storage available, data will not be saved: ${error.message}`);
+                adapter = null;
+                cache = new Map();
+            })
+            .then(() => {
+                // Writes made while loading are newer than the loaded data
+                isReady = true;
+                earlyWrites.forEach((value, key) => {
+                    if (value === null) {
+                        removeItem(key);
+                    } else {
+                        setItem(key, value);
+                    }
+                });
+                earlyWrites.clear();
+
+                console.log(`GameStorage ready using ${adapter ? adapter.name : 'memory only'}`);
+            });
+
+        return readyPromise;
+    }
+
+    /**
+     * Report a failed background write
+     * @param {string} key - Key that failed to save
+     * @returns {function} Promise rejection handler
+     */
+    function onWriteError(key) {
+        return function(error) {
+            console.error(`Error saving ${key}: ${error && error.message}`);
+        };
+    }
+
+    /**
+     * Get a stored value
+     * @param {string} key - Storage key
+     * @returns {string|null} Stored value or null if not found
+     */
+    function getItem(key) {
+        return cache.has(key) ? cache.get(key) : null;
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     */
+    function setItem(key, value) {
+        value = String(value);
+        cache.set(key, value);
+        if (!isReady) {
+            earlyWrites.set(key, value);
+        }
+
+        if (adapter) {
+            adapter.set(key, value).catch(onWriteError(key));
+        }
+    }
+
+    /**
+     * Remove a stored value
+     * @param {string} key - Storage key
+     */
+    function removeItem(key) {
+        cache.delete(key);
+        if (!isReady) {
+            earlyWrites.set(key, null);
+        }
+
+        if (adapter) {
+            adapter.remove(key).catch(onWriteError(key));
+        }
+    }
+
+    /**
+     * Write keys to localStorage at once, for when the page is about to close
+     * and background writes to IndexedDB may never finish. Nothing to do when
+     * localStorage is the backend, since its writes are already synchronous.
+     * @param {Array} keys - Keys to keep, including their removal if they were removed
+     */
+    function flush(keys) {
+        if (!adapter || adapter.name === 'localstorage') {
+            return;
+        }
+
+        const pending = {};
+        keys.forEach(key => {
+            pending[key] = cache.has(key) ? cache.get(key) : null;
+        });
+
+        const flushNumber = ++flushCount;
+        try {
+            localStorage.setItem(PENDING_KEY, JSON.stringify(pending));
+        } catch (error) {
+            console.error(`Error flushing saved data: ${error.message}`);
+            return;
+        }
+
+        // If the page stays open after all, drop the copies once IndexedDB has the values
+        Promise.all(Object.keys(pending).map(key =>
+            pending[key] === null ? adapter.remove(key) : adapter.set(key, pending[key])))
+            .then(() => {
+                if (flushNumber === flushCount) {
+                    localStorage.removeItem(PENDING_KEY);
+                }
+            })
+            .catch(onWriteError(PENDING_KEY));
+    }
+
+    /**
+     * Run a callback once storage is ready
+     * @param {function} callback - Function to call
+     */
+    function whenReady(callback) {
+        init().then(callback);
+    }
+
+    // Start opening storage straight away
+    init();
+
+    // Public API
+    return {
+        ready: init,
+        whenReady,
+        getItem,
+        setItem,
+        removeItem,
+        flush,
+        isAvailable: function() { return adapter !== null; },
+        getBackend: function() { return adapter ? adapter.name : null; }
+    };
+})();
+
+// Make module available globally
+window.GameStorage = GameStorage;
@@ -1,28 +1,31 @@
 /**
  * movement.js - Handles enemy movement along paths
- * This module manages enemy position updates and path following.
+ * This module manages enemy position updates and path following. Each enemy
+ * is given its own route through the path network when it spawns: an
+ * entrance and a branch at every fork.
  */
 
 const EnemyMovement = (function() {
     // Private variables
     let cellSize = 0;
-    let path = [];
+    let routes = []; // Routes from each entrance to an exit, main path first
+    let graph = EnemyPaths.createGraph(routes);
     
     /**
      * Initialize the enemy movement module
      * @param {Object} options - Initialization options
      */
     function init(options = {}) {
-        cellSize = options.cellSize || 55; // Default cell size
+        cellSize = options.cellSize || cellSize || 55; // Keep the last known size by default
         
-        // Get the initial path
-        if (window.SudokuBoard && typeof SudokuBoard.getPathArray === 'function') {
-            path = SudokuBoard.getPathArray();
+        // Get the initial routes
+        if (window.SudokuBoard && typeof SudokuBoard.getRoutes === 'function') {
+            setRoutes(SudokuBoard.getRoutes());
         }
     }
     
     /**
-     * Move an enemy along the path
+     * Move an enemy along its route
      * @param {Object} enemy - The enemy to move
      * @param {number} deltaTime - Time elapsed since last update
      * @returns {boolean} Whether the enemy reached the end of the path
@@ -32,6 +35,9 @@ const EnemyMovement = (function() {
             return false;
         }
         
+        // Enemies without a route of their own follow the main path
+        const path = enemy.path || getPath();
+        
         if (enemy.pathIndex >= path.length - 1) {
             // Enemy reached the end of the path
             return true;
@@ -82,15 +88,16 @@ const EnemyMovement = (function() {
     }
     
     /**
-     * Calculate the initial position for a new enemy
-     * @returns {Object} The starting position {x, y, pathIndex, progress}
+     * Pick the route of a new enemy and calculate its initial position
+     * @returns {Object} The starting position {x, y, pathIndex, progress, path}
      */
     function getStartingPosition() {
-        if (path.length === 0) {
+        if (routes.length === 0) {
             console.error("Path is empty, cannot get starting position");
-            return { x: 0, y: 0, pathIndex: 0, progress: 0 };
+            return { x: 0, y: 0, pathIndex: 0, progress: 0, path: [] };
         }
         
+        const path = EnemyPaths.pickRoute(graph);
         const startCell = path[0];
         const x = startCell[1] * cellSize + cellSize / 2;
         const y = startCell[0] * cellSize + cellSize / 2;
@@ -99,26 +106,36 @@ const EnemyMovement = (function() {
             x: x,
             y: y,
             pathIndex: 0,
-            progress: 0
+            progress: 0,
+            path: path
         };
     }
     
     /**
-     * Set the current path
-     * @param {number[][]} newPath - New path as array of [row, col] coordinates
+     * Set the routes enemies pick from
+     * @param {number[][][]} newRoutes - Routes as arrays of [row, col] coordinates, main path first
      */
-    function setPath(newPath) {
-        if (Array.isArray(newPath) && newPath.length > 0) {
-            path = [...newPath];
+    function setRoutes(newRoutes) {
+        if (Array.isArray(newRoutes) && newRoutes.length > 0) {
+            routes = newRoutes.map(route => [...route]);
+            graph = EnemyPaths.createGraph(routes);
         }
     }
     
     /**
-     * Get the current path
-     * @returns {number[][]} The current path
+     * Get the routes enemies pick from
+     * @returns {number[][][]} The current routes, main path first
+     */
+    function getRoutes() {
+        return routes.map(route => [...route]);
+    }
+    
+    /**
+     * Get the main path
+     * @returns {number[][]} The route of the first entrance
      */
     function getPath() {
-        return [...path];
+        return routes.length > 0 ? [...routes[0]] : [];
     }
     
     /**
@@ -134,8 +151,8 @@ const EnemyMovement = (function() {
      */
     function initEventListeners() {
         // Listen for path updates
-        EventSystem.subscribe('path:updated', function(newPath) {
-            setPath(newPath);
+        EventSystem.subscribe(GameEvents.PATH_UPDATED, function(newRoutes) {
+            setRoutes(newRoutes);
         });
         
         // Listen for game initialization
@@ -143,10 +160,10 @@ const EnemyMovement = (function() {
             init(options);
         });
         
-        // Listen for Sudoku board generation to get the path
+        // Listen for Sudoku board generation to get the routes
         EventSystem.subscribe(GameEvents.SUDOKU_GENERATED, function(data) {
-            if (data.pathCells) {
-                setPath(data.pathCells);
+            if (data.routes) {
+                setRoutes(data.routes);
             }
         });
     }
@@ -159,7 +176,8 @@ const EnemyMovement = (function() {
         init,
         moveEnemy,
         getStartingPosition,
-        setPath,
+        setRoutes,
+        getRoutes,
         getPath,
         setCellSize
     };
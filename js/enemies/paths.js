@@ -0,0 +1,807 @@
+/**
+ * paths.js - Generates and validates enemy paths
+ * A path is an ordered list of orthogonally adjacent cells, entrance first.
+ * Paths come in shapes (a wandering edge-to-edge walk, a serpentine, a spiral
+ * and a walk along box borders), each drawn in a random orientation and
+ * kept off any cells the caller blocks, like towers and givens. Every
+ * path is checked by the same validator: it has to start on the edge of the
+ * board, stay within the length limits of the board size and never fold
+ * into a 2x2 block, where towers couldn't reach between its two sides.
+ *
+ * A level can have a network of paths instead of a single one: extra
+ * entrances whose branches merge into the main path, and forks that leave
+ * it and rejoin it further on. A network is kept as its routes, every way
+ * through it from an entrance to an exit, and each route is a valid path.
+ */
+
+const EnemyPaths = (function() {
+    // Path shapes: display name and description
+    const SHAPES = {
+        edge: { name: 'Edge to edge', description: 'Wanders from one side of the board to the opposite side' },
+        serpentine: { name: 'Serpentine', description: 'Sweeps back and forth across the board in lanes' },
+        spiral: { name: 'Spiral', description: 'Circles in from the edge towards the middle' },
+        box: { name: 'Box-hugging', description: 'Runs along the borders of the boxes' }
+    };
+
+    // Shape used when none is chosen
+    const DEFAULT_SHAPE = 'edge';
+
+    // Path layout of a level: shape of the main path, number of entrances and forks
+    const DEFAULT_LAYOUT = { shape: DEFAULT_SHAPE, entrances: 1, forks: 0 };
+    const MAX_ENTRANCES = 3;
+    const MAX_FORKS = 2;
+
+    // Most routes a network can have: one per entrance and choice of branches
+    const MAX_ROUTES = MAX_ENTRANCES * Math.pow(2, MAX_FORKS);
+
+    // Start cells tried for each entrance or fork before leaving it out
+    const MAX_BRANCH_ATTEMPTS = 20;
+
+    // Shortest path as a multiple of the board width, longest as a share of its cells
+    const MIN_LENGTH_FACTOR = 1.4;
+    const MAX_CELL_SHARE = 0.4;
+
+    // Orthogonal steps a path can take
+    const DIRECTIONS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+    // Tries at a shape before falling back to an edge-to-edge path or a search
+    const MAX_SHAPE_ATTEMPTS = 50;
+
+    /**
+     * Get the shortest and longest path allowed on a board
+     * @param {number} size - Board size
+     * @returns {Object} Limits as { min, max } in cells
+     */
+    function getLengthLimits(size) {
+        return {
+            min: Math.ceil(size * MIN_LENGTH_FACTOR),
+            max: Math.ceil(size * size * MAX_CELL_SHARE)
+        };
+    }
+
+    /**
+     * Get the key of a cell
+     * @param {number[]} cell - Cell as [row, col]
+     * @returns {string} Cell as a "row,col" string
+     */
+    function cellKey([row, col]) {
+        return `${row},${col}`;
+    }
+
+    /**
+     * Check if a cell is on the edge of the board
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @param {number} size - Board size
+     * @returns {boolean} Whether the cell is on the edge
+     */
+    function isEdgeCell(row, col, size) {
+        return row === 0 || col === 0 || row === size - 1 || col === size - 1;
+    }
+
+    /**
+     * Check if adding a cell would complete a 2x2 block of path cells
+     * @param {Set<string>} cells - Path cells as "row,col" strings
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} Whether a block would be formed
+     */
+    function formsBlock(cells, row, col) {
+        return [[-1, -1], [-1, 1], [1, -1], [1, 1]].some(([dr, dc]) =>
+            cells.has(`${row + dr},${col}`) && cells.has(`${row},${col + dc}`) && cells.has(`${row + dr},${col + dc}`));
+    }
+
+    /**
+     * Find everything wrong with a path
+     * @param {number[][]} path - Path as [row, col] coordinates, entrance first
+     * @param {number} size - Board size
+     * @returns {string[]} Problems, empty if the path is valid
+     */
+    function getPathProblems(path, size) {
+        const problems = [];
+        const { min, max } = getLengthLimits(size);
+
+        if (!Array.isArray(path) || path.length === 0) {
+            return ["The path is empty"];
+        }
+        if (path.length < min) {
+            problems.push(`The path needs at least ${min} cells`);
+        }
+        if (path.length > max) {
+            problems.push(`The path can't be longer than ${max} cells`);
+        }
+
+        const cells = new Set();
+        for (let i = 0; i < path.length; i++) {
+            const [row, col] = path[i];
+            const key = `${row},${col}`;
+
+            if (!Number.isInteger(row) || !Number.isInteger(col) || row < 0 || row >= size || col < 0 || col >= size) {
+                problems.push(`Cell ${key} is off the board`);
+                break;
+            }
+            if (cells.has(key)) {
+                problems.push(`The path crosses itself at ${key}`);
+                break;
+            }
+            if (i > 0 && Math.abs(row - path[i - 1][0]) + Math.abs(col - path[i - 1][1]) !== 1) {
+                problems.push(`The path jumps from ${path[i - 1].join(',')} to ${key}`);
+                break;
+            }
+            if (formsBlock(cells, row, col)) {
+                problems.push(`The path folds into a 2x2 block at ${key}`);
+                break;
+            }
+            cells.add(key);
+        }
+
+        if (!isEdgeCell(path[0][0], path[0][1], size)) {
+            problems.push("The path must start on the edge of the board");
+        }
+
+        return problems;
+    }
+
+    /**
+     * Check if a path is valid
+     * @param {number[][]} path - Path as [row, col] coordinates, entrance first
+     * @param {number} size - Board size
+     * @returns {boolean} Whether the path has no problems
+     */
+    function isValidPath(path, size) {
+        return getPathProblems(path, size).length === 0;
+    }
+
+    /**
+     * Get a random symmetry of the board, used to draw a shape in any orientation
+     * @param {number} size - Board size
+     * @param {boolean} [allowTranspose=true] - Whether rows and columns may be swapped
+     * @returns {function} Maps [row, col] to its transformed coordinates
+     */
+    function randomSymmetry(size, allowTranspose = true) {
+        const transpose = allowTranspose && GameRandom.random() < 0.5;
+        const flipRows = GameRandom.random() < 0.5;
+        const flipCols = GameRandom.random() < 0.5;
+
+        return function([row, col]) {
+            if (transpose) [row, col] = [col, row];
+            return [flipRows ? size - 1 - row : row, flipCols ? size - 1 - col : col];
+        };
+    }
+
+    /**
+     * Walk from the left edge to the right edge, stepping up, down or right at
+     * random. It never steps left, so it can't box itself in and reaches the
+     * right edge unless blocked cells stop it.
+     * @param {number} size - Board size
+     * @param {function} isOpen - Called with a row and column, returns whether the path may use the cell
+     * @param {function} canStep - Called with the walk so far and a [dr, dc] step, returns whether it is allowed
+     * @returns {number[][]|null} Path, or null if the walk got stuck
+     */
+    function walkAcross(size, isOpen, canStep) {
+        const starts = [...Array(size).keys()].filter(row => isOpen(row, 0));
+        if (starts.length === 0) {
+            return null;
+        }
+
+        const path = [[GameRandom.pick(starts), 0]];
+        const cells = new Set([path[0].join(',')]);
+
+        while (path[path.length - 1][1] < size - 1) {
+            const [row, col] = path[path.length - 1];
+            const moves = [[-1, 0], [1, 0], [0, 1]].filter(([dr, dc]) => {
+                const nextRow = row + dr;
+                const nextCol = col + dc;
+                return nextRow >= 0 && nextRow < size && isOpen(nextRow, nextCol) && !cells.has(`${nextRow},${nextCol}`) &&
+                    !formsBlock(cells, nextRow, nextCol) && canStep(path, [dr, dc]);
+            });
+
+            if (moves.length === 0) {
+                return null;
+            }
+
+            const [dr, dc] = GameRandom.pick(moves);
+            path.push([row + dr, col + dc]);
+            cells.add(`${row + dr},${col + dc}`);
+        }
+
+        return path;
+    }
+
+    /**
+     * Draw an edge-to-edge path
+     * @param {number} size - Board size
+     * @param {function} isOpen - Called with a row and column, returns whether the path may use the cell
+     * @returns {number[][]|null} Path, or null if this attempt failed
+     */
+    function drawEdge(size, isOpen) {
+        return walkAcross(size, isOpen, () => true);
+    }
+
+    /**
+     * Draw a serpentine: lanes across the board joined at alternate ends,
+     * with at least one free row between lanes for towers
+     * @param {number} size - Board size
+     * @param {function} isOpen - Called with a row and column, returns whether the path may use the cell
+     * @returns {number[][]|null} Path, or null if no serpentine fits the length limits and open cells
+     */
+    function drawSerpentine(size, isOpen) {
+        const { min, max } = getLengthLimits(size);
+
+        // Every lane count, spacing, lane width and first lane that fits
+        const options = [];
+        for (let spacing = 2; spacing <= 3; spacing++) {
+            for (let lanes = 2; (lanes - 1) * spacing < size; lanes++) {
+                for (let width = 2; width <= size; width++) {
+                    const length = lanes * width + (lanes - 1) * (spacing - 1);
+                    if (length < min || length > max) {
+                        continue;
+                    }
+                    for (let firstLane = 0; firstLane + (lanes - 1) * spacing < size; firstLane++) {
+                        options.push({ spacing, lanes, width, firstLane });
+                    }
+                }
+            }
+        }
+
+        for (const { spacing, lanes, width, firstLane } of GameRandom.shuffle(options)) {
+            const path = [];
+            for (let lane = 0; lane < lanes; lane++) {
+                const row = firstLane + lane * spacing;
+                const forwards = lane % 2 === 0;
+
+                for (let i = 0; i < width; i++) {
+                    path.push([row, forwards ? i : width - 1 - i]);
+                }
+
+                // Drop to the next lane at the end of this one
+                if (lane < lanes - 1) {
+                    for (let step = 1; step < spacing; step++) {
+                        path.push([row + step, forwards ? width - 1 : 0]);
+                    }
+                }
+            }
+
+            if (path.every(([row, col]) => isOpen(row, col))) {
+                return path;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Draw a spiral from a cell on the top edge, turning clockwise whenever it
+     * would run off the board, into a blocked cell or next to an earlier part
+     * of itself
+     * @param {number} size - Board size
+     * @param {function} isOpen - Called with a row and column, returns whether the path may use the cell
+     * @returns {number[][]|null} Path, or null if the spiral closed before reaching the minimum length
+     */
+    function drawSpiral(size, isOpen) {
+        const { min, max } = getLengthLimits(size);
+        const target = min + GameRandom.randomInt(max - min + 1);
+        const clockwise = [[0, 1], [1, 0], [0, -1], [-1, 0]];
+
+        const starts = [...Array(Math.ceil(size / 2)).keys()].filter(col => isOpen(0, col));
+        if (starts.length === 0) {
+            return null;
+        }
+
+        const path = [[0, GameRandom.pick(starts)]];
+        const cells = new Set([path[0].join(',')]);
+        let direction = 0;
+
+        const isFree = function(row, col, fromRow, fromCol) {
+            if (row < 0 || row >= size || col < 0 || col >= size || !isOpen(row, col) || cells.has(`${row},${col}`)) {
+                return false;
+            }
+            // Keep a gap to every path cell but the one being stepped from
+            return clockwise.every(([dr, dc]) => {
+                const key = `${row + dr},${col + dc}`;
+                return key === `${fromRow},${fromCol}` || !cells.has(key);
+            });
+        };
+
+        while (path.length < target) {
+            const [row, col] = path[path.length - 1];
+            const turn = [0, 1].find(offset => {
+                const [dr, dc] = clockwise[(direction + offset) % 4];
+                return isFree(row + dr, col + dc, row, col);
+            });
+
+            if (turn === undefined) {
+                break;
+            }
+
+            direction = (direction + turn) % 4;
+            const [dr, dc] = clockwise[direction];
+            path.push([row + dr, col + dc]);
+            cells.add(`${row + dr},${col + dc}`);
+        }
+
+        return path.length >= min ? path : null;
+    }
+
+    /**
+     * Draw a path from the left edge to the right edge that only runs along
+     * the outer rows and columns of the boxes, so it hugs their borders
+     * @param {number} size - Board size
+     * @param {function} isOpen - Called with a row and column, returns whether the path may use the cell
+     * @returns {number[][]|null} Path, or null if this attempt got stuck
+     */
+    function drawBoxHugging(size, isOpen) {
+        const { boxRows, boxCols } = SudokuConstraints.BOARD_SIZES[size];
+        const isBorderRow = row => row % boxRows === 0 || row % boxRows === boxRows - 1;
+        const isBorderCol = col => col % boxCols === 0 || col % boxCols === boxCols - 1;
+
+        return walkAcross(size, isOpen, function(walk, [dr, dc]) {
+            const [row, col] = walk[walk.length - 1];
+            if (dc !== 0) {
+                return isBorderRow(row);
+            }
+
+            // Vertical runs go along border columns and only stop on border rows
+            const previous = walk[walk.length - 2];
+            const runDirection = previous && previous[1] === col ? row - previous[0] : 0;
+            return isBorderCol(col) && (runDirection === 0 || runDirection === dr);
+        });
+    }
+
+    // Drawing function of each shape
+    const DRAW_SHAPE = {
+        edge: drawEdge,
+        serpentine: drawSerpentine,
+        spiral: drawSpiral,
+        box: drawBoxHugging
+    };
+
+    /**
+     * Convert a list of cells to a set of "row,col" strings
+     * @param {number[][]|Set<string>} [cells] - Cells as [row, col] coordinates, or already a set
+     * @returns {Set<string>} Cells as "row,col" strings
+     */
+    function toCellSet(cells = []) {
+        return cells instanceof Set ? cells : new Set(cells.map(([row, col]) => `${row},${col}`));
+    }
+
+    /**
+     * Search for a path from one edge to the opposite edge around blocked
+     * cells, from left to right or else from top to bottom. Like drawn paths
+     * it wanders up, down and right at random, only stepping back left when it
+     * has to, and it keeps to the length limits without folding into 2x2
+     * blocks. Cells that led nowhere once are not searched again, so the search
+     * is quick but can miss a path on a crowded board.
+     * @param {number} size - Board size
+     * @param {number[][]|Set<string>} [blocked] - Cells the path may not use
+     * @returns {number[][]|null} Path as [row, col] coordinates, or null if none was found
+     */
+    function findPath(size, blocked = []) {
+        const blockedCells = toCellSet(blocked);
+        const { min, max } = getLengthLimits(size);
+
+        for (const transposed of [false, true]) {
+            // Search left to right on the board or on its mirror image
+            const isOpen = (row, col) => !blockedCells.has(transposed ? `${col},${row}` : `${row},${col}`);
+            const visited = new Set();
+
+            const search = function(path, cells) {
+                const [row, col] = path[path.length - 1];
+                if (col === size - 1 && path.length >= min) {
+                    return path;
+                }
+                if (path.length === max) {
+                    return null;
+                }
+
+                const moves = GameRandom.shuffle([...DIRECTIONS]);
+                moves.sort((a, b) => (a[1] < 0) - (b[1] < 0));
+
+                for (const [dr, dc] of moves) {
+                    const nextRow = row + dr;
+                    const nextCol = col + dc;
+                    const key = `${nextRow},${nextCol}`;
+                    if (nextRow < 0 || nextRow >= size || nextCol < 0 || nextCol >= size ||
+                        visited.has(key) || !isOpen(nextRow, nextCol) || formsBlock(cells, nextRow, nextCol)) {
+                        continue;
+                    }
+
+                    visited.add(key);
+                    const found = search([...path, [nextRow, nextCol]], new Set(cells).add(key));
+                    if (found) {
+                        return found;
+                    }
+                }
+                return null;
+            };
+
+            const starts = GameRandom.shuffle([...Array(size).keys()]).filter(row => isOpen(row, 0));
+            for (const startRow of starts) {
+                if (visited.has(`${startRow},0`)) {
+                    continue;
+                }
+                visited.add(`${startRow},0`);
+
+                const found = search([[startRow, 0]], new Set([`${startRow},0`]));
+                if (found) {
+                    return transposed ? found.map(([row, col]) => [col, row]) : found;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Generate a path of a shape that avoids blocked cells. Drawings are
+     * retried until one passes the validator; a shape that can't be drawn
+     * falls back to an edge-to-edge path, and that to a search around the
+     * blocked cells.
+     * @param {string} [shape] - Shape from SHAPES
+     * @param {number} [size] - Board size
+     * @param {number[][]|Set<string>} [blocked] - Cells the path may not use
+     * @returns {number[][]|null} Path as [row, col] coordinates, entrance first,
+     *     or null if the blocked cells leave no room for one
+     */
+    function generatePath(shape = DEFAULT_SHAPE, size = SudokuConstraints.DEFAULT_SIZE, blocked = []) {
+        const blockedCells = toCellSet(blocked);
+        const { boxRows, boxCols } = SudokuConstraints.BOARD_SIZES[size];
+
+        const drawShape = function(name) {
+            // Swapping rows and columns would move the borders of boxes that aren't square
+            const allowTranspose = name !== 'box' || boxRows === boxCols;
+
+            for (let attempt = 0; attempt < MAX_SHAPE_ATTEMPTS; attempt++) {
+                // Draw in the orientation of a random symmetry, checking cells where they end up
+                const symmetry = randomSymmetry(size, allowTranspose);
+                const drawn = DRAW_SHAPE[name](size, (row, col) => !blockedCells.has(symmetry([row, col]).join(',')));
+                const path = drawn && drawn.map(symmetry);
+                if (path && isValidPath(path, size)) {
+                    return path;
+                }
+            }
+            return null;
+        };
+
+        if (!(shape in DRAW_SHAPE)) {
+            shape = DEFAULT_SHAPE;
+        }
+
+        const path = drawShape(shape) || (shape !== DEFAULT_SHAPE && drawShape(DEFAULT_SHAPE)) || findPath(size, blockedCells);
+        if (!path) {
+            console.warn(`No path fits around the blocked cells of this ${size}x${size} board`);
+        }
+        return path;
+    }
+
+    /**
+     * Build the graph of a path network: its entrances and, for every cell,
+     * the cells enemies can step to next
+     * @param {number[][][]} routes - Routes as paths from an entrance to an exit
+     * @returns {Object} Graph as { entrances, next }: entrance cells, and a
+     *     Map from "row,col" to the [row, col] cells that follow it
+     */
+    function createGraph(routes) {
+        const entrances = [];
+        const next = new Map();
+
+        routes.forEach(route => {
+            if (!entrances.some(cell => cellKey(cell) === cellKey(route[0]))) {
+                entrances.push(route[0]);
+            }
+
+            route.forEach((cell, index) => {
+                const key = cellKey(cell);
+                if (!next.has(key)) {
+                    next.set(key, []);
+                }
+
+                const following = route[index + 1];
+                if (following && !next.get(key).some(other => cellKey(other) === cellKey(following))) {
+                    next.get(key).push(following);
+                }
+            });
+        });
+
+        return { entrances, next };
+    }
+
+    /**
+     * List every route through a path network, from each entrance to an exit
+     * @param {Object} graph - Graph from createGraph()
+     * @returns {number[][][]|null} Routes, or null if the network loops back
+     *     on itself or has more than MAX_ROUTES routes
+     */
+    function getRoutes(graph) {
+        const routes = [];
+
+        const walk = function(route, visited) {
+            const options = graph.next.get(cellKey(route[route.length - 1])) || [];
+            if (options.length === 0) {
+                routes.push(route);
+                return routes.length <= MAX_ROUTES;
+            }
+
+            return options.every(cell => !visited.has(cellKey(cell)) &&
+                walk([...route, cell], new Set(visited).add(cellKey(cell))));
+        };
+
+        const valid = graph.entrances.every(cell => walk([cell], new Set([cellKey(cell)])));
+        return valid ? routes : null;
+    }
+
+    /**
+     * Find everything wrong with a path network
+     * @param {number[][][]} routes - Routes as paths from an entrance to an exit
+     * @param {number} size - Board size
+     * @returns {string[]} Problems, empty if the network is valid
+     */
+    function getNetworkProblems(routes, size) {
+        if (!Array.isArray(routes) || routes.length === 0) {
+            return ["There is no path"];
+        }
+        if (routes.length > MAX_ROUTES) {
+            return [`There can't be more than ${MAX_ROUTES} routes`];
+        }
+
+        for (let i = 0; i < routes.length; i++) {
+            const problems = getPathProblems(routes[i], size);
+            if (problems.length > 0) {
+                return routes.length > 1 ? problems.map(problem => `Route ${i + 1}: ${problem}`) : problems;
+            }
+        }
+
+        // Routes can share cells, but together they mustn't fold into a block either
+        const cells = new Set(routes.flat().map(cellKey));
+        for (const key of cells) {
+            const [row, col] = key.split(',').map(Number);
+            if (cells.has(`${row + 1},${col}`) && cells.has(`${row},${col + 1}`) && cells.has(`${row + 1},${col + 1}`)) {
+                return [`The paths fold into a 2x2 block at ${key}`];
+            }
+        }
+
+        const walks = getRoutes(createGraph(routes));
+        if (!walks) {
+            return ["The paths loop back on themselves"];
+        }
+
+        const listed = new Set(routes.map(route => route.map(cellKey).join(';')));
+        if (walks.length !== listed.size || !walks.every(walk => listed.has(walk.map(cellKey).join(';')))) {
+            return ["The routes don't match the ways through the paths"];
+        }
+
+        return [];
+    }
+
+    /**
+     * Find the shortest connection from a start cell to a cell where it may
+     * end, through open cells that neither are on the network nor touch it.
+     * Only the last cell touches the network, where the connection joins it.
+     * @param {number} size - Board size
+     * @param {number[]} start - First cell of the connection
+     * @param {function} isOpen - Called with a row and column, returns whether the path may use the cell
+     * @param {Set<string>} cells - Cells of the network
+     * @param {function} canEnd - Called with the network cell a cell touches, returns whether the connection can join there
+     * @returns {number[][]|null} Connection from the start cell to its last cell, or null if there is none
+     */
+    function connect(size, start, isOpen, cells, canEnd) {
+        const previous = new Map([[cellKey(start), null]]);
+        const queue = [start];
+
+        while (queue.length > 0) {
+            const cell = queue.shift();
+
+            for (const neighbour of GameRandom.shuffle(getNeighbours(cell, size))) {
+                const key = cellKey(neighbour);
+                if (previous.has(key) || cells.has(key) || !isOpen(neighbour[0], neighbour[1])) {
+                    continue;
+                }
+
+                previous.set(key, cell);
+                const touching = getNeighbours(neighbour, size).filter(other => cells.has(cellKey(other)));
+
+                if (touching.length === 0) {
+                    queue.push(neighbour);
+                } else if (touching.length === 1 && canEnd(touching[0])) {
+                    const connection = [neighbour];
+                    for (let step = cell; step; step = previous.get(cellKey(step))) {
+                        connection.unshift(step);
+                    }
+                    return connection;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the cells next to a cell
+     * @param {number[]} cell - Cell as [row, col]
+     * @param {number} size - Board size
+     * @returns {number[][]} Orthogonal neighbours on the board
+     */
+    function getNeighbours([row, col], size) {
+        return DIRECTIONS.map(([dr, dc]) => [row + dr, col + dc])
+            .filter(([nextRow, nextCol]) => nextRow >= 0 && nextRow < size && nextCol >= 0 && nextCol < size);
+    }
+
+    /**
+     * Add a route to a network if every way through the result is a valid path
+     * @param {number[][][]} routes - Routes of the network
+     * @param {number[][]} route - New route
+     * @param {number} size - Board size
+     * @returns {number[][][]|null} Routes of the new network, main path first, or null if it isn't valid
+     */
+    function addRoute(routes, route, size) {
+        const walks = getRoutes(createGraph([...routes, route]));
+        return walks && walks.every(walk => isValidPath(walk, size)) ? walks : null;
+    }
+
+    /**
+     * Add an entrance on the edge of the board whose branch merges into the main path
+     * @param {number[][][]} routes - Routes of the network, main path first
+     * @param {number} size - Board size
+     * @param {function} isOpen - Called with a row and column, returns whether the path may use the cell
+     * @returns {number[][][]|null} Routes with the new entrance, or null if none fits
+     */
+    function addEntrance(routes, size, isOpen) {
+        const main = routes[0];
+        const mainIndexes = new Map(main.map((cell, index) => [cellKey(cell), index]));
+        const cells = new Set(routes.flat().map(cellKey));
+
+        const starts = [];
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                if (isEdgeCell(row, col, size) && isOpen(row, col) && !cells.has(`${row},${col}`) &&
+                    getNeighbours([row, col], size).every(cell => !cells.has(cellKey(cell)))) {
+                    starts.push([row, col]);
+                }
+            }
+        }
+
+        for (const start of GameRandom.shuffle(starts).slice(0, MAX_BRANCH_ATTEMPTS)) {
+            // Merge after the main entrance and before its exit
+            let join = -1;
+            const branch = connect(size, start, isOpen, cells, function(cell) {
+                const index = mainIndexes.get(cellKey(cell));
+                join = index;
+                return index > 0 && index < main.length - 1;
+            });
+
+            const network = branch && addRoute(routes, [...branch, ...main.slice(join)], size);
+            if (network) {
+                return network;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Add a fork that leaves the main path and rejoins it further on
+     * @param {number[][][]} routes - Routes of the network, main path first
+     * @param {number} size - Board size
+     * @param {function} isOpen - Called with a row and column, returns whether the path may use the cell
+     * @returns {number[][][]|null} Routes with the new fork, or null if none fits
+     */
+    function addFork(routes, size, isOpen) {
+        const main = routes[0];
+        const mainIndexes = new Map(main.map((cell, index) => [cellKey(cell), index]));
+        const cells = new Set(routes.flat().map(cellKey));
+
+        // Cells next to the main path that touch no other path cell can start a branch
+        const starts = [];
+        for (let index = 1; index < main.length - 3; index++) {
+            getNeighbours(main[index], size).forEach(cell => {
+                const touching = getNeighbours(cell, size).filter(other => cells.has(cellKey(other)));
+                if (isOpen(cell[0], cell[1]) && !cells.has(cellKey(cell)) && touching.length === 1) {
+                    starts.push({ index, cell });
+                }
+            });
+        }
+
+        for (const { index, cell } of GameRandom.shuffle(starts).slice(0, MAX_BRANCH_ATTEMPTS)) {
+            // Rejoin far enough on for the branch to be a real alternative
+            let join = -1;
+            const branch = connect(size, cell, isOpen, cells, function(other) {
+                join = mainIndexes.has(cellKey(other)) ? mainIndexes.get(cellKey(other)) : -1;
+                return join >= index + 3;
+            });
+
+            const network = branch && addRoute(routes, [...main.slice(0, index + 1), ...branch, ...main.slice(join)], size);
+            if (network) {
+                return network;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Generate the path network of a level around blocked cells: a main path
+     * of the layout's shape, then as many of its extra entrances and forks as
+     * fit. A level with one entrance and no forks is a single path.
+     * @param {Object} [layout] - Path layout as { shape, entrances, forks }, see DEFAULT_LAYOUT
+     * @param {number} [size] - Board size
+     * @param {number[][]|Set<string>} [blocked] - Cells the paths may not use
+     * @returns {number[][][]|null} Routes from each entrance to an exit, main
+     *     path first, or null if the blocked cells leave no room for a path
+     */
+    function generateNetwork(layout = DEFAULT_LAYOUT, size = SudokuConstraints.DEFAULT_SIZE, blocked = []) {
+        const { shape, entrances, forks } = { ...DEFAULT_LAYOUT, ...layout };
+        const blockedCells = toCellSet(blocked);
+        const isOpen = (row, col) => !blockedCells.has(`${row},${col}`);
+
+        const main = generatePath(shape, size, blockedCells);
+        if (!main) {
+            return null;
+        }
+
+        let routes = [main];
+        let missing = 0;
+        for (let i = 1; i < Math.min(entrances, MAX_ENTRANCES); i++) {
+            const network = addEntrance(routes, size, isOpen);
+            routes = network || routes;
+            missing += network ? 0 : 1;
+        }
+        for (let i = 0; i < Math.min(forks, MAX_FORKS); i++) {
+            const network = addFork(routes, size, isOpen);
+            routes = network || routes;
+            missing += network ? 0 : 1;
+        }
+
+        if (missing > 0) {
+            console.log(`${missing} entrance(s) or fork(s) didn't fit on this ${size}x${size} board and were left out`);
+        }
+        return routes;
+    }
+
+    /**
+     * Pick the route of an enemy: an entrance and, at every fork, a branch.
+     * Random picks are only made where there is a choice.
+     * @param {Object} graph - Graph from createGraph()
+     * @returns {number[][]} Route as [row, col] coordinates, entrance first
+     */
+    function pickRoute(graph) {
+        if (graph.entrances.length === 0) {
+            return [];
+        }
+
+        let cell = graph.entrances.length > 1 ? GameRandom.pick(graph.entrances) : graph.entrances[0];
+        const route = [cell];
+
+        for (;;) {
+            const options = graph.next.get(cellKey(cell)) || [];
+            if (options.length === 0) {
+                return route;
+            }
+
+            cell = options.length > 1 ? GameRandom.pick(options) : options[0];
+            route.push(cell);
+        }
+    }
+
+    // Public API
+    return {
+        generatePath,
+        generateNetwork,
+        findPath,
+        createGraph,
+        getRoutes,
+        pickRoute,
+        getPathProblems,
+        isValidPath,
+        getNetworkProblems,
+        getLengthLimits,
+        formsBlock,
+        SHAPES,
+        DEFAULT_SHAPE,
+        DEFAULT_LAYOUT,
+        MAX_ENTRANCES,
+        MAX_FORKS
+    };
+})();
+
+// Make module available globally
+window.EnemyPaths = EnemyPaths;
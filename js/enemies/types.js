@@ -1,7 +1,9 @@
 /**
  * types.js - Defines enemy types and their properties
  * This module contains the configuration for different enemy types
- * including their stats, rewards, and emoji representations.
+ * including their stats, rewards, and emoji representations. There is a
+ * number enemy for every digit of the board, so the types depend on the
+ * board size.
  */
 
 const EnemyTypes = (function() {
@@ -79,21 +81,61 @@ const EnemyTypes = (function() {
         }
     };
     
+    /**
+     * Get the size of the board being played
+     * @returns {number} Board size
+     */
+    function getBoardSize() {
+        return window.SudokuBoard ? SudokuBoard.getLayout().size : SudokuConstraints.DEFAULT_SIZE;
+    }
+    
+    /**
+     * Create the number enemy of a digit above 9, for 16x16 boards. Stats
+     * carry on from the 9 enemy and the emoji is a boxed letter, like the
+     * keycaps of 1-9.
+     * @param {number} digit - Digit, 10 to 16
+     * @returns {Object} Enemy type data
+     */
+    function createNumberEnemyType(digit) {
+        return {
+            emoji: String.fromCodePoint(0x1F1E6 + digit - 10),
+            health: 180 + (digit - 9) * 20,
+            speed: Math.min(2.0, 1.7 + (digit - 9) * 0.05),
+            reward: 39 + (digit - 9) * 3,
+            points: 21 + (digit - 9) * 2
+        };
+    }
+    
     /**
      * Get an enemy type by ID
      * @param {string|number} enemyType - Enemy type ID
+     * @param {number} [size] - Board size, the current board's if omitted
      * @returns {Object|null} Enemy type data or null if not found
      */
-    function getEnemyType(enemyType) {
-        return enemyTypes[enemyType] ? { ...enemyTypes[enemyType] } : null;
+    function getEnemyType(enemyType, size = getBoardSize()) {
+        if (enemyType === 'boss') {
+            return { ...enemyTypes.boss };
+        }
+        
+        const digit = Number(enemyType);
+        if (!Number.isInteger(digit) || digit < 1 || digit > size) {
+            return null;
+        }
+        return digit <= 9 ? { ...enemyTypes[digit] } : createNumberEnemyType(digit);
     }
     
     /**
-     * Get all enemy types
+     * Get all enemy types of a board size: a number enemy for each digit and the boss
+     * @param {number} [size] - Board size, the current board's if omitted
      * @returns {Object} Copy of all enemy types
      */
-    function getAllEnemyTypes() {
-        return { ...enemyTypes };
+    function getAllEnemyTypes(size = getBoardSize()) {
+        const result = {};
+        for (let digit = 1; digit <= size; digit++) {
+            result[digit] = getEnemyType(digit, size);
+        }
+        result.boss = getEnemyType('boss', size);
+        return result;
     }
     
     /**
@@ -102,18 +144,19 @@ const EnemyTypes = (function() {
      * @returns {Object} Available enemy types for this wave
      */
     function getAvailableTypesForWave(waveNumber) {
-        // Determine which enemy types to use based on wave number
-        const availableTypes = Math.min(9, Math.ceil(waveNumber / 2));
+        // Determine which enemy types to use based on wave number, up to every digit of the board
+        const size = getBoardSize();
+        const availableTypes = Math.min(size, Math.ceil(waveNumber / 2));
         const result = {};
         
         // Include regular number enemies up to availableTypes
         for (let i = 1; i <= availableTypes; i++) {
-            result[i] = { ...enemyTypes[i] };
+            result[i] = getEnemyType(i, size);
         }
         
         // Include boss enemy every third wave
         if (waveNumber % 3 === 0) {
-            result['boss'] = { ...enemyTypes['boss'] };
+            result['boss'] = getEnemyType('boss', size);
         }
         
         return result;
@@ -9,7 +9,8 @@ const EnemyWaves = (function() {
     let enemyId = 0;
     let waveNumber = 1;
     let isWaveActive = false;
-    let spawnInterval = null;
+    let isWaveReady = true;
+    let spawnTimer = null;
     let enemiesRemaining = 0;
     
     /**
@@ -21,12 +22,13 @@ const EnemyWaves = (function() {
         enemyId = 0;
         waveNumber = 1;
         isWaveActive = false;
+        isWaveReady = true;
         enemiesRemaining = 0;
         
-        // Stop any active spawn interval
-        if (spawnInterval) {
-            clearInterval(spawnInterval);
-            spawnInterval = null;
+        // Stop any active spawn timer
+        if (spawnTimer) {
+            GameScheduler.cancel(spawnTimer);
+            spawnTimer = null;
         }
     }
     
@@ -66,6 +68,9 @@ const EnemyWaves = (function() {
             points: scaledData.points,
             x: startPos.x,
             y: startPos.y,
+            prevX: startPos.x,
+            prevY: startPos.y,
+            path: startPos.path,
             pathIndex: startPos.pathIndex,
             progress: startPos.progress,
             active: true
@@ -88,6 +93,12 @@ const EnemyWaves = (function() {
             return;
         }
         
+        // The path is still being rerouted after the last wave
+        if (!isWaveReady) {
+            EventSystem.publish(GameEvents.STATUS_MESSAGE, "Cannot start wave: the enemies are still finding their new path");
+            return;
+        }
+        
         // Make sure we have a path
         const path = EnemyMovement.getPath();
         if (path.length === 0) {
@@ -112,16 +123,16 @@ const EnemyWaves = (function() {
         
         let enemiesSpawned = 0;
         
-        // Clear any existing interval
-        if (spawnInterval) {
-            clearInterval(spawnInterval);
+        // Clear any existing spawn timer
+        if (spawnTimer) {
+            GameScheduler.cancel(spawnTimer);
         }
         
-        // Spawn enemies at an interval
-        spawnInterval = setInterval(() => {
+        // Spawn enemies at an interval of game time
+        spawnTimer = GameScheduler.setInterval(() => {
             if (enemiesSpawned >= enemyCount) {
-                clearInterval(spawnInterval);
-                spawnInterval = null;
+                GameScheduler.cancel(spawnTimer);
+                spawnTimer = null;
                 return;
             }
             
@@ -139,7 +150,7 @@ const EnemyWaves = (function() {
                 // Random enemy type based on available types
                 // Filter out 'boss' for normal enemies
                 const normalTypes = typeKeys.filter(type => type !== 'boss');
-                enemyType = normalTypes[Math.floor(Math.random() * normalTypes.length)];
+                enemyType = GameRandom.pick(normalTypes);
             }
             
             createEnemy(enemyType);
@@ -168,6 +179,10 @@ const EnemyWaves = (function() {
             
             activeEnemies++;
             
+            // Remember the previous position for render interpolation
+            enemy.prevX = enemy.x;
+            enemy.prevY = enemy.y;
+            
             // Move enemy along the path
             const reachedEnd = EnemyMovement.moveEnemy(enemy, deltaTime);
             
@@ -181,7 +196,7 @@ const EnemyWaves = (function() {
         }
         
         // Check if wave is complete (no active enemies and none remaining to spawn)
-        if (activeEnemies === 0 && enemiesRemaining === 0 && !spawnInterval) {
+        if (activeEnemies === 0 && enemiesRemaining === 0 && !spawnTimer) {
             waveComplete();
         }
     }
@@ -271,24 +286,19 @@ const EnemyWaves = (function() {
         // Increment wave number
         waveNumber++;
         
-        // Generate new path for the next wave
-        setTimeout(() => {
-            if (window.SudokuBoard && typeof SudokuBoard.getPathCells === 'function') {
-                // Clear existing path
-                const pathCells = SudokuBoard.getPathCells();
-                if (pathCells && typeof pathCells.clear === 'function') {
-                    pathCells.clear();
-                }
-                
-                // Generate new path
-                if (window.SudokuGenerator && typeof SudokuGenerator.generateEnemyPath === 'function') {
-                    const newPath = SudokuGenerator.generateEnemyPath();
-                    EnemyMovement.setPath(Array.from(newPath).map(pos => pos.split(',').map(Number)));
-                    
-                    // Notify other modules of the path change
-                    EventSystem.publish('path:updated', EnemyMovement.getPath());
-                }
+        // Route a new path around the towers for the next wave, which can't
+        // start until then
+        isWaveReady = false;
+        GameScheduler.setTimeout(() => {
+            if (window.SudokuBoard && !SudokuBoard.reroutePath()) {
+                EventSystem.publish(GameEvents.STATUS_MESSAGE, "No new path fits the puzzle, the enemies keep their old one");
             }
+            
+            // The next wave can now be started
+            isWaveReady = true;
+            EventSystem.publish(GameEvents.WAVE_READY, {
+                waveNumber: waveNumber
+            });
         }, 500);
     }
     
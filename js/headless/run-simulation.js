@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/**
+ * run-simulation.js - Runs headless games under Node
+ * This script loads the simulation core modules (no DOM, no storage) into a
+ * sandbox and plays a game with HeadlessSimulation, printing the summary.
+ *
+ * Usage:
+ *   node js/headless/run-simulation.js [--seed ABCD1234] [--waves 5]
+ *       [--difficulty easy|medium|hard] [--variant classic|diagonal|jigsaw|killer]
+ *       [--size 4|6|9|16] [--path-shape edge|serpentine|spiral|box]
+ *       [--entrances 1|2|3] [--forks 0|1|2]
+ *       [--strategy none|solution]
+ *       [--script path/to/script.json] [--verbose]
+ *
+ * It can also be required from Node code (e.g. regression tests):
+ *   const { runSimulation } = require('./js/headless/run-simulation.js');
+ *   const summary = runSimulation({ seed: 'ABCD1234', waves: 3, strategy: 'solution' });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Root of the game scripts
+const JS_ROOT = path.join(__dirname, '..');
+
+// Simulation core modules, in load order
+const SIMULATION_MODULES = [
+    'core/events.js',
+    'core/random.js',
+    'core/scheduler.js',
+    'core/game-loop.js',
+    'sudoku/constraints.js',
+    'enemies/paths.js',
+    'sudoku/solver.js',
+    'sudoku/generator.js',
+    'sudoku/validator.js',
+    'sudoku/board.js',
+    'sudoku/completion.js',
+    'player.js',
+    'towers/types.js',
+    'towers/placement.js',
+    'towers/attacks.js',
+    'towers/upgrades.js',
+    'enemies/types.js',
+    'enemies/movement.js',
+    'enemies/waves.js',
+    'bonuses/completion-bonuses.js',
+    'bonuses/wave-bonuses.js',
+    'headless/simulation.js'
+];
+
+// Console that only reports problems, the modules log a lot
+const quietConsole = {
+    log: function() {},
+    info: function() {},
+    debug: function() {},
+    warn: console.warn.bind(console),
+    error: console.error.bind(console)
+};
+
+/**
+ * Create a sandbox with the simulation modules loaded
+ * Each sandbox holds its own independent game
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.verbose=false] - Pass module logging through
+ * @returns {Object} The sandbox global, exposing the game modules
+ */
+function createGameContext(options = {}) {
+    const context = vm.createContext({
+        console: options.verbose ? console : quietConsole
+    });
+
+    // The modules register themselves on window
+    vm.runInContext('var window = globalThis;', context);
+
+    SIMULATION_MODULES.forEach(modulePath => {
+        const filename = path.join(JS_ROOT, modulePath);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+
+    return context;
+}
+
+/**
+ * Play a headless game
+ * @param {Object} [script] - Simulation script (see HeadlessSimulation.DEFAULT_SCRIPT)
+ * @param {Object} [options] - Options for createGameContext
+ * @returns {Object} Result summary
+ */
+function runSimulation(script = {}, options = {}) {
+    const context = createGameContext(options);
+    const summary = context.HeadlessSimulation.run(script);
+
+    // Copy out of the sandbox so callers get plain objects
+    return JSON.parse(JSON.stringify(summary));
+}
+
+/**
+ * Parse command line arguments into a script
+ * @param {string[]} args - Command line arguments
+ * @returns {Object} Script and options
+ */
+function parseArguments(args) {
+    let script = {};
+    const options = { verbose: false };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const value = args[i + 1];
+
+        switch (arg) {
+            case '--seed':
+                script.seed = value;
+                i++;
+                break;
+            case '--waves':
+                script.waves = parseInt(value) || 1;
+                i++;
+                break;
+            case '--difficulty':
+                script.difficulty = value;
+                i++;
+                break;
+            case '--variant':
+                script.variant = value;
+                i++;
+                break;
+            case '--size':
+                script.size = parseInt(value);
+                i++;
+                break;
+            case '--path-shape':
+                script.pathShape = value;
+                i++;
+                break;
+            case '--entrances':
+                script.pathEntrances = parseInt(value);
+                i++;
+                break;
+            case '--forks':
+                script.pathForks = parseInt(value);
+                i++;
+                break;
+            case '--strategy':
+                script.strategy = value;
+                i++;
+                break;
+            case '--script':
+                script = { ...JSON.parse(fs.readFileSync(value, 'utf8')), ...script };
+                i++;
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    return { script, options };
+}
+
+if (require.main === module) {
+    try {
+        const { script, options } = parseArguments(process.argv.slice(2));
+        console.log(JSON.stringify(runSimulation(script, options), null, 2));
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    SIMULATION_MODULES,
+    createGameContext,
+    runSimulation
+};
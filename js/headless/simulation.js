@@ -0,0 +1,248 @@
+/**
+ * simulation.js - Scripted driver for headless games
+ * This module plays a whole game without a page: it generates the board,
+ * places towers from a script or strategy, runs waves to completion and
+ * returns a summary of the result. It only uses the simulation core modules,
+ * so it runs both in the browser and under Node (see run-simulation.js).
+ */
+
+const HeadlessSimulation = (function() {
+    // Default script values
+    const DEFAULT_SCRIPT = {
+        seed: null,             // Seed for GameRandom, a new one is generated if omitted
+        difficulty: 'medium',   // Puzzle difficulty
+        variant: 'classic',     // Puzzle variant: 'classic', 'diagonal', 'jigsaw' or 'killer'
+        size: 9,                // Board size: 4, 6, 9 or 16
+        pathShape: 'edge',      // Enemy path shape: 'edge', 'serpentine', 'spiral' or 'box'
+        pathEntrances: 1,       // Enemy entrances, 1 to 3
+        pathForks: 0,           // Forks in the enemy path, 0 to 2
+        waves: 5,               // Number of waves to play
+        bonusChoice: 'DAMAGE',  // Bonus picked whenever a unit is completed
+        strategy: 'none',       // 'none', 'solution' or a function(api)
+        reserve: 0,             // Currency the 'solution' strategy keeps unspent
+        towers: [],             // Scripted placements: {wave, type, row, col}
+        maxWaveTime: 600,       // Give up on a wave after this many seconds of game time
+        cellSize: 55            // Cell size used for tower ranges and enemy positions
+    };
+
+    // Game time advanced per driver tick, in seconds
+    const TICK = 0.5;
+
+    // Whether a game has been started in this environment yet
+    let hasStarted = false;
+
+    /**
+     * Place a tower, returning whether it was built
+     * @param {string|number} type - Tower type
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} Whether the tower was created
+     */
+    function placeTower(type, row, col) {
+        return !!TowerPlacement.createTower(String(type), row, col);
+    }
+
+    /**
+     * Get empty, buildable cells next to the enemy path
+     * @returns {number[][]} Array of [row, col] coordinates, closest to the path first
+     */
+    function getCellsAlongPath() {
+        const board = SudokuBoard.getBoard();
+        const fixedCells = SudokuBoard.getFixedCells();
+        const pathCells = SudokuBoard.getPathCells();
+        const cells = [];
+
+        for (let row = 0; row < board.length; row++) {
+            for (let col = 0; col < board[row].length; col++) {
+                const key = `${row},${col}`;
+                if (pathCells.has(key) || fixedCells[row][col] || board[row][col] !== 0 ||
+                    TowerPlacement.getTowerAt(row, col)) {
+                    continue;
+                }
+
+                // Count neighbouring path cells
+                let pathNeighbours = 0;
+                for (const [dr, dc] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+                    if (pathCells.has(`${row + dr},${col + dc}`)) {
+                        pathNeighbours++;
+                    }
+                }
+
+                cells.push({ row, col, pathNeighbours });
+            }
+        }
+
+        // Cells touching the path the most come first, then reading order
+        cells.sort((a, b) => b.pathNeighbours - a.pathNeighbours || a.row - b.row || a.col - b.col);
+
+        return cells.map(cell => [cell.row, cell.col]);
+    }
+
+    /**
+     * Built-in strategy: build correct number towers along the path while affordable
+     * @param {Object} api - Strategy API
+     */
+    function solutionStrategy(api) {
+        const solution = SudokuBoard.getSolution();
+
+        for (const [row, col] of getCellsAlongPath()) {
+            const type = solution[row][col];
+            const cost = TowerTypes.getTowerCost(type);
+
+            if (PlayerModule.getState().currency - cost < api.reserve) {
+                break;
+            }
+
+            api.placeTower(type, row, col);
+        }
+    }
+
+    /**
+     * Run the placements for a wave
+     * @param {Object} script - Simulation script
+     * @param {number} waveNumber - Wave about to start
+     */
+    function runPlacements(script, waveNumber) {
+        script.towers
+            .filter(tower => (tower.wave || 1) === waveNumber)
+            .forEach(tower => placeTower(tower.type, tower.row, tower.col));
+
+        const api = {
+            waveNumber: waveNumber,
+            reserve: script.reserve,
+            placeTower: placeTower,
+            getPlayerState: () => PlayerModule.getState(),
+            getBoard: () => SudokuBoard.getBoard(),
+            getSolution: () => SudokuBoard.getSolution(),
+            getPathCells: () => SudokuBoard.getPathArray(),
+            getTowers: () => TowerPlacement.getTowers()
+        };
+
+        if (typeof script.strategy === 'function') {
+            script.strategy(api);
+        } else if (script.strategy === 'solution') {
+            solutionStrategy(api);
+        }
+    }
+
+    /**
+     * Play a game from a script
+     * @param {Object} [options] - Simulation script, see DEFAULT_SCRIPT
+     * @returns {Object} Result summary
+     */
+    function run(options = {}) {
+        const script = { ...DEFAULT_SCRIPT, ...options };
+
+        const totals = { defeated: 0, leaked: 0, towersBuilt: 0 };
+        let gameOver = false;
+
+        // Track what happens during the game
+        const unsubscribers = [
+            EventSystem.subscribe(GameEvents.ENEMY_DEFEATED, () => totals.defeated++),
+            EventSystem.subscribe(GameEvents.ENEMY_REACHED_END, () => totals.leaked++),
+            EventSystem.subscribe(GameEvents.TOWER_PLACED, () => totals.towersBuilt++),
+            EventSystem.subscribe(GameEvents.GAME_OVER, () => { gameOver = true; }),
+
+            // There is no modal to choose from, so pick the scripted bonus
+            EventSystem.subscribe(GameEvents.BONUS_CHOICE_REQUIRED, function(data) {
+                CompletionBonusModule.applyBonus(data.unitType, data.unitIndex, script.bonusChoice);
+            })
+        ];
+
+        // Start a new game
+        SudokuBoard.setDifficulty(script.difficulty);
+        SudokuBoard.setVariant(script.variant);
+        SudokuBoard.setSize(script.size);
+        SudokuBoard.setPathShape(script.pathShape);
+        SudokuBoard.setPathEntrances(script.pathEntrances);
+        SudokuBoard.setPathForks(script.pathForks);
+        const gameOptions = { headless: true, seed: script.seed, cellSize: script.cellSize };
+        if (hasStarted) {
+            GameLoop.reset(gameOptions);
+        } else {
+            GameLoop.init(gameOptions);
+            hasStarted = true;
+        }
+
+        const waves = [];
+        let timedOut = false;
+
+        for (let i = 0; i < script.waves && !gameOver; i++) {
+            const waveNumber = EnemyWaves.getWaveNumber();
+            const before = { defeated: totals.defeated, leaked: totals.leaked };
+
+            runPlacements(script, waveNumber);
+            EnemyWaves.startWave();
+
+            // Run the wave until it is over
+            let elapsed = 0;
+            while (EnemyWaves.isWaveInProgress() && !gameOver && elapsed < script.maxWaveTime) {
+                GameLoop.advance(TICK);
+                elapsed += TICK;
+            }
+
+            const completed = !EnemyWaves.isWaveInProgress() && !gameOver;
+            if (EnemyWaves.isWaveInProgress() && !gameOver) {
+                timedOut = true;
+            }
+
+            // Let delayed post-wave work (like the new path) run
+            const pathBefore = JSON.stringify(SudokuBoard.getRoutes());
+            GameLoop.advance(1);
+
+            const state = PlayerModule.getState();
+            waves.push({
+                wave: waveNumber,
+                completed: completed,
+                defeated: totals.defeated - before.defeated,
+                leaked: totals.leaked - before.leaked,
+                duration: elapsed,
+                rerouted: JSON.stringify(SudokuBoard.getRoutes()) !== pathBefore,
+                lives: state.lives,
+                score: state.score,
+                currency: state.currency
+            });
+
+            if (timedOut) {
+                break;
+            }
+        }
+
+        unsubscribers.forEach(unsubscribe => unsubscribe());
+        GameLoop.stop();
+
+        const finalState = PlayerModule.getState();
+
+        return {
+            seed: window.GameRandom ? GameRandom.getSeed() : null,
+            difficulty: SudokuBoard.getDifficulty(),
+            variant: SudokuBoard.getLayout().variant,
+            size: SudokuBoard.getLayout().size,
+            pathShape: SudokuBoard.getGamePathLayout().shape,
+            pathEntrances: SudokuBoard.getGamePathLayout().entrances,
+            pathForks: SudokuBoard.getGamePathLayout().forks,
+            routes: SudokuBoard.getRoutes().length,
+            wavesPlayed: waves.length,
+            wavesCompleted: waves.filter(wave => wave.completed).length,
+            gameOver: gameOver,
+            timedOut: timedOut,
+            score: finalState.score,
+            lives: finalState.lives,
+            currency: finalState.currency,
+            towersBuilt: totals.towersBuilt,
+            towersOnBoard: TowerPlacement.getTowers().length,
+            enemiesDefeated: totals.defeated,
+            enemiesLeaked: totals.leaked,
+            waves: waves
+        };
+    }
+
+    // Public API
+    return {
+        run,
+        DEFAULT_SCRIPT
+    };
+})();
+
+// Make module available globally
+window.HeadlessSimulation = HeadlessSimulation;
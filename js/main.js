@@ -11,14 +11,29 @@ const SudokuTowerDefense = (function() {
     const modules = {
         // Core Modules
         'core/events.js': false,
+        'core/storage.js': false,
+        'core/random.js': false,
+        'core/scheduler.js': false,
         'core/game-loop.js': false,
         'core/save-system.js': false,
+        'core/save-codec.js': false,
+        'core/save-migrations.js': false,
+        'core/leaderboard.js': false,
+        'core/stats.js': false,
+        'core/achievements.js': false,
+        'core/settings.js': false,
+        'core/daily.js': false,
 
         // Sudoku Modules
+        'sudoku/constraints.js': false,
         'sudoku/board.js': false,
+        'sudoku/solver.js': false,
+        'sudoku/hints.js': false,
+        'sudoku/notes.js': false,
         'sudoku/generator.js': false,
         'sudoku/validator.js': false,
         'sudoku/completion.js': false,
+        'sudoku/importer.js': false,
 
         // Tower Modules
         'towers/types.js': false,
@@ -28,6 +43,7 @@ const SudokuTowerDefense = (function() {
 
         // Enemy Modules
         'enemies/types.js': false,
+        'enemies/paths.js': false,
         'enemies/movement.js': false,
         'enemies/waves.js': false,
 
@@ -40,6 +56,15 @@ const SudokuTowerDefense = (function() {
         'ui/tower-selector.js': false,
         'ui/animations.js': false,
         'ui/modals.js': false,
+        'ui/hud.js': false,
+        'ui/bonus-display.js': false,
+        'ui/save-slots.js': false,
+        'ui/leaderboard-display.js': false,
+        'ui/stats-display.js': false,
+        'ui/achievement-display.js': false,
+        'ui/settings-display.js': false,
+        'ui/puzzle-import.js': false,
+        'ui/daily-display.js': false,
 
         // Player Module
         'player.js': false
@@ -47,28 +72,53 @@ const SudokuTowerDefense = (function() {
 
     // Dependencies between modules
     const dependencies = {
-        'core/game-loop.js': ['core/events.js'],
-        'core/save-system.js': ['core/events.js'],
-
-        'sudoku/board.js': ['core/events.js', 'sudoku/generator.js'],
+        'core/game-loop.js': ['core/events.js', 'core/scheduler.js'],
+        'core/save-system.js': ['core/events.js', 'core/storage.js', 'core/save-codec.js', 'core/save-migrations.js'],
+        'core/save-codec.js': ['core/save-migrations.js', 'sudoku/constraints.js'],
+        'core/leaderboard.js': ['core/storage.js', 'sudoku/constraints.js', 'sudoku/board.js', 'player.js'],
+        'core/stats.js': ['core/events.js', 'core/storage.js'],
+        'core/achievements.js': ['core/events.js', 'core/save-system.js'],
+        'core/settings.js': ['core/events.js', 'core/save-system.js', 'core/scheduler.js'],
+        'core/daily.js': ['core/events.js', 'core/storage.js', 'core/random.js', 'core/game-loop.js', 'sudoku/generator.js', 'enemies/waves.js', 'player.js'],
+
+        'sudoku/constraints.js': ['core/random.js'],
+        'sudoku/board.js': ['core/events.js', 'sudoku/constraints.js', 'sudoku/generator.js', 'enemies/paths.js'],
+        'sudoku/solver.js': ['sudoku/constraints.js'],
+        'sudoku/generator.js': ['core/random.js', 'sudoku/constraints.js', 'sudoku/solver.js', 'enemies/paths.js'],
+        'sudoku/validator.js': ['sudoku/constraints.js'],
         'sudoku/completion.js': ['sudoku/board.js', 'sudoku/validator.js'],
+        'sudoku/hints.js': ['core/events.js', 'sudoku/board.js', 'sudoku/solver.js', 'towers/placement.js', 'player.js'],
+        'sudoku/notes.js': ['core/events.js', 'sudoku/board.js', 'sudoku/validator.js'],
+        'sudoku/importer.js': ['core/random.js', 'sudoku/constraints.js', 'sudoku/generator.js', 'sudoku/solver.js', 'enemies/paths.js'],
 
         'player.js': ['core/events.js'],
 
+        'towers/types.js': ['sudoku/constraints.js'],
         'towers/placement.js': ['towers/types.js', 'sudoku/board.js', 'player.js'],
         'towers/attacks.js': ['towers/types.js', 'enemies/types.js'],
         'towers/upgrades.js': ['towers/types.js', 'towers/placement.js', 'player.js'],
 
-        'enemies/movement.js': ['enemies/types.js', 'sudoku/board.js'],
-        'enemies/waves.js': ['enemies/types.js', 'enemies/movement.js', 'player.js'],
+        'enemies/types.js': ['sudoku/constraints.js'],
+        'enemies/paths.js': ['core/random.js', 'sudoku/constraints.js'],
+        'enemies/movement.js': ['enemies/types.js', 'enemies/paths.js', 'sudoku/board.js'],
+        'enemies/waves.js': ['enemies/types.js', 'enemies/movement.js', 'player.js', 'core/random.js', 'core/scheduler.js'],
 
         'bonuses/completion-bonuses.js': ['core/events.js', 'sudoku/completion.js'],
         'bonuses/wave-bonuses.js': ['core/events.js', 'enemies/waves.js', 'player.js'],
 
-        'ui/board-renderer.js': ['core/events.js', 'sudoku/board.js'],
-        'ui/tower-selector.js': ['core/events.js', 'towers/types.js', 'player.js'],
+        'ui/board-renderer.js': ['core/events.js', 'sudoku/constraints.js', 'sudoku/board.js', 'sudoku/hints.js', 'sudoku/notes.js'],
+        'ui/tower-selector.js': ['core/events.js', 'sudoku/constraints.js', 'towers/types.js', 'player.js'],
         'ui/animations.js': ['towers/attacks.js', 'enemies/movement.js'],
-        'ui/modals.js': ['core/events.js']
+        'ui/modals.js': ['core/events.js', 'core/scheduler.js', 'core/save-system.js', 'core/leaderboard.js'],
+        'ui/hud.js': ['core/events.js'],
+        'ui/bonus-display.js': ['core/events.js', 'bonuses/completion-bonuses.js'],
+        'ui/save-slots.js': ['core/events.js', 'core/save-system.js', 'core/save-codec.js', 'sudoku/constraints.js', 'ui/modals.js'],
+        'ui/leaderboard-display.js': ['core/events.js', 'sudoku/constraints.js', 'core/leaderboard.js', 'ui/modals.js'],
+        'ui/stats-display.js': ['core/events.js', 'core/stats.js', 'ui/modals.js'],
+        'ui/achievement-display.js': ['core/events.js', 'core/achievements.js', 'ui/modals.js'],
+        'ui/settings-display.js': ['core/events.js', 'core/settings.js', 'ui/modals.js'],
+        'ui/puzzle-import.js': ['core/events.js', 'core/game-loop.js', 'sudoku/importer.js', 'ui/modals.js'],
+        'ui/daily-display.js': ['core/events.js', 'core/daily.js', 'ui/modals.js']
     };
 
     // Debug log function
@@ -160,10 +210,24 @@ const SudokuTowerDefense = (function() {
         const allLoaded = Object.values(modules).every(loaded => loaded);
 
         if (allLoaded) {
-            startGame();
+            // Saved data has to be read before the game can offer to continue it
+            if (window.GameStorage) {
+                GameStorage.whenReady(startGame);
+            } else {
+                startGame();
+            }
         }
     }
 
+    /**
+     * Read a seed from the page URL (e.g. index.html?seed=ABCD1234)
+     * @returns {string|null} Seed from the URL or null if none was given
+     */
+    function getSeedFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        return params.get('seed');
+    }
+
     /**
      * Start the game
      */
@@ -182,8 +246,24 @@ const SudokuTowerDefense = (function() {
             PlayerModule.init();
         }
 
+        // Apply the player's preferences before the first puzzle is generated
+        if (window.GameSettings) {
+            GameSettings.init();
+        }
+        
         if (window.GameLoop) {
-            GameLoop.init();
+            GameLoop.init({
+                seed: getSeedFromUrl(),
+                cellSize: window.BoardRenderer ? Math.floor(BoardRenderer.getCellSize()) : undefined
+            });
+        }
+
+        // Offer to pick up where the last game left off
+        if (window.SaveSystem && window.ModalSystem) {
+            const snapshot = SaveSystem.loadGame();
+            if (snapshot) {
+                ModalSystem.showContinueModal(snapshot);
+            }
         }
 
         debugLog("Game started successfully");
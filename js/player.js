@@ -53,10 +53,8 @@ const PlayerModule = (function() {
         state.currency += amount;
         console.log("Currency added: " + amount + ", New balance: " + state.currency);
         
-        // Update UI
-        updateCurrencyDisplay();
-        
         // Publish event
+        EventSystem.publish(GameEvents.CURRENCY_EARNED, amount);
         EventSystem.publish(GameEvents.CURRENCY_CHANGE, state.currency);
         EventSystem.publish(GameEvents.PLAYER_UPDATE, { ...state });
     }
@@ -71,10 +69,8 @@ const PlayerModule = (function() {
             state.currency -= amount;
             console.log("Currency spent: " + amount + ", New balance: " + state.currency);
             
-            // Update UI
-            updateCurrencyDisplay();
-            
             // Publish event
+            EventSystem.publish(GameEvents.CURRENCY_SPENT, amount);
             EventSystem.publish(GameEvents.CURRENCY_CHANGE, state.currency);
             EventSystem.publish(GameEvents.PLAYER_UPDATE, { ...state });
             return true;
@@ -92,9 +88,6 @@ const PlayerModule = (function() {
         state.score += points;
         console.log("Score added: " + points + ", New score: " + state.score);
         
-        // Update UI
-        updateScoreDisplay();
-        
         // Publish event
         EventSystem.publish(GameEvents.SCORE_CHANGE, state.score);
         EventSystem.publish(GameEvents.PLAYER_UPDATE, { ...state });
@@ -108,19 +101,18 @@ const PlayerModule = (function() {
         state.lives--;
         console.log("Life lost, Remaining lives: " + state.lives);
         
-        // Update UI
-        updateLivesDisplay();
-        
         // Publish event
         EventSystem.publish(GameEvents.LIVES_CHANGE, state.lives);
         EventSystem.publish(GameEvents.PLAYER_UPDATE, { ...state });
         
-        // Check for game over
+        // Check for game over, only announced once when the last life is lost
         if (state.lives <= 0) {
-            console.log("Game over triggered");
-            EventSystem.publish(GameEvents.GAME_OVER, {
-                score: state.score
-            });
+            if (state.lives === 0) {
+                console.log("Game over triggered");
+                EventSystem.publish(GameEvents.GAME_OVER, {
+                    score: state.score
+                });
+            }
             return false;
         }
         return true;
@@ -134,9 +126,6 @@ const PlayerModule = (function() {
         state.lives += count;
         console.log("Lives added: " + count + ", New lives: " + state.lives);
         
-        // Update UI
-        updateLivesDisplay();
-        
         // Publish event
         EventSystem.publish(GameEvents.LIVES_CHANGE, state.lives);
         EventSystem.publish(GameEvents.PLAYER_UPDATE, { ...state });
@@ -169,41 +158,26 @@ const PlayerModule = (function() {
     }
     
     /**
-     * Reset the player state
-     */
-    function reset() {
-        console.log("PlayerModule reset");
-        init();
-    }
-    
-    /**
-     * Update the currency display in the UI
+     * Restore a saved player state
+     * @param {Object} savedState - Saved lives, score and currency
      */
-    function updateCurrencyDisplay() {
-        const currencyElement = document.getElementById('currency-value');
-        if (currencyElement) {
-            currencyElement.textContent = state.currency;
-        }
-    }
-    
-    /**
-     * Update the score display in the UI
-     */
-    function updateScoreDisplay() {
-        const scoreElement = document.getElementById('score-value');
-        if (scoreElement) {
-            scoreElement.textContent = state.score;
-        }
+    function loadState(savedState) {
+        state = {
+            lives: savedState.lives,
+            score: savedState.score,
+            currency: savedState.currency,
+            selectedTower: null
+        };
+        
+        publishState();
     }
     
     /**
-     * Update the lives display in the UI
+     * Reset the player state
      */
-    function updateLivesDisplay() {
-        const livesElement = document.getElementById('lives-value');
-        if (livesElement) {
-            livesElement.textContent = state.lives;
-        }
+    function reset() {
+        console.log("PlayerModule reset");
+        init();
     }
     
     /**
@@ -258,6 +232,7 @@ const PlayerModule = (function() {
         selectTower,
         getSelectedTower,
         getState,
+        loadState,
         reset
     };
 })();
@@ -265,9 +240,11 @@ const PlayerModule = (function() {
 // Make module available globally
 window.PlayerModule = PlayerModule;
 
-// Initialize when DOM is loaded
-document.addEventListener('DOMContentLoaded', function() {
-    if (window.PlayerModule) {
-        PlayerModule.init();
-    }
-});
\ No newline at end of file
+// Initialize when DOM is loaded (browser only; headless drivers call init themselves)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        if (window.PlayerModule) {
+            PlayerModule.init();
+        }
+    });
+}
\ No newline at end of file
@@ -5,36 +5,88 @@
  */
 
 const SudokuBoard = (function() {
+    // New networks tried after a wave before the enemies keep their old paths
+    const MAX_REROUTE_ATTEMPTS = 5;
+    
     // Private variables
-    let board = Array(9).fill().map(() => Array(9).fill(0));
-    let solution = Array(9).fill().map(() => Array(9).fill(0));
-    let fixedCells = Array(9).fill().map(() => Array(9).fill(false));
-    let pathCells = new Set(); // Cells that form the enemy path
+    let size = SudokuConstraints.DEFAULT_SIZE; // Board size used for new games: 4, 6, 9 or 16
+    let board = createGrid(size, 0);
+    let solution = createGrid(size, 0);
+    let fixedCells = createGrid(size, false);
+    let pathCells = new Set(); // Cells of the enemy paths
+    let routes = []; // Enemy routes from each entrance to an exit, main path first
     let difficulty = 'medium'; // easy, medium, hard
+    let variant = 'classic'; // classic, diagonal, jigsaw, killer
+    let pathLayout = { ...EnemyPaths.DEFAULT_LAYOUT }; // Path shape, entrances and forks used for new games
+    let gamePathLayout = { ...pathLayout }; // Path layout of the current game
+    let layout = SudokuConstraints.createLayout(variant); // Units of the current puzzle
+    let importedPuzzle = null; // Puzzle played instead of a generated one, from SudokuImporter
+    let importedDifficulty = null; // Difficulty a puzzle imported by the player is ranked at, null for generated puzzles
+    
+    /**
+     * Create a square grid
+     * @param {number} gridSize - Rows and columns
+     * @param {*} value - Value of every cell
+     * @returns {Array[]} The grid
+     */
+    function createGrid(gridSize, value) {
+        return Array(gridSize).fill().map(() => Array(gridSize).fill(value));
+    }
+    
+    /**
+     * Get the difficulty an imported puzzle is ranked at: the tier of its
+     * grade, or the hardest one if the solver's techniques can't solve it
+     * @param {Object} puzzle - Puzzle from SudokuImporter.createPuzzle()
+     * @returns {string} Difficulty
+     */
+    function getImportedDifficulty(puzzle) {
+        if (puzzle.grade && puzzle.grade.tier) {
+            return puzzle.grade.tier;
+        }
+        const difficulties = Object.keys(SudokuGenerator.difficultySettings);
+        return difficulties[difficulties.length - 1];
+    }
     
     /**
      * Initialize the board
      * @param {Object} options - Options for board initialization
+     * @param {Object} [options.puzzle] - Imported puzzle to play instead of generating one
      */
     function init(options = {}) {
-        board = Array(9).fill().map(() => Array(9).fill(0));
-        solution = Array(9).fill().map(() => Array(9).fill(0));
-        fixedCells = Array(9).fill().map(() => Array(9).fill(false));
-        pathCells.clear();
+        // Keep the difficulty, variant and size chosen through the setters unless one is given
+        difficulty = options.difficulty || difficulty;
+        variant = options.variant || variant;
+        if (SudokuConstraints.isValidSize(options.size)) {
+            size = options.size;
+        }
+        importedPuzzle = options.puzzle || null;
+        importedDifficulty = importedPuzzle && importedPuzzle.imported ? getImportedDifficulty(importedPuzzle) : null;
         
-        difficulty = options.difficulty || 'medium';
+        board = createGrid(size, 0);
+        solution = createGrid(size, 0);
+        fixedCells = createGrid(size, false);
+        useRoutes([]);
+        layout = SudokuConstraints.createLayout('classic', { size });
         
-        // Generate a new board/solution
-        if (window.SudokuGenerator) {
-            const generated = SudokuGenerator.generatePuzzle(difficulty);
+        if (importedPuzzle) {
+            // Copy the imported puzzle, so restarting it starts from its givens
+            board = importedPuzzle.board.map(row => [...row]);
+            solution = importedPuzzle.solution.map(row => [...row]);
+            fixedCells = importedPuzzle.fixedCells.map(row => [...row]);
+            layout = importedPuzzle.layout;
+            useRoutes(importedPuzzle.routes || [Array.from(importedPuzzle.pathCells, pos => pos.split(',').map(Number))]);
+            gamePathLayout = { ...pathLayout, ...importedPuzzle.pathLayout };
+        } else if (window.SudokuGenerator) {
+            // Generate a new board/solution
+            const generated = SudokuGenerator.generatePuzzle(difficulty, variant, size, pathLayout);
             board = generated.board;
             solution = generated.solution;
             fixedCells = generated.fixedCells;
-        }
-        
-        // Generate the enemy path
-        if (window.SudokuGenerator) {
-            pathCells = SudokuGenerator.generateEnemyPath();
+            layout = generated.layout;
+            gamePathLayout = generated.pathLayout;
+            
+            // Use the paths the puzzle was made for, they have no givens on them
+            useRoutes(generated.routes);
         }
         
         // Notify that the board has been initialized
@@ -42,7 +94,9 @@ const SudokuBoard = (function() {
             board: board,
             solution: solution,
             fixedCells: fixedCells,
-            pathCells: Array.from(pathCells).map(pos => pos.split(',').map(Number))
+            pathCells: getPathArray(),
+            routes: getRoutes(),
+            layout: layout
         });
     }
     
@@ -70,17 +124,119 @@ const SudokuBoard = (function() {
         return fixedCells;
     }
     
+    /**
+     * Get the layout of the current puzzle
+     * @returns {Object} Layout from SudokuConstraints.createLayout()
+     */
+    function getLayout() {
+        return layout;
+    }
+    
     /**
      * Get the path cells
-     * @returns {Set<string>} Path cells
+     * @returns {Set<string>} Cells of every route
      */
     function getPathCells() {
         return pathCells;
     }
     
+    /**
+     * Keep a copy of the routes and the cells they cover
+     * @param {number[][][]} newRoutes - Routes as paths from an entrance to an exit
+     */
+    function useRoutes(newRoutes) {
+        routes = newRoutes.filter(route => route.length > 0).map(route => route.map(([row, col]) => [row, col]));
+        pathCells = new Set(routes.flat().map(([row, col]) => `${row},${col}`));
+    }
+    
+    /**
+     * Get the enemy routes
+     * @returns {number[][][]} Copy of the routes from each entrance to an exit, main path first
+     */
+    function getRoutes() {
+        return routes.map(route => route.map(([row, col]) => [row, col]));
+    }
+    
+    /**
+     * Get the graph of the enemy paths, with their entrances, forks and merges
+     * @returns {Object} Graph from EnemyPaths.createGraph()
+     */
+    function getPathGraph() {
+        return EnemyPaths.createGraph(routes);
+    }
+    
+    /**
+     * Replace the enemy paths. The board owns the paths: everything that
+     * follows them (enemy movement, rendering, notes) is told through PATH_UPDATED.
+     * @param {number[][][]} newRoutes - Routes as paths from an entrance to an exit, main path first
+     */
+    function setRoutes(newRoutes) {
+        useRoutes(newRoutes);
+        EventSystem.publish(GameEvents.PATH_UPDATED, getRoutes());
+    }
+    
+    /**
+     * Get the largest Killer cage of the current difficulty
+     * @returns {number} Most cells in a cage
+     */
+    function getMaxCageSize() {
+        const settings = window.SudokuGenerator ? SudokuGenerator.difficultySettings[difficulty] : null;
+        return settings ? settings.maxCageSize : 4;
+    }
+    
+    /**
+     * Replace the enemy paths with new ones of the game's path layout that go
+     * around givens, numbers and towers. Killer cages the new paths cross are
+     * cut again around them, with the cells the old paths leave. Those cells
+     * become playable, so a network is only used if the givens and the
+     * player's correct numbers still have one solution with it. If there is
+     * no room for a path, or no network keeps the puzzle unique, the current
+     * paths are kept: nothing can be built on them.
+     * @returns {boolean} Whether the paths were replaced
+     */
+    function reroutePath() {
+        const blocked = new Set();
+        board.forEach((values, row) => values.forEach((value, col) => {
+            if (value !== 0 || fixedCells[row][col]) {
+                blocked.add(`${row},${col}`);
+            }
+        }));
+        if (window.TowerPlacement) {
+            TowerPlacement.getTowers().forEach(tower => blocked.add(`${tower.row},${tower.col}`));
+        }
+        
+        // Wrong numbers are left out, the puzzle is solved from the rest
+        const clues = board.map((values, row) => values.map((value, col) => (value === solution[row][col] ? value : 0)));
+        
+        for (let attempt = 0; attempt < MAX_REROUTE_ATTEMPTS; attempt++) {
+            const network = EnemyPaths.generateNetwork(gamePathLayout, board.length, blocked);
+            if (!network) {
+                return false;
+            }
+            
+            const newPathCells = new Set(network.flat().map(([row, col]) => `${row},${col}`));
+            let newLayout = layout;
+            if (layout.cages) {
+                const cages = SudokuConstraints.recutCages(layout.cages, solution, newPathCells, getMaxCageSize());
+                if (!cages) {
+                    continue;
+                }
+                newLayout = SudokuConstraints.createLayout(layout.variant, { size: board.length, cages });
+            }
+            
+            if (!window.SudokuGenerator || SudokuGenerator.hasUniqueSolution(clues, newPathCells, newLayout)) {
+                layout = newLayout;
+                setRoutes(network);
+                return true;
+            }
+        }
+        
+        return false;
+    }
+    
     /**
      * Convert path cells to an array of coordinates
-     * @returns {number[][]} Array of [row, col] coordinates
+     * @returns {number[][]} Array of [row, col] coordinates, the main path's first
      */
     function getPathArray() {
         return Array.from(pathCells).map(pos => pos.split(',').map(Number));
@@ -131,7 +287,7 @@ const SudokuBoard = (function() {
             const validNumbers = SudokuValidator.getPossibleValues(board, row, col);
             if (validNumbers.length > 0) {
                 EventSystem.publish(GameEvents.STATUS_MESSAGE, 
-                    `Invalid tower placement: Cannot place ${value} here. Valid options: ${validNumbers.join(', ')}`);
+                    `Invalid tower placement: Cannot place ${SudokuConstraints.getDigitSymbol(value)} here. Valid options: ${validNumbers.map(SudokuConstraints.getDigitSymbol).join(', ')}`);
             } else {
                 EventSystem.publish(GameEvents.STATUS_MESSAGE, "Invalid tower placement according to Sudoku rules!");
             }
@@ -170,19 +326,113 @@ const SudokuBoard = (function() {
     }
     
     /**
-     * Reset the board to a new puzzle
+     * Set the puzzle variant used for new games
+     * @param {string} newVariant - The new variant (classic, diagonal, jigsaw, killer)
+     */
+    function setVariant(newVariant) {
+        if (newVariant in SudokuConstraints.VARIANTS) {
+            variant = newVariant;
+        }
+    }
+    
+    /**
+     * Set the board size used for new games
+     * @param {number} newSize - The new size (4, 6, 9 or 16)
+     */
+    function setSize(newSize) {
+        if (SudokuConstraints.isValidSize(newSize)) {
+            size = newSize;
+        }
+    }
+    
+    /**
+     * Set the enemy path shape used for new games
+     * @param {string} newShape - The new shape (edge, serpentine, spiral, box)
+     */
+    function setPathShape(newShape) {
+        if (newShape in EnemyPaths.SHAPES) {
+            pathLayout.shape = newShape;
+        }
+    }
+    
+    /**
+     * Set the number of enemy entrances used for new games
+     * @param {number} count - Entrances, 1 to EnemyPaths.MAX_ENTRANCES
+     */
+    function setPathEntrances(count) {
+        if (Number.isInteger(count) && count >= 1 && count <= EnemyPaths.MAX_ENTRANCES) {
+            pathLayout.entrances = count;
+        }
+    }
+    
+    /**
+     * Set the number of forks in the enemy path used for new games
+     * @param {number} count - Forks, 0 to EnemyPaths.MAX_FORKS
+     */
+    function setPathForks(count) {
+        if (Number.isInteger(count) && count >= 0 && count <= EnemyPaths.MAX_FORKS) {
+            pathLayout.forks = count;
+        }
+    }
+    
+    /**
+     * Get the board state for saving
+     * @returns {Object} Serializable board state
+     */
+    function getState() {
+        return {
+            board: board.map(row => [...row]),
+            solution: solution.map(row => [...row]),
+            fixedCells: fixedCells.map(row => [...row]),
+            pathCells: getPathArray(),
+            routes: getRoutes(),
+            pathLayout: { ...gamePathLayout },
+            difficulty: difficulty,
+            importedDifficulty: importedDifficulty,
+            ...SudokuConstraints.getState(layout)
+        };
+    }
+    
+    /**
+     * Restore a board state from getState()
+     * @param {Object} state - Saved board state
+     */
+    function loadState(state) {
+        board = state.board.map(row => [...row]);
+        solution = state.solution.map(row => [...row]);
+        fixedCells = state.fixedCells.map(row => [...row]);
+        useRoutes(state.routes && state.routes.length > 0 ? state.routes : [state.pathCells]);
+        setDifficulty(state.difficulty);
+        setVariant(state.variant || 'classic');
+        setSize(board.length);
+        layout = SudokuConstraints.createLayout(state.variant || 'classic', { ...state, size: board.length });
+        importedPuzzle = null;
+        importedDifficulty = state.importedDifficulty || null;
+        gamePathLayout = { ...pathLayout, ...state.pathLayout };
+        
+        // Notify listeners as if the board had just been generated
+        EventSystem.publish(GameEvents.SUDOKU_GENERATED, {
+            board: board,
+            solution: solution,
+            fixedCells: fixedCells,
+            pathCells: getPathArray(),
+            routes: getRoutes(),
+            layout: layout
+        });
+    }
+    
+    /**
+     * Reset the board to a new puzzle, or to the start of the imported one
      */
     function reset() {
-        init({ difficulty: difficulty });
+        init({ difficulty: difficulty, puzzle: importedPuzzle });
     }
     
     // Initialize event listeners
     function initEventListeners() {
-        // Listen for game initialization
+        // Listen for game initialization. This builds the board of every new
+        // game, so GAME_START must not build it again: generating is costly.
         EventSystem.subscribe(GameEvents.GAME_INIT, init);
-        
-        // Listen for new game
-        EventSystem.subscribe(GameEvents.GAME_START, reset);
     }
     
     // Initialize event listeners
@@ -197,9 +447,27 @@ const SudokuBoard = (function() {
         getFixedCells,
         getPathCells,
         getPathArray,
+        getRoutes,
+        getPathGraph,
+        setRoutes,
+        reroutePath,
+        getLayout,
         setCellValue,
         setDifficulty,
-        getDifficulty: function() { return difficulty; }
+        setVariant,
+        setSize,
+        setPathShape,
+        setPathEntrances,
+        setPathForks,
+        getState,
+        loadState,
+        getDifficulty: function() { return difficulty; },
+        isImported: function() { return importedDifficulty !== null; },
+        getImportedDifficulty: function() { return importedDifficulty; },
+        getVariant: function() { return variant; },
+        getSize: function() { return size; },
+        getPathLayout: function() { return { ...pathLayout }; },
+        getGamePathLayout: function() { return { ...gamePathLayout }; }
     };
 })();
 
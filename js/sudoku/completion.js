@@ -1,17 +1,28 @@
 /**
  * completion.js - Handles detection of completed Sudoku units
- * This module checks for completed rows, columns, and 3x3 grids
- * and triggers the completion bonus system when units are completed.
+ * This module checks for completed rows, columns, 3x3 grids and the extra
+ * units of variant puzzles (diagonals, jigsaw regions, Killer cages), and triggers the
+ * completion bonus system when units are completed.
  */
 
 const SudokuCompletion = (function() {
-    // Track completed units
-    let completedRows = new Set();
-    let completedColumns = new Set();
-    let completedGrids = new Set();
+    // Track completed units by unit type
+    let completed = createEmptyStatus();
     
     /**
-     * Check for completed units (rows, columns, 3x3 grids)
+     * Create an empty set of completed units for every unit type
+     * @returns {Object} Set of completed unit indexes by unit type
+     */
+    function createEmptyStatus() {
+        const status = {};
+        for (const unitType in SudokuConstraints.UNIT_TYPES) {
+            status[unitType] = new Set();
+        }
+        return status;
+    }
+    
+    /**
+     * Check for completed units (rows, columns, 3x3 grids, diagonals, regions, cages)
      * Triggers completion bonus events for newly completed units
      */
     function checkCompletions() {
@@ -30,198 +41,72 @@ const SudokuCompletion = (function() {
         }
         
         try {
-            // Check rows
-            checkRowCompletions(board, pathCells);
-            
-            // Check columns
-            checkColumnCompletions(board, pathCells);
-            
-            // Check 3x3 grids
-            checkGridCompletions(board, pathCells);
+            // Check every unit the puzzle declares
+            SudokuBoard.getLayout().units.forEach(unit => {
+                checkUnitCompletion(unit, board, pathCells);
+            });
         } catch (error) {
             console.error("Error in checkCompletions:", error);
         }
     }
     
     /**
-     * Check each row for completion
+     * Check a unit for completion
+     * @param {Object} unit - Unit from the puzzle layout
      * @param {number[][]} board - Current board state
      * @param {Set<string>} pathCells - Set of path cells to exclude
      */
-    function checkRowCompletions(board, pathCells) {
-        for (let row = 0; row < 9; row++) {
-            // Get all non-path cells in this row
-            const nonPathCells = [];
-            for (let col = 0; col < 9; col++) {
-                if (!pathCells.has(`${row},${col}`)) {
-                    nonPathCells.push({row, col});
-                }
+    function checkUnitCompletion(unit, board, pathCells) {
+        // Get all non-path cells in this unit
+        const nonPathCells = unit.cells.filter(([row, col]) => !pathCells.has(`${row},${col}`));
+        
+        // Skip if there are no non-path cells in this unit
+        if (nonPathCells.length === 0) return;
+        
+        // Check if all non-path cells have numbers and no number repeats
+        let isComplete = true;
+        const usedNumbers = new Set();
+        
+        for (const [row, col] of nonPathCells) {
+            const value = board[row][col];
+            if (value === 0) {
+                // Empty cell means unit is not complete
+                isComplete = false;
+                break;
             }
             
-            // Skip if there are no non-path cells in this row
-            if (nonPathCells.length === 0) continue;
-            
-            // Check if all non-path cells have numbers and form a valid Sudoku row
-            let isComplete = true;
-            const usedNumbers = new Set();
-            
-            for (const cell of nonPathCells) {
-                const value = board[cell.row][cell.col];
-                if (value === 0) {
-                    // Empty cell means row is not complete
-                    isComplete = false;
-                    break;
-                }
-                
-                // Check if this number is already used in the row
-                if (usedNumbers.has(value)) {
-                    // Duplicate number means row is not valid
-                    isComplete = false;
-                    break;
-                }
-                
-                usedNumbers.add(value);
+            // Check if this number is already used in the unit
+            if (usedNumbers.has(value)) {
+                // Duplicate number means unit is not valid
+                isComplete = false;
+                break;
             }
             
-            // Row is complete if all cells are filled and numbers are unique
-            if (isComplete && usedNumbers.size === nonPathCells.length) {
-                if (!completedRows.has(row)) {
-                    completedRows.add(row);
-                    console.log(`Row ${row} completed!`);
-                    
-                    // Trigger the completion bonus system
-                    if (window.CompletionBonusModule && 
-                        typeof CompletionBonusModule.onUnitCompleted === 'function') {
-                        CompletionBonusModule.onUnitCompleted('row', row);
-                    }
-                }
-            } else if (!isComplete && completedRows.has(row)) {
-                completedRows.delete(row);
-            }
+            usedNumbers.add(value);
         }
-    }
-    
-    /**
-     * Check each column for completion
-     * @param {number[][]} board - Current board state
-     * @param {Set<string>} pathCells - Set of path cells to exclude
-     */
-    function checkColumnCompletions(board, pathCells) {
-        for (let col = 0; col < 9; col++) {
-            // Get all non-path cells in this column
-            const nonPathCells = [];
-            for (let row = 0; row < 9; row++) {
-                if (!pathCells.has(`${row},${col}`)) {
-                    nonPathCells.push({row, col});
-                }
-            }
-            
-            // Skip if there are no non-path cells in this column
-            if (nonPathCells.length === 0) continue;
-            
-            // Check if all non-path cells have numbers and form a valid Sudoku column
-            let isComplete = true;
-            const usedNumbers = new Set();
-            
-            for (const cell of nonPathCells) {
-                const value = board[cell.row][cell.col];
-                if (value === 0) {
-                    // Empty cell means column is not complete
-                    isComplete = false;
-                    break;
-                }
-                
-                // Check if this number is already used in the column
-                if (usedNumbers.has(value)) {
-                    // Duplicate number means column is not valid
-                    isComplete = false;
-                    break;
-                }
-                
-                usedNumbers.add(value);
-            }
-            
-            // Column is complete if all cells are filled and numbers are unique
-            if (isComplete && usedNumbers.size === nonPathCells.length) {
-                if (!completedColumns.has(col)) {
-                    completedColumns.add(col);
-                    console.log(`Column ${col} completed!`);
-                    
-                    // Trigger the completion bonus system
-                    if (window.CompletionBonusModule && 
-                        typeof CompletionBonusModule.onUnitCompleted === 'function') {
-                        CompletionBonusModule.onUnitCompleted('column', col);
-                    }
-                }
-            } else if (!isComplete && completedColumns.has(col)) {
-                completedColumns.delete(col);
-            }
+        
+        // A Killer cage also has to add up to its sum
+        if (isComplete && unit.type === 'cage') {
+            const total = [...usedNumbers].reduce((sum, value) => sum + value, 0);
+            isComplete = total === unit.sum;
         }
-    }
-    
-    /**
-     * Check each 3x3 grid for completion
-     * @param {number[][]} board - Current board state
-     * @param {Set<string>} pathCells - Set of path cells to exclude
-     */
-    function checkGridCompletions(board, pathCells) {
-        for (let gridRow = 0; gridRow < 3; gridRow++) {
-            for (let gridCol = 0; gridCol < 3; gridCol++) {
-                // Get all non-path cells in this grid
-                const nonPathCells = [];
-                for (let i = 0; i < 3; i++) {
-                    for (let j = 0; j < 3; j++) {
-                        const row = gridRow * 3 + i;
-                        const col = gridCol * 3 + j;
-                        if (!pathCells.has(`${row},${col}`)) {
-                            nonPathCells.push({row, col});
-                        }
-                    }
-                }
-                
-                // Skip if there are no non-path cells in this grid
-                if (nonPathCells.length === 0) continue;
-                
-                // Check if all non-path cells have numbers and form a valid Sudoku 3x3 grid
-                let isComplete = true;
-                const usedNumbers = new Set();
-                
-                for (const cell of nonPathCells) {
-                    const value = board[cell.row][cell.col];
-                    if (value === 0) {
-                        // Empty cell means grid is not complete
-                        isComplete = false;
-                        break;
-                    }
-                    
-                    // Check if this number is already used in the grid
-                    if (usedNumbers.has(value)) {
-                        // Duplicate number means grid is not valid
-                        isComplete = false;
-                        break;
-                    }
-                    
-                    usedNumbers.add(value);
-                }
-                
-                // Grid is complete if all cells are filled and numbers are unique
-                const gridKey = `${gridRow}-${gridCol}`;
+        
+        // Unit is complete if all cells are filled and numbers are unique
+        const completedUnits = completed[unit.type];
+        
+        if (isComplete && usedNumbers.size === nonPathCells.length) {
+            if (!completedUnits.has(unit.index)) {
+                completedUnits.add(unit.index);
+                console.log(`${SudokuConstraints.describeUnit(unit.type, unit.index)} completed!`);
                 
-                if (isComplete && usedNumbers.size === nonPathCells.length) {
-                    if (!completedGrids.has(gridKey)) {
-                        completedGrids.add(gridKey);
-                        console.log(`Grid ${gridKey} completed!`);
-                        
-                        // Trigger the completion bonus system
-                        if (window.CompletionBonusModule && 
-                            typeof CompletionBonusModule.onUnitCompleted === 'function') {
-                            CompletionBonusModule.onUnitCompleted('grid', gridKey);
-                        }
-                    }
-                } else if (!isComplete && completedGrids.has(gridKey)) {
-                    completedGrids.delete(gridKey);
+                // Trigger the completion bonus system
+                if (window.CompletionBonusModule && 
+                    typeof CompletionBonusModule.onUnitCompleted === 'function') {
+                    CompletionBonusModule.onUnitCompleted(unit.type, unit.index);
                 }
             }
+        } else if (!isComplete && completedUnits.has(unit.index)) {
+            completedUnits.delete(unit.index);
         }
     }
     
@@ -235,8 +120,8 @@ const SudokuCompletion = (function() {
         const pathCells = SudokuBoard.getPathCells();
         
         // Check if all non-path cells are filled
-        for (let row = 0; row < 9; row++) {
-            for (let col = 0; col < 9; col++) {
+        for (let row = 0; row < board.length; row++) {
+            for (let col = 0; col < board.length; col++) {
                 if (board[row][col] === 0 && !pathCells.has(`${row},${col}`)) {
                     return false;
                 }
@@ -254,23 +139,34 @@ const SudokuCompletion = (function() {
     
     /**
      * Get the completion status
-     * @returns {Object} Status of completed rows, columns, and grids
+     * @returns {Object} Completed rows, columns, grids, diagonals, regions and cages
      */
     function getCompletionStatus() {
-        return {
-            rows: Array.from(completedRows),
-            columns: Array.from(completedColumns),
-            grids: Array.from(completedGrids)
-        };
+        const status = {};
+        for (const unitType in completed) {
+            status[SudokuConstraints.UNIT_TYPES[unitType].key] = Array.from(completed[unitType]);
+        }
+        return status;
+    }
+    
+    /**
+     * Restore a completion status from getCompletionStatus()
+     * Restored units are treated as already completed, so no new bonus is offered
+     * @param {Object} status - Saved completion status
+     */
+    function loadCompletionStatus(status) {
+        for (const unitType in completed) {
+            completed[unitType] = new Set(status[SudokuConstraints.UNIT_TYPES[unitType].key] || []);
+        }
     }
     
     /**
      * Reset the completion status
      */
     function reset() {
-        completedRows.clear();
-        completedColumns.clear();
-        completedGrids.clear();
+        for (const unitType in completed) {
+            completed[unitType].clear();
+        }
     }
     
     /**
@@ -289,6 +185,9 @@ const SudokuCompletion = (function() {
         // Listen for tower placement and removal to check completions
         EventSystem.subscribe(GameEvents.TOWER_PLACED, checkCompletions);
         EventSystem.subscribe(GameEvents.TOWER_REMOVED, checkCompletions);
+        
+        // A new path changes which cells a unit needs, and can cut new Killer cages
+        EventSystem.subscribe(GameEvents.PATH_UPDATED, checkCompletions);
     }
     
     // Initialize event listeners
@@ -299,6 +198,7 @@ const SudokuCompletion = (function() {
         checkCompletions,
         isComplete,
         getCompletionStatus,
+        loadCompletionStatus,
         reset
     };
 })();
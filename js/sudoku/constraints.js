@@ -0,0 +1,650 @@
+/**
+ * constraints.js - Handles the units a Sudoku variant is made of
+ * A puzzle declares its units in a layout: the groups of cells that must each
+ * hold every digit once. Classic puzzles have rows, columns and boxes,
+ * X-Sudoku adds the two diagonals and jigsaw puzzles replace the boxes with
+ * irregular regions. Killer puzzles add cages: groups of cells whose digits
+ * don't repeat and add up to the cage's sum. The generator, validator,
+ * solver, completion detector and bonus system all work from the layout
+ * instead of hard-coding units or the board size.
+ */
+
+const SudokuConstraints = (function() {
+    // Board sizes: display name, the rows and columns of a box and any
+    // variants that can't be played at the size. Random jigsaw regions on a
+    // 16x16 board can almost never be filled with digits, and proving a
+    // 16x16 killer puzzle unique takes far too long.
+    const BOARD_SIZES = {
+        4: { name: '4x4', boxRows: 2, boxCols: 2 },
+        6: { name: '6x6', boxRows: 2, boxCols: 3 },
+        9: { name: '9x9', boxRows: 3, boxCols: 3 },
+        16: { name: '16x16', boxRows: 4, boxCols: 4, unsupportedVariants: ['jigsaw', 'killer'] }
+    };
+
+    // Size of a board when none is given
+    const DEFAULT_SIZE = 9;
+
+    // Puzzle variants: display name and description
+    const VARIANTS = {
+        classic: { name: 'Classic', description: 'Rows, columns and boxes' },
+        diagonal: { name: 'X-Sudoku', description: 'Classic rules plus both long diagonals' },
+        jigsaw: { name: 'Jigsaw', description: 'Irregular regions instead of boxes' },
+        killer: { name: 'Killer', description: 'Few or no givens, cages show the sum of their digits' }
+    };
+
+    // Unit types: display name and the key used in completion and bonus records
+    const UNIT_TYPES = {
+        row: { name: 'Row', key: 'rows' },
+        column: { name: 'Column', key: 'columns' },
+        grid: { name: 'Grid', key: 'grids' },
+        diagonal: { name: 'Diagonal', key: 'diagonals' },
+        region: { name: 'Region', key: 'regions' },
+        cage: { name: 'Cage', key: 'cages' }
+    };
+
+    // Boundary swaps tried when shaping jigsaw regions, for a 9x9 board
+    const JIGSAW_SWAP_ATTEMPTS = 400;
+
+    // Digit sets that fill a cage by board size, built when first needed
+    const cageCombinations = {};
+
+    /**
+     * Check if a board size is supported
+     * @param {*} size - Size to check
+     * @returns {boolean} Whether the size is one of BOARD_SIZES
+     */
+    function isValidSize(size) {
+        return Object.prototype.hasOwnProperty.call(BOARD_SIZES, size);
+    }
+
+    /**
+     * Check if new puzzles of a variant can be made at a board size
+     * @param {string} variant - Variant name
+     * @param {number} size - Board size
+     * @returns {boolean} Whether both are known and the variant is playable at the size
+     */
+    function isVariantSupported(variant, size) {
+        if (!(variant in VARIANTS) || !isValidSize(size)) {
+            return false;
+        }
+        const unsupported = BOARD_SIZES[size].unsupportedVariants || [];
+        return !unsupported.includes(variant);
+    }
+
+    /**
+     * Get the candidate mask with a bit for every digit of a board size
+     * @param {number} size - Board size
+     * @returns {number} Bits 1 to size set
+     */
+    function getDigitMask(size) {
+        return ((1 << size) - 1) << 1;
+    }
+
+    /**
+     * Get the symbol shown for a digit. Digits above 9 continue with letters
+     * as in hex, so a 16x16 board uses 1-9 and A-G and a letter keeps its hex
+     * value, which keeps Killer cage sums readable.
+     * @param {number} value - Digit value, 1 to 16
+     * @returns {string} Symbol for the player
+     */
+    function getDigitSymbol(value) {
+        return value > 9 ? String.fromCharCode(55 + value) : String(value);
+    }
+
+    /**
+     * Read a digit symbol typed or shown for a board size
+     * @param {string} symbol - Symbol, as from getDigitSymbol()
+     * @param {number} size - Board size
+     * @returns {number|null} Digit value, or null if the symbol isn't a digit of the size
+     */
+    function parseDigitSymbol(symbol, size = DEFAULT_SIZE) {
+        if (typeof symbol !== 'string' || symbol.length !== 1) {
+            return null;
+        }
+        // The symbols are the digits of base size + 1
+        const value = parseInt(symbol, size + 1);
+        return value >= 1 && value <= size ? value : null;
+    }
+
+    /**
+     * Get the digit sets that fill a cage, as bitmasks by cell count and sum
+     * @param {number} size - Board size, the highest digit
+     * @returns {number[][][]} Masks (bit d for digit d) by count and sum
+     */
+    function getCageCombinations(size) {
+        if (!cageCombinations[size]) {
+            const maxSum = size * (size + 1) / 2;
+            const combinations = Array(size + 1).fill().map(() => Array(maxSum + 1).fill().map(() => []));
+            for (let mask = 1; mask < 1 << size; mask++) {
+                let count = 0;
+                let sum = 0;
+                for (let digit = 1; digit <= size; digit++) {
+                    if (mask & (1 << (digit - 1))) {
+                        count++;
+                        sum += digit;
+                    }
+                }
+                // Digit d is bit d, as in the solver's candidate masks
+                combinations[count][sum].push(mask << 1);
+            }
+            cageCombinations[size] = combinations;
+        }
+        return cageCombinations[size];
+    }
+
+    /**
+     * Get the box index of every cell
+     * @param {number} size - Board size
+     * @returns {number[][]} Box index by row and column, boxes numbered row by row
+     */
+    function getBoxRegions(size = DEFAULT_SIZE) {
+        const { boxRows, boxCols } = BOARD_SIZES[size];
+        const boxesPerRow = size / boxCols;
+        return Array(size).fill().map((_, row) => Array(size).fill().map((__, col) =>
+            Math.floor(row / boxRows) * boxesPerRow + Math.floor(col / boxCols)));
+    }
+
+    /**
+     * Get the orthogonal neighbours of a cell
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @param {number} size - Board size
+     * @returns {number[][]} Neighbours as [row, col]
+     */
+    function getNeighbours(row, col, size) {
+        return [[row - 1, col], [row + 1, col], [row, col - 1], [row, col + 1]]
+            .filter(([r, c]) => r >= 0 && r < size && c >= 0 && c < size);
+    }
+
+    /**
+     * Check if the cells of a region touch each other
+     * @param {number[][]} regions - Region index by row and column
+     * @param {number} region - Region to check
+     * @returns {boolean} Whether the region is in one piece
+     */
+    function isRegionConnected(regions, region) {
+        const size = regions.length;
+        const cells = [];
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                if (regions[row][col] === region) cells.push([row, col]);
+            }
+        }
+        if (cells.length === 0) {
+            return false;
+        }
+
+        const seen = new Set([`${cells[0][0]},${cells[0][1]}`]);
+        const queue = [cells[0]];
+        while (queue.length > 0) {
+            const [row, col] = queue.shift();
+            getNeighbours(row, col, size).forEach(([r, c]) => {
+                if (regions[r][c] === region && !seen.has(`${r},${c}`)) {
+                    seen.add(`${r},${c}`);
+                    queue.push([r, c]);
+                }
+            });
+        }
+        return seen.size === cells.length;
+    }
+
+    /**
+     * Check if a region map describes one connected region per digit, each
+     * as large as a row
+     * @param {number[][]} regions - Region index by row and column
+     * @param {number} size - Board size
+     * @returns {boolean} Whether the regions are valid
+     */
+    function isValidRegions(regions, size = DEFAULT_SIZE) {
+        if (!Array.isArray(regions) || regions.length !== size ||
+            !regions.every(row => Array.isArray(row) && row.length === size &&
+                row.every(region => Number.isInteger(region) && region >= 0 && region < size))) {
+            return false;
+        }
+
+        for (let region = 0; region < size; region++) {
+            const count = regions.flat().filter(r => r === region).length;
+            if (count !== size || !isRegionConnected(regions, region)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Shape random jigsaw regions. Starting from the boxes, cells are traded
+     * across region borders while every region stays in one piece.
+     * @param {number} size - Board size
+     * @returns {number[][]} Region index by row and column
+     */
+    function generateJigsawRegions(size = DEFAULT_SIZE) {
+        const regions = getBoxRegions(size);
+        const attempts = Math.round(JIGSAW_SWAP_ATTEMPTS * size * size / 81);
+
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            // A cell moves into a neighbouring region...
+            const row = GameRandom.randomInt(size);
+            const col = GameRandom.randomInt(size);
+            const from = regions[row][col];
+            const others = getNeighbours(row, col, size).filter(([r, c]) => regions[r][c] !== from);
+            if (others.length === 0) {
+                continue;
+            }
+            const [toRow, toCol] = GameRandom.pick(others);
+            const to = regions[toRow][toCol];
+            regions[row][col] = to;
+
+            // ...and a cell of that region bordering the first one moves back
+            const returning = [];
+            for (let r = 0; r < size; r++) {
+                for (let c = 0; c < size; c++) {
+                    if (regions[r][c] === to && (r !== row || c !== col) &&
+                        getNeighbours(r, c, size).some(([nr, nc]) => regions[nr][nc] === from)) {
+                        returning.push([r, c]);
+                    }
+                }
+            }
+            if (returning.length === 0) {
+                regions[row][col] = from;
+                continue;
+            }
+            const [backRow, backCol] = GameRandom.pick(returning);
+            regions[backRow][backCol] = from;
+
+            // Undo the trade if either region was split
+            if (!isRegionConnected(regions, from) || !isRegionConnected(regions, to)) {
+                regions[row][col] = from;
+                regions[backRow][backCol] = to;
+            }
+        }
+
+        return regions;
+    }
+
+    /**
+     * Check if a list of cages is well formed: connected groups of cells that
+     * don't overlap, no larger than a row, each with a sum its cells can reach
+     * @param {Object[]} cages - Cages as { cells: [[row, col]], sum }
+     * @param {number} size - Board size
+     * @returns {boolean} Whether the cages are valid
+     */
+    function isValidCages(cages, size = DEFAULT_SIZE) {
+        if (!Array.isArray(cages) || cages.length === 0) {
+            return false;
+        }
+
+        const seen = new Set();
+        return cages.every(cage => {
+            if (!cage || !Array.isArray(cage.cells) || cage.cells.length === 0 || cage.cells.length > size ||
+                !Number.isInteger(cage.sum) || getCageOptions(size, cage.cells.length, cage.sum) === 0) {
+                return false;
+            }
+
+            const keys = new Set();
+            const inRange = cage.cells.every(cell => Array.isArray(cell) && cell.length === 2 &&
+                cell.every(i => Number.isInteger(i) && i >= 0 && i < size));
+            if (!inRange) {
+                return false;
+            }
+            cage.cells.forEach(([row, col]) => keys.add(row * size + col));
+            if (keys.size !== cage.cells.length || [...keys].some(key => seen.has(key))) {
+                return false;
+            }
+            keys.forEach(key => seen.add(key));
+
+            // Cells must touch each other
+            const reached = new Set([keys.values().next().value]);
+            const queue = [[...reached][0]];
+            while (queue.length > 0) {
+                const key = queue.shift();
+                getNeighbours(Math.floor(key / size), key % size, size).forEach(([r, c]) => {
+                    const next = r * size + c;
+                    if (keys.has(next) && !reached.has(next)) {
+                        reached.add(next);
+                        queue.push(next);
+                    }
+                });
+            }
+            return reached.size === keys.size;
+        });
+    }
+
+    /**
+     * Split the cells off the path into random cages that fit a solution: no
+     * cage repeats a digit and each cage's sum is that of its solution digits
+     * @param {number[][]} solution - Complete solution grid
+     * @param {Set} pathCells - Path cells as "row,col", left out of the cages
+     * @param {number} maxSize - Most cells in a cage
+     * @returns {Object[]} Cages as { cells: [[row, col]], sum }
+     */
+    function generateCages(solution, pathCells = new Set(), maxSize = 4) {
+        const size = solution.length;
+        const cageOf = Array(size).fill().map(() => Array(size).fill(-1));
+        const cells = [];
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                if (!pathCells.has(`${row},${col}`)) cells.push([row, col]);
+            }
+        }
+
+        const cages = [];
+        GameRandom.shuffle(cells).forEach(([row, col]) => {
+            if (cageOf[row][col] !== -1) {
+                return;
+            }
+
+            const index = cages.length;
+            const cageSize = 2 + GameRandom.randomInt(Math.max(1, maxSize - 1));
+            const cage = [[row, col]];
+            const digits = new Set([solution[row][col]]);
+            cageOf[row][col] = index;
+
+            while (cage.length < cageSize) {
+                const options = [];
+                cage.forEach(([r, c]) => getNeighbours(r, c, size).forEach(([nr, nc]) => {
+                    if (cageOf[nr][nc] === -1 && !pathCells.has(`${nr},${nc}`) && !digits.has(solution[nr][nc])) {
+                        options.push([nr, nc]);
+                    }
+                }));
+                if (options.length === 0) {
+                    break;
+                }
+                const [nextRow, nextCol] = GameRandom.pick(options);
+                cage.push([nextRow, nextCol]);
+                digits.add(solution[nextRow][nextCol]);
+                cageOf[nextRow][nextCol] = index;
+            }
+
+            cages.push({ cells: cage, sum: [...digits].reduce((sum, digit) => sum + digit, 0) });
+        });
+
+        // Order cages by their first cell, so that cage numbers read like the board
+        cages.forEach(cage => cage.cells.sort((a, b) => a[0] - b[0] || a[1] - b[1]));
+        return cages.sort((a, b) => a.cells[0][0] - b.cells[0][0] || a.cells[0][1] - b.cells[0][1]);
+    }
+
+    /**
+     * Fit Killer cages to a new path. Cages the path crosses are cut again,
+     * together with the cells off the path that no cage covers. Cages the
+     * path leaves alone keep their place in the list, so their index (and any
+     * completion or bonus saved under it) stays the same; new cages take the
+     * places of the cut ones first.
+     * @param {Object[]} cages - Current cages as { cells: [[row, col]], sum }
+     * @param {number[][]} solution - Complete solution grid
+     * @param {Set} pathCells - Cells of the new path as "row,col"
+     * @param {number} maxSize - Most cells in a new cage
+     * @returns {Object[]|null} Cages for the new path, or null if the new
+     *     cages are too few to take the places of the cut ones
+     */
+    function recutCages(cages, solution, pathCells, maxSize = 4) {
+        const kept = cages.map(cage => (cage.cells.some(([row, col]) => pathCells.has(`${row},${col}`)) ? null : cage));
+
+        const taken = new Set(pathCells);
+        kept.forEach(cage => cage && cage.cells.forEach(([row, col]) => taken.add(`${row},${col}`)));
+        const recut = generateCages(solution, taken, maxSize);
+
+        const places = kept.filter(cage => !cage).length;
+        if (recut.length < places) {
+            return null;
+        }
+
+        let next = 0;
+        return kept.map(cage => cage || recut[next++]).concat(recut.slice(next));
+    }
+
+    /**
+     * Get the digits that can still go in the empty cells of a cage
+     * @param {number} size - Board size, the highest digit
+     * @param {number} count - Empty cells in the cage
+     * @param {number} sum - What the empty cells must add up to
+     * @param {number} used - Bitmask of digits already in the cage (bit d for digit d)
+     * @param {number} [available] - Bitmask of digits the empty cells could hold, all if omitted
+     * @returns {number} Bitmask of digits that appear in some fitting combination
+     */
+    function getCageOptions(size, count, sum, used = 0, available = getDigitMask(size)) {
+        const combinations = getCageCombinations(size);
+        if (count < 1 || count > size || sum < 1 || sum >= combinations[count].length) {
+            return 0;
+        }
+        let options = 0;
+        combinations[count][sum].forEach(mask => {
+            if ((mask & used) === 0 && (mask & ~available) === 0) options |= mask;
+        });
+        return options;
+    }
+
+    /**
+     * Create the layout of a puzzle variant
+     * @param {string} variant - 'classic', 'diagonal', 'jigsaw' or 'killer'
+     * @param {Object} [options] - Board size and variant data
+     * @param {number} [options.size] - Board size, 9 if omitted
+     * @param {number[][]} [options.regions] - Region index by row and column, required for jigsaw
+     * @param {Object[]} [options.cages] - Cages as { cells: [[row, col]], sum }, required for killer
+     * @returns {Object} Layout with variant, size, box shape, regions, cages, units, unitsByCell and peers
+     * @throws {Error} If the variant or size is unknown or its regions or cages are invalid
+     */
+    function createLayout(variant = 'classic', { size = DEFAULT_SIZE, regions = null, cages = null } = {}) {
+        if (!(variant in VARIANTS)) {
+            throw new Error(`Unknown puzzle variant: ${variant}`);
+        }
+        if (!isValidSize(size)) {
+            throw new Error(`Unsupported board size: ${size}`);
+        }
+        if (variant === 'jigsaw' && !isValidRegions(regions, size)) {
+            throw new Error(`Jigsaw puzzles need ${size} connected regions of ${size} cells`);
+        }
+        if (variant === 'killer' && !isValidCages(cages, size)) {
+            throw new Error("Killer puzzles need connected cages that don't overlap");
+        }
+
+        const { boxRows, boxCols } = BOARD_SIZES[size];
+        const units = [];
+        for (let i = 0; i < size; i++) {
+            units.push({ type: 'row', index: i, cells: Array(size).fill().map((_, j) => [i, j]) });
+        }
+        for (let i = 0; i < size; i++) {
+            units.push({ type: 'column', index: i, cells: Array(size).fill().map((_, j) => [j, i]) });
+        }
+
+        if (variant === 'jigsaw') {
+            for (let region = 0; region < size; region++) {
+                const cells = [];
+                for (let row = 0; row < size; row++) {
+                    for (let col = 0; col < size; col++) {
+                        if (regions[row][col] === region) cells.push([row, col]);
+                    }
+                }
+                units.push({ type: 'region', index: region, cells });
+            }
+        } else {
+            // Boxes keep their "gridRow-gridCol" index, as stored in saved completions and bonuses
+            for (let gridRow = 0; gridRow < size / boxRows; gridRow++) {
+                for (let gridCol = 0; gridCol < size / boxCols; gridCol++) {
+                    const cells = [];
+                    for (let i = 0; i < size; i++) {
+                        cells.push([gridRow * boxRows + Math.floor(i / boxCols), gridCol * boxCols + i % boxCols]);
+                    }
+                    units.push({ type: 'grid', index: `${gridRow}-${gridCol}`, cells });
+                }
+            }
+        }
+
+        if (variant === 'diagonal') {
+            units.push({ type: 'diagonal', index: 0, cells: Array(size).fill().map((_, i) => [i, i]) });
+            units.push({ type: 'diagonal', index: 1, cells: Array(size).fill().map((_, i) => [i, size - 1 - i]) });
+        }
+
+        // Cages are units too, so their digits can't repeat; the sum rule is checked on top
+        if (variant === 'killer') {
+            cages.forEach((cage, index) => {
+                units.push({ type: 'cage', index, cells: cage.cells.map(([row, col]) => [row, col]), sum: cage.sum });
+            });
+        }
+
+        // Units and peers of every cell
+        const unitsByCell = Array(size).fill().map(() => Array(size).fill().map(() => []));
+        units.forEach(unit => {
+            unit.cells.forEach(([row, col]) => unitsByCell[row][col].push(unit));
+        });
+
+        const peers = Array(size).fill().map(() => Array(size).fill().map(() => []));
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const seen = new Set([row * size + col]);
+                unitsByCell[row][col].forEach(unit => {
+                    unit.cells.forEach(([r, c]) => {
+                        if (!seen.has(r * size + c)) {
+                            seen.add(r * size + c);
+                            peers[row][col].push([r, c]);
+                        }
+                    });
+                });
+            }
+        }
+
+        return {
+            variant,
+            size,
+            boxRows,
+            boxCols,
+            regions: variant === 'jigsaw' ? regions.map(row => [...row]) : null,
+            cages: variant === 'killer' ? cages.map(cage => ({ cells: cage.cells.map(([row, col]) => [row, col]), sum: cage.sum })) : null,
+            units,
+            unitsByCell,
+            peers
+        };
+    }
+
+    /**
+     * Create a layout of a variant with new random regions where it needs them.
+     * Killer cages depend on the solution, so killer starts from a classic layout
+     * and gets its cages from generateCages().
+     * @param {string} variant - 'classic', 'diagonal', 'jigsaw' or 'killer'
+     * @param {number} size - Board size
+     * @returns {Object} Layout from createLayout()
+     */
+    function createRandomLayout(variant = 'classic', size = DEFAULT_SIZE) {
+        if (variant === 'killer') {
+            return createLayout('classic', { size });
+        }
+        return createLayout(variant, { size, regions: variant === 'jigsaw' ? generateJigsawRegions(size) : null });
+    }
+
+    /**
+     * Get the box or jigsaw region of every cell, for drawing borders
+     * @param {Object} layout - Layout from createLayout()
+     * @returns {number[][]} Region or box index by row and column
+     */
+    function getRegionMap(layout) {
+        return layout.regions || getBoxRegions(layout.size);
+    }
+
+    /**
+     * Find the cage a cell belongs to
+     * @param {Object} layout - Layout from createLayout()
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {Object|null} Cage unit or null if the cell isn't in a cage
+     */
+    function getCage(layout, row, col) {
+        return layout.unitsByCell[row][col].find(unit => unit.type === 'cage') || null;
+    }
+
+    /**
+     * Check if the values in a cage keep to its sum: a full cage must add up
+     * exactly, a partly filled one must leave a sum its empty cells can make
+     * @param {Object} cage - Cage unit
+     * @param {number[][]} board - Board values, 0 for empty
+     * @param {Object} [placed] - A value to check as if it were on the board, as { row, col, value }
+     * @returns {boolean} Whether the cage can still be completed
+     */
+    function isCageSumValid(cage, board, placed = null) {
+        let used = 0;
+        let total = 0;
+        let empty = 0;
+        cage.cells.forEach(([row, col]) => {
+            const value = placed && placed.row === row && placed.col === col ? placed.value : board[row][col];
+            if (value === 0) {
+                empty++;
+            } else {
+                used |= 1 << value;
+                total += value;
+            }
+        });
+
+        if (empty === 0) {
+            return total === cage.sum;
+        }
+        return getCageOptions(board.length, empty, cage.sum - total, used) !== 0;
+    }
+
+    /**
+     * Find a unit of a layout
+     * @param {Object} layout - Layout from createLayout()
+     * @param {string} unitType - Unit type
+     * @param {number|string} unitIndex - Unit index, as a number or string
+     * @returns {Object|null} The unit or null if the layout has no such unit
+     */
+    function findUnit(layout, unitType, unitIndex) {
+        return layout.units.find(unit => unit.type === unitType && String(unit.index) === String(unitIndex)) || null;
+    }
+
+    /**
+     * Get a display name for a unit, e.g. "Row 3", "Grid 1,2" or "Cage 12"
+     * @param {string} unitType - Unit type
+     * @param {number|string} unitIndex - Unit index
+     * @returns {string} Display name
+     */
+    function describeUnit(unitType, unitIndex) {
+        const name = UNIT_TYPES[unitType] ? UNIT_TYPES[unitType].name : unitType;
+        if (unitType === 'grid') {
+            const [row, col] = String(unitIndex).split('-').map(Number);
+            return `${name} ${row + 1},${col + 1}`;
+        }
+        return `${name} ${parseInt(unitIndex) + 1}`;
+    }
+
+    /**
+     * Get the part of a layout that is saved with a game. The board size is
+     * not saved separately, it is the size of the saved board.
+     * @param {Object} layout - Layout from createLayout()
+     * @returns {Object} Variant, regions and cages
+     */
+    function getState(layout) {
+        return {
+            variant: layout.variant,
+            regions: layout.regions ? layout.regions.map(row => [...row]) : null,
+            cages: layout.cages ? layout.cages.map(cage => ({ cells: cage.cells.map(([row, col]) => [row, col]), sum: cage.sum })) : null
+        };
+    }
+
+    // Public API
+    return {
+        createLayout,
+        createRandomLayout,
+        generateJigsawRegions,
+        isValidRegions,
+        generateCages,
+        recutCages,
+        isValidCages,
+        getCageOptions,
+        getCage,
+        isCageSumValid,
+        getRegionMap,
+        findUnit,
+        describeUnit,
+        getState,
+        isValidSize,
+        isVariantSupported,
+        getDigitMask,
+        getDigitSymbol,
+        parseDigitSymbol,
+        BOARD_SIZES,
+        DEFAULT_SIZE,
+        VARIANTS,
+        UNIT_TYPES
+    };
+})();
+
+// Make module available globally
+window.SudokuConstraints = SudokuConstraints;
@@ -4,49 +4,37 @@
  */
 
 const SudokuGenerator = (function() {
-    // Difficulty settings (number of cells to reveal)
+    // Difficulty settings: the hardest solving technique tier the puzzle
+    // should need, and the fewest cells to keep revealed on a 9x9 board.
+    // Killer puzzles use their own clue floor and cap the size of their cages
+    // instead. Clue floors scale with the number of cells on other sizes.
     const difficultySettings = {
-        easy: 40,
-        medium: 30,
-        hard: 25
+        easy: { tier: 'easy', minClues: 36, killerClues: 8, maxCageSize: 3 },
+        medium: { tier: 'medium', minClues: 24, killerClues: 4, maxCageSize: 4 },
+        hard: { tier: 'hard', minClues: 20, killerClues: 0, maxCageSize: 5 }
     };
     
+    // Puzzles to try before settling for the closest to the target tier
+    const MAX_GENERATION_ATTEMPTS = 20;
+    
+    // Random fills of a variant grid, and search steps allowed for each on a
+    // 9x9 board, before giving up on its layout: random restarts get out of
+    // dead ends far sooner than one long search
+    const FILL_RESTARTS = 10;
+    const MAX_FILL_STEPS = 500;
+    
     /**
      * Check if a number can be placed in a specific position
      * @param {number[][]} grid - The Sudoku grid
      * @param {number} row - Row index
      * @param {number} col - Column index
      * @param {number} num - Number to check
+     * @param {Object} layout - Units of the puzzle
      * @returns {boolean} Whether the number can be placed
      */
-    function isValid(grid, row, col, num) {
-        // Check row
-        for (let x = 0; x < 9; x++) {
-            if (grid[row][x] === num) {
-                return false;
-            }
-        }
-        
-        // Check column
-        for (let x = 0; x < 9; x++) {
-            if (grid[x][col] === num) {
-                return false;
-            }
-        }
-        
-        // Check 3x3 box
-        let boxRow = Math.floor(row / 3) * 3;
-        let boxCol = Math.floor(col / 3) * 3;
-        
-        for (let i = 0; i < 3; i++) {
-            for (let j = 0; j < 3; j++) {
-                if (grid[boxRow + i][boxCol + j] === num) {
-                    return false;
-                }
-            }
-        }
-        
-        return true;
+    function isValid(grid, row, col, num, layout) {
+        // Check every cell sharing a unit
+        return !layout.peers[row][col].some(([r, c]) => grid[r][c] === num);
     }
     
     /**
@@ -55,8 +43,8 @@ const SudokuGenerator = (function() {
      * @returns {[number, number]|null} Coordinates of empty cell or null if none found
      */
     function findEmptyCell(grid) {
-        for (let row = 0; row < 9; row++) {
-            for (let col = 0; col < 9; col++) {
+        for (let row = 0; row < grid.length; row++) {
+            for (let col = 0; col < grid.length; col++) {
                 if (grid[row][col] === 0) {
                     return [row, col];
                 }
@@ -68,20 +56,21 @@ const SudokuGenerator = (function() {
     /**
      * Solve the Sudoku grid using backtracking
      * @param {number[][]} grid - The Sudoku grid to solve
+     * @param {Object} layout - Units of the puzzle
      * @returns {boolean} Whether the puzzle was solved
      */
-    function solveSudoku(grid) {
+    function solveSudoku(grid, layout) {
         let emptyCell = findEmptyCell(grid);
         if (!emptyCell) return true; // No empty cells left - puzzle solved
         
         const [row, col] = emptyCell;
         
-        // Try each number 1-9
-        for (let num = 1; num <= 9; num++) {
-            if (isValid(grid, row, col, num)) {
+        // Try each digit of the board
+        for (let num = 1; num <= grid.length; num++) {
+            if (isValid(grid, row, col, num, layout)) {
                 grid[row][col] = num;
                 
-                if (solveSudoku(grid)) {
+                if (solveSudoku(grid, layout)) {
                     return true;
                 }
                 
@@ -92,11 +81,101 @@ const SudokuGenerator = (function() {
         return false; // Trigger backtracking
     }
     
+    /**
+     * Get the indexes into layout.units of the units of every cell
+     * @param {Object} layout - Units of the puzzle
+     * @returns {number[][][]} Unit indexes by row and column
+     */
+    function getCellUnits(layout) {
+        return layout.unitsByCell.map(row => row.map(units => units.map(unit => layout.units.indexOf(unit))));
+    }
+    
+    /**
+     * Fill an empty grid in random order, most constrained cell first. Used
+     * for variants, where the diagonal boxes can't be filled independently,
+     * and for boards other than 9x9.
+     * @param {Object} layout - Units of the puzzle
+     * @returns {number[][]|null} Filled grid, or null if every restart ran out of steps
+     */
+    function fillRandomly(layout) {
+        const size = layout.size;
+        const cellUnits = getCellUnits(layout);
+        
+        for (let attempt = 0; attempt < FILL_RESTARTS; attempt++) {
+            const grid = Array(size).fill().map(() => Array(size).fill(0));
+            const unitMasks = Array(layout.units.length).fill(0);
+            let steps = Math.round(MAX_FILL_STEPS * Math.max(1, size * size / 81));
+            
+            const search = function() {
+                if (--steps < 0) {
+                    return false;
+                }
+                
+                let best = null;
+                let bestValues = null;
+                for (let row = 0; row < size; row++) {
+                    for (let col = 0; col < size; col++) {
+                        if (grid[row][col] !== 0) {
+                            continue;
+                        }
+                        
+                        let used = 0;
+                        cellUnits[row][col].forEach(unit => {
+                            used |= unitMasks[unit];
+                        });
+                        
+                        const values = [];
+                        for (let num = 1; num <= size; num++) {
+                            if (!(used & (1 << num))) values.push(num);
+                        }
+                        if (!best || values.length < bestValues.length) {
+                            best = [row, col];
+                            bestValues = values;
+                        }
+                    }
+                }
+                
+                if (!best) return true;
+                
+                const [row, col] = best;
+                shuffle(bestValues);
+                for (const num of bestValues) {
+                    grid[row][col] = num;
+                    cellUnits[row][col].forEach(unit => {
+                        unitMasks[unit] ^= 1 << num;
+                    });
+                    
+                    if (search()) {
+                        return true;
+                    }
+                    
+                    cellUnits[row][col].forEach(unit => {
+                        unitMasks[unit] ^= 1 << num;
+                    });
+                }
+                
+                grid[row][col] = 0;
+                return false;
+            };
+            
+            if (search()) {
+                return grid;
+            }
+        }
+        
+        return null;
+    }
+    
     /**
      * Generate a complete, random Sudoku solution
-     * @returns {number[][]} Completed Sudoku grid
+     * @param {Object} layout - Units of the puzzle
+     * @returns {number[][]|null} Completed Sudoku grid, or null if none was found for the layout
      */
-    function generateCompleteSolution() {
+    function generateCompleteSolution(layout) {
+        if (layout.variant !== 'classic' || layout.size !== 9) {
+            return fillRandomly(layout);
+        }
+        
         // Start with an empty grid
         const grid = Array(9).fill().map(() => Array(9).fill(0));
         
@@ -113,248 +192,383 @@ const SudokuGenerator = (function() {
         }
         
         // Solve the rest of the puzzle using backtracking
-        solveSudoku(grid);
+        solveSudoku(grid, layout);
         
         return grid;
     }
     
     /**
-     * Create a puzzle from a complete solution by removing numbers
-     * @param {number[][]} solution - Complete Sudoku solution
-     * @param {Set<string>} pathCells - Set of cells reserved for the path
-     * @param {number} numToReveal - Number of cells to reveal
-     * @returns {Object} Board and fixed cells
+     * Count the solutions of a puzzle, stopping once the limit is reached.
+     * Path cells can never hold a tower, so solutions that only differ on the
+     * path count as one: the search fills the other cells first and then only
+     * checks that the path cells can still be completed. Killer cages also
+     * limit each cell to digits that can still make the cage's sum.
+     * @param {number[][]} grid - Puzzle with 0 for empty cells
+     * @param {number} limit - Stop counting at this many solutions
+     * @param {Set<string>} pathCells - Set of path cell coordinates as "row,col" strings
+     * @param {Object} [layout] - Units of the puzzle, classic if omitted
+     * @param {function} [onSolution] - Called with a copy of each solution found
+     * @returns {number} Number of solutions found, at most the limit
      */
-    function createPuzzleFromSolution(solution, pathCells, numToReveal) {
-        // Create copies to work with
-        const puzzle = JSON.parse(JSON.stringify(solution));
-        const fixed = Array(9).fill().map(() => Array(9).fill(false));
-        
-        // Create a list of all positions
-        let positions = [];
-        for (let i = 0; i < 9; i++) {
-            for (let j = 0; j < 9; j++) {
-                positions.push([i, j]);
-            }
-        }
-        
-        // Shuffle positions
-        shuffle(positions);
+    function countSolutions(grid, limit = 2, pathCells = new Set(), layout = SudokuConstraints.createLayout('classic'), onSolution = null) {
+        const work = grid.map(row => [...row]);
+        const unitMasks = Array(layout.units.length).fill(0);
+        const playableCells = [];
+        const pathEmptyCells = [];
         
-        // Keep track of cells to reveal
-        let revealed = 0;
+        // Indexes into unitMasks of the units of each cell
+        const cellUnits = getCellUnits(layout);
+        const size = layout.size;
+        const allDigits = SudokuConstraints.getDigitMask(size);
         
-        // First, clear all path cells
-        for (let pos of pathCells) {
-            const [row, col] = pos.split(',').map(Number);
-            puzzle[row][col] = 0;
-            fixed[row][col] = false;
-        }
+        // Killer cage of each cell (index into layout.units, -1 if none),
+        // with the total placed and the cells still empty in each cage
+        const cellCages = cellUnits.map(row => row.map(units => {
+            const cage = units.find(unit => layout.units[unit].type === 'cage');
+            return cage === undefined ? -1 : cage;
+        }));
+        const cageTotals = Array(layout.units.length).fill(0);
+        const cageEmpty = layout.units.map(unit => unit.cells.length);
         
-        // Mark cells for revealing
-        for (let [row, col] of positions) {
-            // Skip path cells
-            if (pathCells.has(`${row},${col}`)) {
-                continue;
+        /**
+         * Set or clear a digit in a cell and its units
+         * @param {number} row - Row index
+         * @param {number} col - Column index
+         * @param {number} num - Digit, or 0 to clear the cell
+         * @param {number} bit - Bit of the digit being set or cleared
+         */
+        function setCell(row, col, num, bit) {
+            const cage = cellCages[row][col];
+            if (cage !== -1) {
+                cageTotals[cage] += num ? num : -work[row][col];
+                cageEmpty[cage] += num ? -1 : 1;
             }
             
-            if (revealed < numToReveal) {
-                // Keep this cell visible
-                fixed[row][col] = true;
-                revealed++;
-            } else {
-                // Hide this cell
-                puzzle[row][col] = 0;
-                fixed[row][col] = false;
-            }
+            work[row][col] = num;
+            cellUnits[row][col].forEach(unit => {
+                unitMasks[unit] ^= bit;
+            });
         }
         
-        return { puzzle, fixed };
-    }
-    
-    /**
-     * Shuffle an array in place
-     * @param {Array} array - Array to shuffle
-     */
-    function shuffle(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
+        /**
+         * Get the digits used in the units of a cell
+         * @param {number} row - Row index
+         * @param {number} col - Column index
+         * @returns {number} Bit mask of used digits
+         */
+        function usedIn(row, col) {
+            let used = 0;
+            cellUnits[row][col].forEach(unit => {
+                used |= unitMasks[unit];
+            });
+            return used;
         }
-    }
-    
-    /**
-     * Generate a path for enemies to follow
-     * Creates a non-overlapping path from a starting point to an end point
-     * @returns {Set<string>} Set of path cell coordinates as "row,col" strings
-     */
-    function generateEnemyPath() {
-        const pathCells = new Set();
         
-        // Only use horizontal and vertical movements to avoid diagonal overlaps
-        const directions = [
-            [-1, 0], // up
-            [1, 0],  // down
-            [0, 1]   // right - only move right, never left to prevent overlaps
-        ];
-        
-        // Start at a random position on the left edge
-        let startRow = Math.floor(Math.random() * 9);
-        let currentRow = startRow;
-        let currentCol = 0;
-        
-        // Choose an end row for the right edge
-        let endRow = Math.floor(Math.random() * 9);
-        
-        // Mark the starting position
-        pathCells.add(`${currentRow},${currentCol}`);
+        /**
+         * Get the digits that can still go in a cell
+         * @param {number} row - Row index
+         * @param {number} col - Column index
+         * @returns {number} Bit mask of candidate digits
+         */
+        function candidatesOf(row, col) {
+            const candidates = allDigits & ~usedIn(row, col);
+            const cage = cellCages[row][col];
+            if (cage === -1) {
+                return candidates;
+            }
+            return candidates & SudokuConstraints.getCageOptions(size, cageEmpty[cage],
+                layout.units[cage].sum - cageTotals[cage], unitMasks[cage]);
+        }
         
-        // Generate path until we reach the last column
-        while (currentCol < 8) {
-            let possibleMoves = [];
+        /**
+         * Fill the empty cells of a list, most constrained first
+         * @param {Array} cells - Cells to fill as [row, col]
+         * @param {function} onFilled - Called when all are filled, returns true to stop
+         * @param {Array} otherCells - Cells left for later, the search backs off as soon as one has no candidates
+         * @returns {boolean} Whether the search was stopped
+         */
+        function fill(cells, onFilled, otherCells = []) {
+            for (const [row, col] of otherCells) {
+                if (work[row][col] === 0 && candidatesOf(row, col) === 0) {
+                    return false;
+                }
+            }
+            
+            let best = null;
+            let bestMask = 0;
+            let bestCount = size + 1;
             
-            // Check each direction for valid moves
-            for (let [dr, dc] of directions) {
-                let newRow = currentRow + dr;
-                let newCol = currentCol + dc;
+            for (const [row, col] of cells) {
+                if (work[row][col] !== 0) {
+                    continue;
+                }
+                
+                const mask = candidatesOf(row, col);
+                let count = 0;
+                for (let num = 1; num <= size; num++) {
+                    if (mask & (1 << num)) count++;
+                }
                 
-                if (newRow >= 0 && newRow < 9 && 
-                    newCol >= 0 && newCol < 9 && 
-                    !pathCells.has(`${newRow},${newCol}`)) {
-                    possibleMoves.push([dr, dc]);
+                if (count < bestCount) {
+                    best = [row, col];
+                    bestMask = mask;
+                    bestCount = count;
+                    if (count === 0) break;
                 }
             }
             
-            // If no valid moves, try to move right
-            if (possibleMoves.length === 0) {
-                const newCol = currentCol + 1;
-                if (newCol < 9 && !pathCells.has(`${currentRow},${newCol}`)) {
-                    currentCol = newCol;
-                    pathCells.add(`${currentRow},${currentCol}`);
-                } else {
-                    // If we can't progress, break out
-                    break;
+            if (!best) {
+                return onFilled();
+            }
+            
+            const [row, col] = best;
+            for (let num = 1; num <= size; num++) {
+                const bit = 1 << num;
+                if (!(bestMask & bit)) {
+                    continue;
+                }
+                
+                setCell(row, col, num, bit);
+                const stop = fill(cells, onFilled, otherCells);
+                setCell(row, col, 0, bit);
+                
+                if (stop) {
+                    return true;
                 }
-                continue;
             }
             
-            // Choose a random valid move
-            const [dr, dc] = possibleMoves[Math.floor(Math.random() * possibleMoves.length)];
-            currentRow += dr;
-            currentCol += dc;
-            pathCells.add(`${currentRow},${currentCol}`);
+            return false;
         }
         
-        // If we haven't reached the end row in the last column, add a straight path to it
-        if (currentCol === 8 && currentRow !== endRow) {
-            const step = currentRow < endRow ? 1 : -1;
-            for (let r = currentRow + step; step > 0 ? r <= endRow : r >= endRow; r += step) {
-                pathCells.add(`${r},${currentCol}`);
+        // Record the givens, a puzzle whose givens clash has no solutions
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const num = work[row][col];
+                if (num === 0) {
+                    (pathCells.has(`${row},${col}`) ? pathEmptyCells : playableCells).push([row, col]);
+                    continue;
+                }
+                
+                const bit = 1 << num;
+                if (usedIn(row, col) & bit) {
+                    return 0;
+                }
+                setCell(row, col, num, bit);
             }
         }
         
-        return pathCells;
+        let solutions = 0;
+        fill(playableCells, function() {
+            const found = fill(pathEmptyCells, function() {
+                if (onSolution) {
+                    onSolution(work.map(row => [...row]));
+                }
+                return true;
+            });
+            if (found) {
+                solutions++;
+            }
+            return solutions >= limit;
+        }, pathEmptyCells);
+        
+        return solutions;
     }
     
     /**
-     * Check if we can connect two cells without crossing the path
-     * @param {number} row1 - First cell row
-     * @param {number} col1 - First cell column
-     * @param {number} row2 - Second cell row
-     * @param {number} col2 - Second cell column
-     * @param {Set<string>} existingPath - Set of existing path cells
-     * @returns {boolean} Whether cells can be connected
+     * Check if a puzzle has exactly one solution
+     * @param {number[][]} grid - Puzzle with 0 for empty cells
+     * @param {Set<string>} pathCells - Set of path cell coordinates as "row,col" strings
+     * @param {Object} [layout] - Units of the puzzle, classic if omitted
+     * @returns {boolean} Whether the puzzle has a unique solution
      */
-    function canConnect(row1, col1, row2, col2, existingPath) {
-        // For simplicity, only allow straight line connections
-        if (row1 !== row2 && col1 !== col2) {
-            return false;
+    function hasUniqueSolution(grid, pathCells = new Set(), layout) {
+        return countSolutions(grid, 2, pathCells, layout) === 1;
+    }
+    
+    /**
+     * Check if a puzzle is still good enough to keep removing clues. With the
+     * solver, the puzzle has to be solvable with techniques up to the target
+     * tier, which also means its solution is unique. Without it, only
+     * uniqueness is checked. Killer puzzles are meant to start with few or no
+     * givens, which the solver's techniques can't always work through, so they
+     * are only checked for uniqueness.
+     * @param {number[][]} puzzle - Puzzle with 0 for empty cells
+     * @param {Set<string>} pathCells - Set of cells reserved for the path
+     * @param {string} tier - Hardest technique tier allowed
+     * @param {Object} layout - Units of the puzzle
+     * @returns {boolean} Whether the puzzle is acceptable
+     */
+    function isAcceptable(puzzle, pathCells, tier, layout) {
+        if (window.SudokuSolver && layout.variant !== 'killer') {
+            return SudokuSolver.solve(puzzle, { pathCells, maxTier: tier, layout }).solved;
         }
+        return hasUniqueSolution(puzzle, pathCells, layout);
+    }
+    
+    /**
+     * Create a puzzle from a complete solution by removing numbers. Clues are
+     * only removed while the puzzle stays uniquely solvable with techniques up
+     * to the target tier, so often more than the minimum stay revealed.
+     * @param {number[][]} solution - Complete Sudoku solution
+     * @param {Set<string>} pathCells - Set of cells reserved for the path
+     * @param {Object} settings - Target tier and minimum clues from difficultySettings
+     * @param {Object} layout - Units of the puzzle
+     * @returns {Object} Board and fixed cells
+     */
+    function createPuzzleFromSolution(solution, pathCells, settings, layout) {
+        // Start from the full solution with the path cells cleared
+        const size = solution.length;
+        const puzzle = solution.map(row => [...row]);
+        const fixed = Array(size).fill().map(() => Array(size).fill(false));
         
-        // Check for obstacles in the path
-        if (row1 === row2) {
-            // Horizontal connection
-            const minCol = Math.min(col1, col2);
-            const maxCol = Math.max(col1, col2);
-            for (let c = minCol + 1; c < maxCol; c++) {
-                if (existingPath.has(`${row1},${c}`)) {
-                    return false;
+        let positions = [];
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                if (pathCells.has(`${row},${col}`)) {
+                    puzzle[row][col] = 0;
+                } else {
+                    fixed[row][col] = true;
+                    positions.push([row, col]);
                 }
             }
-        } else {
-            // Vertical connection
-            const minRow = Math.min(row1, row2);
-            const maxRow = Math.max(row1, row2);
-            for (let r = minRow + 1; r < maxRow; r++) {
-                if (existingPath.has(`${r},${col1}`)) {
-                    return false;
-                }
+        }
+        
+        // Try removing clues in random order
+        shuffle(positions);
+        
+        const clues = layout.variant === 'killer' ? settings.killerClues : settings.minClues;
+        const minClues = Math.round(clues * size * size / 81);
+        let revealed = positions.length;
+        for (let [row, col] of positions) {
+            if (revealed <= minClues) {
+                break;
+            }
+            
+            puzzle[row][col] = 0;
+            if (isAcceptable(puzzle, pathCells, settings.tier, layout)) {
+                fixed[row][col] = false;
+                revealed--;
+            } else {
+                // The clue is needed, put it back
+                puzzle[row][col] = solution[row][col];
             }
         }
         
-        return true;
+        return { puzzle, fixed };
+    }
+    
+    /**
+     * Shuffle an array in place
+     * @param {Array} array - Array to shuffle
+     */
+    function shuffle(array) {
+        GameRandom.shuffle(array);
     }
     
     /**
-     * Get cells needed to connect two points
-     * @param {number} row1 - First cell row
-     * @param {number} col1 - First cell column
-     * @param {number} row2 - Second cell row
-     * @param {number} col2 - Second cell column
-     * @returns {string[]} Array of cell coordinates as strings
+     * Generate the paths for enemies to follow
+     * @param {number} size - Board size
+     * @param {Object} [pathLayout] - Path shape, entrances and forks, see EnemyPaths.DEFAULT_LAYOUT
+     * @returns {number[][][]} Routes from each entrance to an exit, main path first
      */
-    function getConnectingCells(row1, col1, row2, col2) {
-        const cells = [];
-        
-        if (row1 === row2) {
-            // Horizontal connection
-            const minCol = Math.min(col1, col2);
-            const maxCol = Math.max(col1, col2);
-            for (let c = minCol + 1; c <= maxCol; c++) {
-                cells.push(`${row1},${c}`);
+    function generateEnemyPaths(size = 9, pathLayout = EnemyPaths.DEFAULT_LAYOUT) {
+        return EnemyPaths.generateNetwork(pathLayout, size);
+    }
+    
+    /**
+     * Get the position of a technique tier, easiest first
+     * @param {string|null} tier - Tier from SudokuSolver.grade()
+     * @returns {number} Tier index, -1 if unknown
+     */
+    function getTierIndex(tier) {
+        return SudokuSolver.TIERS.indexOf(tier);
+    }
+    
+    /**
+     * Create the layout of a variant and a complete solution for it. Some
+     * jigsaw shapes can't be filled at all, so new regions are drawn until
+     * one can. Killer cages are cut from the solution, around the path.
+     * @param {string} variant - Puzzle variant (classic, diagonal, jigsaw, killer)
+     * @param {Set<string>} pathCells - Set of cells reserved for the path
+     * @param {Object} settings - Difficulty settings, for the killer cage size
+     * @param {number} size - Board size
+     * @returns {Object} Layout and solution
+     */
+    function generateLayoutAndSolution(variant, pathCells, settings, size) {
+        for (;;) {
+            const layout = SudokuConstraints.createRandomLayout(variant, size);
+            const solution = generateCompleteSolution(layout);
+            if (!solution) {
+                continue;
             }
-        } else if (col1 === col2) {
-            // Vertical connection
-            const minRow = Math.min(row1, row2);
-            const maxRow = Math.max(row1, row2);
-            for (let r = minRow + 1; r <= maxRow; r++) {
-                cells.push(`${r},${col1}`);
+            
+            if (variant === 'killer') {
+                const cages = SudokuConstraints.generateCages(solution, pathCells, settings.maxCageSize);
+                return { layout: SudokuConstraints.createLayout('killer', { size, cages }), solution };
             }
+            return { layout, solution };
         }
-        
-        return cells;
     }
     
     /**
-     * Generate a Sudoku puzzle with given difficulty
+     * Generate a Sudoku puzzle with given difficulty. Puzzles are generated
+     * until one needs exactly the target technique tier; if none does within
+     * the attempt limit, the hardest one found is used. Killer puzzles aren't
+     * held to a tier: their difficulty comes from cage size and givens.
+     * Variants that can't be played at the board size fall back to classic.
      * @param {string} difficulty - Puzzle difficulty (easy, medium, hard)
-     * @returns {Object} Generated puzzle with board, solution, fixedCells
+     * @param {string} variant - Puzzle variant (classic, diagonal, jigsaw, killer)
+     * @param {number} size - Board size (4, 6, 9 or 16)
+     * @param {Object} [pathLayout] - Shape, entrances and forks of the enemy paths, see EnemyPaths.DEFAULT_LAYOUT
+     * @returns {Object} Generated puzzle with board, solution, fixedCells, pathCells, routes, pathLayout, layout and grade
      */
-    function generatePuzzle(difficulty = 'medium') {
-        // Generate a path for enemies first
-        const path = generateEnemyPath();
-        
-        // Generate a complete solution
-        const solution = generateCompleteSolution();
-        
-        // Determine cells to reveal based on difficulty
-        const cellsToReveal = difficultySettings[difficulty] || difficultySettings.medium;
+    function generatePuzzle(difficulty = 'medium', variant = 'classic', size = SudokuConstraints.DEFAULT_SIZE, pathLayout = EnemyPaths.DEFAULT_LAYOUT) {
+        const settings = difficultySettings[difficulty] || difficultySettings.medium;
+        if (!SudokuConstraints.isVariantSupported(variant, size)) {
+            variant = 'classic';
+        }
+        let best = null;
         
-        // Create puzzle from solution
-        const { puzzle, fixed } = createPuzzleFromSolution(solution, path, cellsToReveal);
+        for (let attempt = 0; attempt < MAX_GENERATION_ATTEMPTS; attempt++) {
+            // Generate the paths for enemies first, the puzzle leaves all their cells free
+            const routes = generateEnemyPaths(size, pathLayout);
+            const path = new Set(routes.flat().map(([row, col]) => `${row},${col}`));
+            
+            // Generate the units and a complete solution
+            const { layout, solution } = generateLayoutAndSolution(variant, path, settings, size);
+            
+            // Create puzzle from solution
+            const { puzzle, fixed } = createPuzzleFromSolution(solution, path, settings, layout);
+            
+            const generated = {
+                board: puzzle,
+                solution: solution,
+                fixedCells: fixed,
+                pathCells: path,
+                routes: routes,
+                pathLayout: { ...EnemyPaths.DEFAULT_LAYOUT, ...pathLayout },
+                layout: layout,
+                grade: window.SudokuSolver ? SudokuSolver.grade(puzzle, path, layout) : { tier: null, hardestTechnique: null }
+            };
+            
+            if (!window.SudokuSolver || variant === 'killer' || generated.grade.tier === settings.tier) {
+                return generated;
+            }
+            
+            if (!best || getTierIndex(generated.grade.tier) > getTierIndex(best.grade.tier)) {
+                best = generated;
+            }
+        }
         
-        return {
-            board: puzzle,
-            solution: solution,
-            fixedCells: fixed,
-            pathCells: path
-        };
+        return best;
     }
     
     // Public API
     return {
         generatePuzzle,
-        generateEnemyPath,
+        generateEnemyPaths,
+        countSolutions,
+        hasUniqueSolution,
         difficultySettings
     };
 })();
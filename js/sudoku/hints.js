@@ -0,0 +1,209 @@
+/**
+ * hints.js - Handles paid hints
+ * This module uses SudokuSolver to find the next cell the player can work out
+ * and explains how. A hint costs currency; the tower it points to can then
+ * be placed at a discount.
+ */
+
+const HintSystem = (function() {
+    // Price of a hint
+    const HINT_COST = 20;
+
+    // Share of the tower cost taken off when placing the hinted tower
+    const PLACEMENT_DISCOUNT = 0.5;
+
+    // Most earlier steps to spell out in a hint before summarising them
+    const MAX_EXPLAINED_STEPS = 2;
+
+    // Hint being shown, if any
+    let currentHint = null;
+
+    /**
+     * Get the board with only correct values, so that wrong towers waiting
+     * to be removed don't mislead the solver
+     * @returns {number[][]} Board with 0 for empty or wrong cells
+     */
+    function getCorrectBoard() {
+        const board = SudokuBoard.getBoard();
+        const solution = SudokuBoard.getSolution();
+        return board.map((row, r) => row.map((value, c) => value === solution[r][c] ? value : 0));
+    }
+
+    /**
+     * Explain a hint: the deduction that fills the cell, after the steps that led to it
+     * @param {Object[]} steps - Solver steps, the last one fills the cell
+     * @returns {string} Explanation for the status area
+     */
+    function createMessage(steps) {
+        const earlier = steps.slice(0, -1);
+        const last = steps[steps.length - 1];
+
+        if (earlier.length <= MAX_EXPLAINED_STEPS) {
+            return steps.map(step => step.description).join(' ');
+        }
+
+        // Count the earlier steps by technique, e.g. "naked single x3"
+        const counts = {};
+        earlier.forEach(step => {
+            counts[step.name] = (counts[step.name] || 0) + 1;
+        });
+        const summary = Object.entries(counts)
+            .map(([name, count]) => `${name.toLowerCase()} x${count}`)
+            .join(', ');
+
+        return `${last.description} This follows from ${earlier.length} earlier deductions in the highlighted cells (${summary}).`;
+    }
+
+    /**
+     * Find the next cell off the path that can be filled by logic
+     * @returns {Object|null} Hint with placement, steps, cells and message, or null if none
+     */
+    function findHint() {
+        const pathCells = SudokuBoard.getPathCells();
+        const state = SudokuSolver.createState(getCorrectBoard(), pathCells, SudokuBoard.getLayout());
+        const steps = [];
+
+        let step = SudokuSolver.findNextStep(state);
+        while (step) {
+            steps.push(step);
+
+            // Deductions on the path can't be played, keep going until one can
+            const placement = step.placements.find(({ row, col }) => !pathCells.has(`${row},${col}`));
+            if (placement) {
+                const cells = [];
+                steps.forEach(s => s.cells.forEach(([row, col]) => {
+                    if (!cells.some(([r, c]) => r === row && c === col)) {
+                        cells.push([row, col]);
+                    }
+                }));
+
+                return {
+                    placement,
+                    steps,
+                    cells,
+                    message: createMessage(steps)
+                };
+            }
+
+            SudokuSolver.applyStep(state, step);
+            step = SudokuSolver.findNextStep(state);
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the discounted price of the hinted tower
+     * @param {Object} hint - Hint from findHint()
+     * @returns {number} Discounted cost
+     */
+    function getPlacementCost(hint) {
+        return Math.ceil(TowerTypes.getTowerCost(hint.placement.value) * (1 - PLACEMENT_DISCOUNT));
+    }
+
+    /**
+     * Check if the current hint's cell is still empty
+     * @returns {boolean} Whether the hint is still useful
+     */
+    function isHintActive() {
+        if (!currentHint) {
+            return false;
+        }
+        const { row, col } = currentHint.placement;
+        return SudokuBoard.getBoard()[row][col] === 0;
+    }
+
+    /**
+     * Show the current hint
+     */
+    function showHint() {
+        EventSystem.publish(GameEvents.HINT_SHOWN, {
+            ...currentHint,
+            placementCost: getPlacementCost(currentHint)
+        });
+        EventSystem.publish(GameEvents.STATUS_MESSAGE, currentHint.message);
+    }
+
+    /**
+     * Buy a hint. Asking again while the last hint's cell is still empty shows
+     * it again for free.
+     * @returns {Object|null} Hint or null if none was given
+     */
+    function requestHint() {
+        if (!window.SudokuSolver || !window.SudokuBoard || !window.PlayerModule) {
+            return null;
+        }
+
+        if (isHintActive()) {
+            showHint();
+            return currentHint;
+        }
+
+        const hint = findHint();
+        if (!hint) {
+            EventSystem.publish(GameEvents.STATUS_MESSAGE, "No hint available: there is no cell left to work out.");
+            return null;
+        }
+
+        if (!PlayerModule.spendCurrency(HINT_COST)) {
+            EventSystem.publish(GameEvents.STATUS_MESSAGE, `Not enough currency for a hint! Need ${HINT_COST}`);
+            return null;
+        }
+
+        currentHint = hint;
+        showHint();
+        return hint;
+    }
+
+    /**
+     * Place the hinted tower at the discounted price
+     * @returns {Object|null} The tower or null if it couldn't be placed
+     */
+    function placeHintTower() {
+        if (!isHintActive() || !window.TowerPlacement) {
+            return null;
+        }
+
+        const { row, col, value } = currentHint.placement;
+        return TowerPlacement.createTower(String(value), row, col, { cost: getPlacementCost(currentHint) });
+    }
+
+    /**
+     * Forget the current hint
+     */
+    function clearHint() {
+        if (currentHint) {
+            currentHint = null;
+            EventSystem.publish(GameEvents.HINT_CLEARED);
+        }
+    }
+
+    /**
+     * Initialize event listeners
+     */
+    function initEventListeners() {
+        // The hint is used up once its cell is filled
+        EventSystem.subscribe(GameEvents.TOWER_PLACED, function() {
+            if (currentHint && !isHintActive()) {
+                clearHint();
+            }
+        });
+
+        EventSystem.subscribe(GameEvents.GAME_INIT, clearHint);
+        EventSystem.subscribe(GameEvents.GAME_RESTORED, clearHint);
+    }
+
+    initEventListeners();
+
+    // Public API
+    return {
+        requestHint,
+        placeHintTower,
+        clearHint,
+        getCurrentHint: function() { return isHintActive() ? currentHint : null; },
+        HINT_COST
+    };
+})();
+
+// Make module available globally
+window.HintSystem = HintSystem;
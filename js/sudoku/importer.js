@@ -0,0 +1,274 @@
+/**
+ * importer.js - Reads puzzles written in standard Sudoku text formats
+ * This module parses curated puzzles (one-line strings, SadMan .sdk files and
+ * Simple Sudoku .ss files), checks that they have exactly one solution and
+ * lays an enemy path through their empty cells, either picked by the player
+ * or found automatically. The result takes the place of a generated puzzle
+ * in SudokuBoard.init.
+ */
+
+const SudokuImporter = (function() {
+    // Supported formats: display name
+    const FORMATS = {
+        line: { name: 'One-line string' },
+        sdk: { name: 'SadMan Sudoku (.sdk)' },
+        ss: { name: 'Simple Sudoku (.ss)' }
+    };
+
+    // Characters that stand for an empty cell
+    const BLANK_SYMBOLS = '.0';
+
+    // Characters that only draw box borders in .ss files
+    const SEPARATOR_PATTERN = /[|!+]/;
+
+    /**
+     * Throw an import error unless a condition holds
+     * @param {boolean} condition - Condition that must hold
+     * @param {string} message - Error message
+     */
+    function check(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    /**
+     * Work out the format of a puzzle from its file name or its text
+     * @param {string} text - Puzzle text
+     * @param {string} [filename] - Name of the file it came from
+     * @returns {string} Format key from FORMATS
+     */
+    function detectFormat(text, filename = '') {
+        const extension = filename.split('.').pop().toLowerCase();
+        if (filename.includes('.') && extension in FORMATS) {
+            return extension;
+        }
+
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '');
+        if (lines.some(line => /^-+[-!+]*$/.test(line) || SEPARATOR_PATTERN.test(line))) {
+            return 'ss';
+        }
+
+        // A grid has at least as many lines as cells in a row, a list of one-line puzzles doesn't
+        const rows = lines.filter(line => !line.startsWith('#') && !line.startsWith('['));
+        const first = rows.length > 0 ? rows[0].split(/\s+/)[0] : '';
+        return rows.length > 1 && first.length <= rows.length ? 'sdk' : 'line';
+    }
+
+    /**
+     * Get the rows of cell symbols of a puzzle
+     * @param {string} text - Puzzle text
+     * @param {string} format - Format key from FORMATS
+     * @returns {string[]} Rows of symbols, or a single string holding every cell for one-line puzzles
+     */
+    function getRows(text, format) {
+        const lines = text.split(/\r?\n/).map(line => line.trim());
+
+        if (format === 'line') {
+            // Puzzle collections often follow the puzzle with a rating or comment
+            const line = lines.find(candidate => candidate !== '' && !candidate.startsWith('#'));
+            check(line, "No puzzle found");
+            return [line.split(/\s+/)[0]];
+        }
+
+        const rows = [];
+        let sections = 0;
+        for (const line of lines) {
+            // .sdk metadata lines start with #, sections like [Puzzle] and [State] with [
+            if (line.startsWith('#')) {
+                continue;
+            }
+            if (line.startsWith('[')) {
+                // Anything after the first section is saved progress, not the puzzle
+                if (++sections > 1 && rows.length > 0) break;
+                continue;
+            }
+
+            const row = line.split(SEPARATOR_PATTERN).join('').replace(/\s+/g, '');
+            if (row === '' || /^-+$/.test(row)) {
+                continue;
+            }
+            rows.push(row);
+        }
+
+        check(rows.length > 0, "No puzzle found");
+        check(rows.every(row => row.length === rows.length),
+            `Each of the ${rows.length} rows needs ${rows.length} cells`);
+        return rows;
+    }
+
+    /**
+     * Parse a puzzle
+     * @param {string} text - Puzzle text
+     * @param {string} [filename] - Name of the file it came from, used to tell the format
+     * @returns {Object} Puzzle as { board, size, format } with 0 for empty cells
+     */
+    function parse(text, filename) {
+        const format = detectFormat(String(text), filename);
+        const cells = getRows(String(text), format).join('');
+
+        const size = Math.round(Math.sqrt(cells.length));
+        const counts = Object.keys(SudokuConstraints.BOARD_SIZES).map(option => option * option);
+        check(SudokuConstraints.isValidSize(size) && size * size === cells.length,
+            `A puzzle needs ${counts.slice(0, -1).join(', ')} or ${counts[counts.length - 1]} cells, found ${cells.length}`);
+
+        const board = [];
+        for (let row = 0; row < size; row++) {
+            board.push([]);
+            for (let col = 0; col < size; col++) {
+                const symbol = cells[row * size + col];
+                if (BLANK_SYMBOLS.includes(symbol)) {
+                    board[row].push(0);
+                    continue;
+                }
+
+                const value = SudokuConstraints.parseDigitSymbol(symbol, size);
+                check(value >= 1 && value <= size, `"${symbol}" is not a digit of a ${size}x${size} puzzle`);
+                board[row].push(value);
+            }
+        }
+
+        return { board, size, format };
+    }
+
+    /**
+     * Check that a puzzle can be played: its givens follow the rules and it
+     * has exactly one solution
+     * @param {number[][]} board - Puzzle with 0 for empty cells
+     * @returns {Object} The solution and classic layout of the puzzle as { solution, layout }
+     */
+    function validate(board) {
+        const size = board.length;
+        const layout = SudokuConstraints.createLayout('classic', { size });
+
+        check(board.some(row => row.includes(0)), "The puzzle is already solved");
+
+        let solution = null;
+        const count = SudokuGenerator.countSolutions(board, 2, new Set(), layout, function(grid) {
+            solution = solution || grid;
+        });
+
+        check(count > 0, "The puzzle has no solution");
+        check(count === 1, "The puzzle has more than one solution");
+
+        return { solution, layout };
+    }
+
+    /**
+     * Check if a cell is on the edge of the board
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @param {number} size - Board size
+     * @returns {boolean} Whether the cell is on the edge
+     */
+    function isEdgeCell(row, col, size) {
+        return row === 0 || col === 0 || row === size - 1 || col === size - 1;
+    }
+
+    /**
+     * Check if a cell can be added to the end of a path. A path starts on the
+     * edge of the board and steps to an orthogonal neighbour each cell, only
+     * through empty cells, never through the same cell twice and never
+     * folding into a 2x2 block.
+     * @param {number[][]} path - Path so far as [row, col] coordinates
+     * @param {number[][]} board - Puzzle with 0 for empty cells
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} Whether the cell can be added
+     */
+    function canExtendPath(path, board, row, col) {
+        const size = board.length;
+        if (row < 0 || row >= size || col < 0 || col >= size || board[row][col] !== 0) {
+            return false;
+        }
+        if (path.some(([pathRow, pathCol]) => pathRow === row && pathCol === col)) {
+            return false;
+        }
+        if (path.length === 0) {
+            return isEdgeCell(row, col, size);
+        }
+
+        const [lastRow, lastCol] = path[path.length - 1];
+        return Math.abs(lastRow - row) + Math.abs(lastCol - col) === 1 &&
+            !EnemyPaths.formsBlock(new Set(path.map(([pathRow, pathCol]) => `${pathRow},${pathCol}`)), row, col);
+    }
+
+    /**
+     * Check that a path can be used by the enemies: a valid path for
+     * EnemyPaths through empty cells, from one edge cell to another
+     * @param {number[][]} path - Path as [row, col] coordinates, entrance first
+     * @param {number[][]} board - Puzzle with 0 for empty cells
+     */
+    function validatePath(path, board) {
+        const size = board.length;
+        const problems = EnemyPaths.getPathProblems(path, size);
+        check(problems.length === 0, problems[0]);
+
+        path.forEach(([row, col]) => {
+            check(board[row][col] === 0, "Path cells must be empty");
+        });
+
+        const [endRow, endCol] = path[path.length - 1];
+        check(isEdgeCell(endRow, endCol, size), "The path must end on the edge of the board");
+    }
+
+    /**
+     * Find a path through the empty cells of a puzzle, from the left edge to
+     * the right edge or, if the givens block every such path, from the top to
+     * the bottom
+     * @param {number[][]} board - Puzzle with 0 for empty cells
+     * @returns {number[][]|null} Path as [row, col] coordinates, or null if there is none
+     */
+    function findPath(board) {
+        const givens = [];
+        board.forEach((values, row) => values.forEach((value, col) => {
+            if (value !== 0) {
+                givens.push([row, col]);
+            }
+        }));
+
+        return EnemyPaths.findPath(board.length, givens);
+    }
+
+    /**
+     * Build the game puzzle for an imported puzzle and its path, in the shape
+     * returned by SudokuGenerator.generatePuzzle
+     * @param {number[][]} board - Puzzle with 0 for empty cells
+     * @param {number[][]} solution - Its solution
+     * @param {number[][]} path - Path as [row, col] coordinates, entrance first
+     * @returns {Object} Puzzle with board, solution, fixedCells, pathCells, routes, layout and grade,
+     *     marked as imported so its games are ranked apart from generated ones
+     */
+    function createPuzzle(board, solution, path) {
+        validatePath(path, board);
+
+        const size = board.length;
+        const layout = SudokuConstraints.createLayout('classic', { size });
+        const pathCells = new Set(path.map(([row, col]) => `${row},${col}`));
+
+        return {
+            board: board.map(row => [...row]),
+            solution: solution.map(row => [...row]),
+            fixedCells: board.map(row => row.map(value => value !== 0)),
+            pathCells: pathCells,
+            routes: [path.map(([row, col]) => [row, col])],
+            layout: layout,
+            imported: true,
+            grade: window.SudokuSolver ? SudokuSolver.grade(board, pathCells, layout) : { tier: null, hardestTechnique: null }
+        };
+    }
+
+    // Public API
+    return {
+        parse,
+        validate,
+        canExtendPath,
+        validatePath,
+        findPath,
+        createPuzzle,
+        FORMATS
+    };
+})();
+
+// Make module available globally
+window.SudokuImporter = SudokuImporter;
@@ -0,0 +1,246 @@
+/**
+ * notes.js - Handles pencil-mark notes
+ * This module keeps the candidate digits the player notes in empty cells.
+ * In notes mode, clicking a cell with a number selected toggles that note
+ * instead of buying a tower. Notes are saved with the game.
+ */
+
+const SudokuNotes = (function() {
+    // Noted digits by cell ("row,col" => Set of digits)
+    let notes = new Map();
+
+    // Whether cell clicks edit notes instead of placing towers
+    let notesMode = false;
+
+    /**
+     * Check if a cell can hold notes: empty, not a given, not on the path and without a tower
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} Whether notes can be added
+     */
+    function canHaveNotes(row, col) {
+        if (!window.SudokuBoard) {
+            return false;
+        }
+        return SudokuBoard.getBoard()[row][col] === 0 &&
+            !SudokuBoard.getFixedCells()[row][col] &&
+            !SudokuBoard.getPathCells().has(`${row},${col}`) &&
+            !(window.TowerPlacement && TowerPlacement.getTowerAt(row, col));
+    }
+
+    /**
+     * Tell listeners that notes changed
+     * @param {number[]|null} cell - The cell that changed as [row, col], or null for many cells
+     */
+    function publishChange(cell) {
+        EventSystem.publish(GameEvents.NOTES_CHANGED, { cell });
+    }
+
+    /**
+     * Get the digits noted in a cell
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {number[]} Noted digits in ascending order
+     */
+    function getNotes(row, col) {
+        const cellNotes = notes.get(`${row},${col}`);
+        return cellNotes ? [...cellNotes].sort((a, b) => a - b) : [];
+    }
+
+    /**
+     * Add or remove a digit from a cell's notes
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @param {number} digit - Digit, 1 to the board size
+     * @returns {boolean} Whether the notes changed
+     */
+    function toggleNote(row, col, digit) {
+        if (!window.SudokuBoard || !Number.isInteger(digit) || digit < 1 || digit > SudokuBoard.getBoard().length) {
+            return false;
+        }
+
+        if (!canHaveNotes(row, col)) {
+            EventSystem.publish(GameEvents.STATUS_MESSAGE, "Notes can only be added to empty cells off the path!");
+            return false;
+        }
+
+        const key = `${row},${col}`;
+        const cellNotes = notes.get(key) || new Set();
+        if (cellNotes.has(digit)) {
+            cellNotes.delete(digit);
+        } else {
+            cellNotes.add(digit);
+        }
+
+        if (cellNotes.size > 0) {
+            notes.set(key, cellNotes);
+        } else {
+            notes.delete(key);
+        }
+
+        publishChange([row, col]);
+        return true;
+    }
+
+    /**
+     * Remove all notes from a cell
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     */
+    function clearCell(row, col) {
+        if (notes.delete(`${row},${col}`)) {
+            publishChange([row, col]);
+        }
+    }
+
+    /**
+     * Remove a digit from the notes of every cell sharing a unit with a cell
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @param {number} digit - Digit to remove
+     */
+    function removeFromPeers(row, col, digit) {
+        let changed = false;
+
+        SudokuBoard.getLayout().peers[row][col].forEach(([r, c]) => {
+            const key = `${r},${c}`;
+            const cellNotes = notes.get(key);
+            if (cellNotes && cellNotes.delete(digit)) {
+                changed = true;
+                if (cellNotes.size === 0) {
+                    notes.delete(key);
+                }
+            }
+        });
+
+        if (changed) {
+            publishChange(null);
+        }
+    }
+
+    /**
+     * Fill every empty cell off the path with the digits that can still go there
+     */
+    function autoFill() {
+        if (!window.SudokuBoard || !window.SudokuValidator) {
+            return;
+        }
+
+        const board = SudokuBoard.getBoard();
+        notes.clear();
+
+        for (let row = 0; row < board.length; row++) {
+            for (let col = 0; col < board.length; col++) {
+                if (canHaveNotes(row, col)) {
+                    const values = SudokuValidator.getPossibleValues(board, row, col);
+                    if (values.length > 0) {
+                        notes.set(`${row},${col}`, new Set(values));
+                    }
+                }
+            }
+        }
+
+        publishChange(null);
+        EventSystem.publish(GameEvents.STATUS_MESSAGE, "Candidates filled in for every empty cell");
+    }
+
+    /**
+     * Remove every note
+     */
+    function clearAll() {
+        notes.clear();
+        publishChange(null);
+    }
+
+    /**
+     * Drop notes from cells that can no longer hold them, e.g. after the path moved
+     */
+    function removeInvalidNotes() {
+        let changed = false;
+        notes.forEach((cellNotes, key) => {
+            const [row, col] = key.split(',').map(Number);
+            if (!canHaveNotes(row, col)) {
+                notes.delete(key);
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            publishChange(null);
+        }
+    }
+
+    /**
+     * Turn notes mode on or off
+     * @param {boolean} enabled - Whether notes mode should be on, toggles if omitted
+     * @returns {boolean} Whether notes mode is on
+     */
+    function setNotesMode(enabled = !notesMode) {
+        notesMode = !!enabled;
+        EventSystem.publish(GameEvents.NOTES_MODE_CHANGE, { enabled: notesMode });
+        return notesMode;
+    }
+
+    /**
+     * Get the notes for saving
+     * @returns {Object} Noted digits by "row,col"
+     */
+    function getState() {
+        const state = {};
+        notes.forEach((cellNotes, key) => {
+            state[key] = [...cellNotes].sort((a, b) => a - b);
+        });
+        return state;
+    }
+
+    /**
+     * Restore notes from getState()
+     * @param {Object} state - Noted digits by "row,col"
+     */
+    function loadState(state) {
+        notes = new Map();
+        Object.entries(state || {}).forEach(([key, digits]) => {
+            if (digits.length > 0) {
+                notes.set(key, new Set(digits));
+            }
+        });
+        removeInvalidNotes();
+        publishChange(null);
+    }
+
+    /**
+     * Initialize event listeners
+     */
+    function initEventListeners() {
+        EventSystem.subscribe(GameEvents.GAME_INIT, clearAll);
+
+        // A number tower fills its cell and rules its digit out of the cell's peers
+        EventSystem.subscribe(GameEvents.TOWER_PLACED, function(tower) {
+            clearCell(tower.row, tower.col);
+
+            const digit = parseInt(tower.type);
+            if (!isNaN(digit)) {
+                removeFromPeers(tower.row, tower.col, digit);
+            }
+        });
+
+        EventSystem.subscribe(GameEvents.PATH_UPDATED, removeInvalidNotes);
+    }
+
+    initEventListeners();
+
+    // Public API
+    return {
+        getNotes,
+        toggleNote,
+        autoFill,
+        clearAll,
+        setNotesMode,
+        isNotesMode: function() { return notesMode; },
+        getState,
+        loadState
+    };
+})();
+
+// Make module available globally
+window.SudokuNotes = SudokuNotes;
@@ -0,0 +1,658 @@
+/**
+ * solver.js - Solves Sudoku puzzles the way a person would
+ * This module works through a puzzle one deduction at a time using human
+ * techniques, from singles up to X-Wing and Swordfish (and cage sums in Killer
+ * puzzles), and grades a puzzle by
+ * the hardest technique it needs. Each step records the cells it used and a
+ * short explanation so it can be shown to the player.
+ */
+
+const SudokuSolver = (function() {
+    // Difficulty tiers, easiest first
+    const TIERS = ['easy', 'medium', 'hard'];
+
+    // Techniques in the order they are tried, easiest first
+    const TECHNIQUES = [
+        { id: 'nakedSingle', name: 'Naked single', tier: 'easy', find: findNakedSingle },
+        { id: 'hiddenSingle', name: 'Hidden single', tier: 'easy', find: findHiddenSingle },
+        { id: 'cageSum', name: 'Cage sum', tier: 'medium', find: findCageSum },
+        { id: 'pointing', name: 'Pointing pair', tier: 'medium', find: findPointing },
+        { id: 'boxLine', name: 'Box/line reduction', tier: 'medium', find: findBoxLine },
+        { id: 'nakedPair', name: 'Naked pair', tier: 'hard', find: state => findNakedSubset(state, 2, 'nakedPair') },
+        { id: 'hiddenPair', name: 'Hidden pair', tier: 'hard', find: state => findHiddenSubset(state, 2, 'hiddenPair') },
+        { id: 'nakedTriple', name: 'Naked triple', tier: 'hard', find: state => findNakedSubset(state, 3, 'nakedTriple') },
+        { id: 'hiddenTriple', name: 'Hidden triple', tier: 'hard', find: state => findHiddenSubset(state, 3, 'hiddenTriple') },
+        { id: 'xWing', name: 'X-Wing', tier: 'hard', find: state => findFish(state, 2, 'xWing') },
+        { id: 'swordfish', name: 'Swordfish', tier: 'hard', find: state => findFish(state, 3, 'swordfish') }
+    ];
+
+    // Unit types that play the part of the 3x3 box
+    const BOX_TYPES = ['grid', 'region'];
+
+    /**
+     * Check if a unit is a box or jigsaw region
+     * @param {Object} unit - Unit from the layout
+     * @returns {boolean} Whether the unit is box-like
+     */
+    function isBox(unit) {
+        return BOX_TYPES.includes(unit.type);
+    }
+
+    /**
+     * Check if a unit must hold every digit. Killer cages only rule out
+     * repeats, so techniques that rely on a digit being somewhere in the
+     * unit skip them.
+     * @param {Object} state - Solving state
+     * @param {Object} unit - Unit from the layout
+     * @returns {boolean} Whether the unit holds every digit of the board
+     */
+    function isHouse(state, unit) {
+        return unit.cells.length === state.size;
+    }
+
+    /**
+     * Find the units other than one that hold all of a list of cells
+     * @param {Object} state - Solving state
+     * @param {Array} cells - Cells as [row, col]
+     * @param {Object} unit - Unit to leave out
+     * @returns {Object[]} Units containing every cell
+     */
+    function findSharedUnits(state, cells, unit) {
+        const [row, col] = cells[0];
+        return state.layout.unitsByCell[row][col].filter(other => other !== unit &&
+            cells.every(([r, c]) => state.layout.unitsByCell[r][c].includes(other)));
+    }
+
+    /**
+     * Count the digits in a candidate mask
+     * @param {number} mask - Candidate mask
+     * @returns {number} Number of digits
+     */
+    function bitCount(mask) {
+        let count = 0;
+        for (let num = 1; 1 << num <= mask; num++) {
+            if (mask & (1 << num)) count++;
+        }
+        return count;
+    }
+
+    /**
+     * List the digits in a candidate mask
+     * @param {number} mask - Candidate mask
+     * @returns {number[]} Digits in ascending order
+     */
+    function digitsOf(mask) {
+        const digits = [];
+        for (let num = 1; 1 << num <= mask; num++) {
+            if (mask & (1 << num)) digits.push(num);
+        }
+        return digits;
+    }
+
+    /**
+     * Get every combination of a given size
+     * @param {Array} items - Items to combine
+     * @param {number} size - Items per combination
+     * @returns {Array[]} Combinations
+     */
+    function combinations(items, size) {
+        if (size === 0) {
+            return [[]];
+        }
+
+        const result = [];
+        for (let i = 0; i <= items.length - size; i++) {
+            combinations(items.slice(i + 1), size - 1).forEach(rest => {
+                result.push([items[i], ...rest]);
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Write a digit for the player, e.g. 7, or B on a 16x16 board
+     * @param {number} num - Digit
+     * @returns {string} Digit symbol
+     */
+    function digitName(num) {
+        return SudokuConstraints.getDigitSymbol(num);
+    }
+
+    /**
+     * Name a cell for the player, e.g. R3C5
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {string} Cell name
+     */
+    function cellName(row, col) {
+        return `R${row + 1}C${col + 1}`;
+    }
+
+    /**
+     * Name a unit for the player
+     * @param {Object} state - Solving state
+     * @param {Object} unit - Unit from the layout
+     * @returns {string} Unit name, e.g. "row 3", "box 5" or "diagonal 1"
+     */
+    function unitName(state, unit) {
+        if (unit.type === 'grid') {
+            const [gridRow, gridCol] = unit.index.split('-').map(Number);
+            return `box ${gridRow * (state.size / state.layout.boxCols) + gridCol + 1}`;
+        }
+        return `${unit.type} ${unit.index + 1}`;
+    }
+
+    /**
+     * Join a list of words for a sentence
+     * @param {Array} items - Words or numbers
+     * @returns {string} E.g. "3, 5 and 8"
+     */
+    function listText(items) {
+        return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : String(items[0]);
+    }
+
+    /**
+     * Create the solving state for a board
+     * @param {number[][]} board - Puzzle with 0 for empty cells
+     * @param {Set<string>} pathCells - Set of path cell coordinates as "row,col" strings
+     * @param {Object} [layout] - Units of the puzzle, classic if omitted
+     * @returns {Object} State with grid, candidate masks, path cells, layout and board size
+     */
+    function createState(board, pathCells = new Set(), layout = SudokuConstraints.createLayout('classic')) {
+        const size = layout.size;
+        const allDigits = SudokuConstraints.getDigitMask(size);
+        const grid = board.map(row => [...row]);
+        const candidates = Array(size).fill().map(() => Array(size).fill(0));
+
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                if (grid[row][col] !== 0) {
+                    continue;
+                }
+
+                let used = 0;
+                layout.peers[row][col].forEach(([r, c]) => {
+                    used |= 1 << grid[r][c];
+                });
+                candidates[row][col] = allDigits & ~used;
+            }
+        }
+
+        // Cells off the path come first so singles are found where they can be played
+        const cellOrder = [];
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                cellOrder.push([row, col]);
+            }
+        }
+        cellOrder.sort((a, b) => pathCells.has(`${a[0]},${a[1]}`) - pathCells.has(`${b[0]},${b[1]}`));
+
+        return { grid, candidates, pathCells, layout, size, cellOrder };
+    }
+
+    /**
+     * Get the empty cells of a unit that can still hold a digit
+     * @param {Object} state - Solving state
+     * @param {Object} unit - Unit from the layout
+     * @param {number} num - Digit
+     * @returns {Array} Cells as [row, col]
+     */
+    function cellsWithCandidate(state, unit, num) {
+        return unit.cells.filter(([row, col]) => state.candidates[row][col] & (1 << num));
+    }
+
+    /**
+     * Build a step found by a technique
+     * @param {string} id - Technique ID
+     * @param {Object} details - Placements, eliminations, cells, unit and description
+     * @returns {Object} Solving step
+     */
+    function createStep(id, details) {
+        const technique = TECHNIQUES.find(t => t.id === id);
+        return {
+            technique: id,
+            name: technique.name,
+            tier: technique.tier,
+            placements: details.placements || [],
+            eliminations: details.eliminations || [],
+            cells: details.cells,
+            unit: details.unit || null,
+            description: `${technique.name}: ${details.description}`
+        };
+    }
+
+    /**
+     * Find a cell with only one candidate left
+     * @param {Object} state - Solving state
+     * @returns {Object|null} Step or null
+     */
+    function findNakedSingle(state) {
+        for (const [row, col] of state.cellOrder) {
+            const mask = state.candidates[row][col];
+            if (state.grid[row][col] === 0 && bitCount(mask) === 1) {
+                const value = digitsOf(mask)[0];
+                return createStep('nakedSingle', {
+                    placements: [{ row, col, value }],
+                    cells: [[row, col]],
+                    description: `${digitName(value)} is the only number that fits in ${cellName(row, col)}.`
+                });
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find a digit that fits in only one cell of a unit
+     * @param {Object} state - Solving state
+     * @returns {Object|null} Step or null
+     */
+    function findHiddenSingle(state) {
+        // Only settle for a path cell if no other cell has one
+        let pathStep = null;
+
+        for (const unit of state.layout.units.filter(unit => isHouse(state, unit))) {
+            for (let num = 1; num <= state.size; num++) {
+                const cells = cellsWithCandidate(state, unit, num);
+                if (cells.length !== 1) {
+                    continue;
+                }
+
+                const [row, col] = cells[0];
+                const onPath = state.pathCells.has(`${row},${col}`);
+                if (onPath && pathStep) {
+                    continue;
+                }
+
+                const step = createStep('hiddenSingle', {
+                    placements: [{ row, col, value: num }],
+                    cells: cells,
+                    unit: unit,
+                    description: `${digitName(num)} can only go in ${cellName(row, col)} in ${unitName(state, unit)}.`
+                });
+                if (!onPath) {
+                    return step;
+                }
+                pathStep = step;
+            }
+        }
+        return pathStep;
+    }
+
+    /**
+     * Find a Killer cage whose sum rules out some candidates of its empty cells
+     * @param {Object} state - Solving state
+     * @returns {Object|null} Step or null
+     */
+    function findCageSum(state) {
+        for (const cage of state.layout.units.filter(unit => unit.type === 'cage')) {
+            let used = 0;
+            let total = 0;
+            let available = 0;
+            const emptyCells = [];
+            cage.cells.forEach(([row, col]) => {
+                const value = state.grid[row][col];
+                if (value === 0) {
+                    emptyCells.push([row, col]);
+                    available |= state.candidates[row][col];
+                } else {
+                    used |= 1 << value;
+                    total += value;
+                }
+            });
+            if (emptyCells.length === 0) {
+                continue;
+            }
+
+            const options = SudokuConstraints.getCageOptions(state.size, emptyCells.length, cage.sum - total, used, available);
+            const eliminations = [];
+            emptyCells.forEach(([row, col]) => {
+                digitsOf(state.candidates[row][col] & ~options).forEach(value => {
+                    eliminations.push({ row, col, value });
+                });
+            });
+
+            if (eliminations.length > 0 && options !== 0) {
+                const [row, col] = emptyCells[0];
+                const remaining = total > 0 ? `the remaining ${cage.sum - total}` : cage.sum;
+                const description = emptyCells.length === 1
+                    ? `${unitName(state, cage)} adds up to ${cage.sum}, so ${cellName(row, col)} must be ${digitName(digitsOf(options)[0])}.`
+                    : `${unitName(state, cage)} adds up to ${cage.sum}, and ${listText(emptyCells.map(([r, c]) => cellName(r, c)))} can only make ${remaining} from ${listText(digitsOf(options).map(digitName))}.`;
+                return createStep('cageSum', {
+                    eliminations,
+                    cells: cage.cells,
+                    unit: cage,
+                    description
+                });
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find a digit confined to one row, column or diagonal inside a box
+     * @param {Object} state - Solving state
+     * @returns {Object|null} Step or null
+     */
+    function findPointing(state) {
+        for (const box of state.layout.units.filter(isBox)) {
+            for (let num = 1; num <= state.size; num++) {
+                const cells = cellsWithCandidate(state, box, num);
+                if (cells.length < 2) {
+                    continue;
+                }
+
+                for (const line of findSharedUnits(state, cells, box).filter(unit => !isBox(unit))) {
+                    const eliminations = cellsWithCandidate(state, line, num)
+                        .filter(cell => !box.cells.some(([r, c]) => r === cell[0] && c === cell[1]))
+                        .map(([row, col]) => ({ row, col, value: num }));
+
+                    if (eliminations.length > 0) {
+                        return createStep('pointing', {
+                            eliminations,
+                            cells,
+                            unit: box,
+                            description: `in ${unitName(state, box)}, ${digitName(num)} can only go in ${unitName(state, line)}, so it is removed from the rest of ${unitName(state, line)}.`
+                        });
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find a digit confined to one box inside a row, column or diagonal
+     * @param {Object} state - Solving state
+     * @returns {Object|null} Step or null
+     */
+    function findBoxLine(state) {
+        for (const line of state.layout.units.filter(unit => !isBox(unit) && isHouse(state, unit))) {
+            for (let num = 1; num <= state.size; num++) {
+                const cells = cellsWithCandidate(state, line, num);
+                if (cells.length < 2) {
+                    continue;
+                }
+
+                for (const box of findSharedUnits(state, cells, line).filter(isBox)) {
+                    const eliminations = cellsWithCandidate(state, box, num)
+                        .filter(cell => !line.cells.some(([r, c]) => r === cell[0] && c === cell[1]))
+                        .map(([row, col]) => ({ row, col, value: num }));
+
+                    if (eliminations.length > 0) {
+                        return createStep('boxLine', {
+                            eliminations,
+                            cells,
+                            unit: line,
+                            description: `in ${unitName(state, line)}, ${digitName(num)} can only go in ${unitName(state, box)}, so it is removed from the rest of ${unitName(state, box)}.`
+                        });
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find cells in a unit that between them hold only as many candidates as there are cells
+     * @param {Object} state - Solving state
+     * @param {number} size - Number of cells (2 for pairs, 3 for triples)
+     * @param {string} id - Technique ID
+     * @returns {Object|null} Step or null
+     */
+    function findNakedSubset(state, size, id) {
+        for (const unit of state.layout.units) {
+            const emptyCells = unit.cells.filter(([row, col]) => state.grid[row][col] === 0);
+            const options = emptyCells.filter(([row, col]) => {
+                const count = bitCount(state.candidates[row][col]);
+                return count >= 2 && count <= size;
+            });
+
+            for (const subset of combinations(options, size)) {
+                const union = subset.reduce((mask, [row, col]) => mask | state.candidates[row][col], 0);
+                if (bitCount(union) !== size) {
+                    continue;
+                }
+
+                const eliminations = [];
+                emptyCells.filter(cell => !subset.includes(cell)).forEach(([row, col]) => {
+                    digitsOf(state.candidates[row][col] & union).forEach(value => {
+                        eliminations.push({ row, col, value });
+                    });
+                });
+
+                if (eliminations.length > 0) {
+                    const digits = digitsOf(union);
+                    return createStep(id, {
+                        eliminations,
+                        cells: subset,
+                        unit: unit,
+                        description: `${listText(subset.map(([row, col]) => cellName(row, col)))} can only hold ${listText(digits.map(digitName))}, so those numbers are removed from the rest of ${unitName(state, unit)}.`
+                    });
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find digits in a unit that fit in only as many cells as there are digits
+     * @param {Object} state - Solving state
+     * @param {number} size - Number of digits (2 for pairs, 3 for triples)
+     * @param {string} id - Technique ID
+     * @returns {Object|null} Step or null
+     */
+    function findHiddenSubset(state, size, id) {
+        for (const unit of state.layout.units.filter(unit => isHouse(state, unit))) {
+            const digitCells = {};
+            const options = [];
+            for (let num = 1; num <= state.size; num++) {
+                digitCells[num] = cellsWithCandidate(state, unit, num);
+                if (digitCells[num].length >= 2 && digitCells[num].length <= size) {
+                    options.push(num);
+                }
+            }
+
+            for (const digits of combinations(options, size)) {
+                const cells = [...new Set(digits.flatMap(num => digitCells[num]))];
+                if (cells.length !== size) {
+                    continue;
+                }
+
+                const mask = digits.reduce((bits, num) => bits | (1 << num), 0);
+                const eliminations = [];
+                cells.forEach(([row, col]) => {
+                    digitsOf(state.candidates[row][col] & ~mask).forEach(value => {
+                        eliminations.push({ row, col, value });
+                    });
+                });
+
+                if (eliminations.length > 0) {
+                    return createStep(id, {
+                        eliminations,
+                        cells,
+                        unit: unit,
+                        description: `in ${unitName(state, unit)}, ${listText(digits.map(digitName))} can only go in ${listText(cells.map(([row, col]) => cellName(row, col)))}, so those cells can hold nothing else.`
+                    });
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find a fish: a digit limited to the same columns in several rows (or the
+     * same rows in several columns), which then can't go elsewhere in those columns
+     * @param {Object} state - Solving state
+     * @param {number} size - Number of lines (2 for X-Wing, 3 for Swordfish)
+     * @param {string} id - Technique ID
+     * @returns {Object|null} Step or null
+     */
+    function findFish(state, size, id) {
+        for (let num = 1; num <= state.size; num++) {
+            for (const type of ['row', 'column']) {
+                const crossType = type === 'row' ? 'column' : 'row';
+                const lines = state.layout.units.filter(unit => unit.type === type);
+
+                // Positions of the digit across each line
+                const positions = lines.map(line => cellsWithCandidate(state, line, num)
+                    .map(([row, col]) => type === 'row' ? col : row));
+                const options = lines.filter((line, index) => positions[index].length >= 2 && positions[index].length <= size);
+
+                for (const fishLines of combinations(options, size)) {
+                    const crossIndexes = [...new Set(fishLines.flatMap(line => positions[line.index]))].sort((a, b) => a - b);
+                    if (crossIndexes.length !== size) {
+                        continue;
+                    }
+
+                    const eliminations = [];
+                    crossIndexes.forEach(crossIndex => {
+                        const cross = state.layout.units.find(unit => unit.type === crossType && unit.index === crossIndex);
+                        cellsWithCandidate(state, cross, num).forEach(([row, col]) => {
+                            const lineIndex = type === 'row' ? row : col;
+                            if (!fishLines.some(line => line.index === lineIndex)) {
+                                eliminations.push({ row, col, value: num });
+                            }
+                        });
+                    });
+
+                    if (eliminations.length > 0) {
+                        const cells = fishLines.flatMap(line => cellsWithCandidate(state, line, num));
+                        return createStep(id, {
+                            eliminations,
+                            cells,
+                            description: `in ${type}s ${listText(fishLines.map(line => line.index + 1))}, ${digitName(num)} can only go in ${crossType}s ${listText(crossIndexes.map(index => index + 1))}, so it is removed from the rest of those ${crossType}s.`
+                        });
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Apply a step to a solving state
+     * @param {Object} state - Solving state
+     * @param {Object} step - Step from findNextStep()
+     */
+    function applyStep(state, step) {
+        step.placements.forEach(({ row, col, value }) => {
+            state.grid[row][col] = value;
+            state.candidates[row][col] = 0;
+            state.layout.peers[row][col].forEach(([r, c]) => {
+                state.candidates[r][c] &= ~(1 << value);
+            });
+        });
+
+        step.eliminations.forEach(({ row, col, value }) => {
+            state.candidates[row][col] &= ~(1 << value);
+        });
+    }
+
+    /**
+     * Find the easiest next step
+     * @param {Object} state - Solving state
+     * @param {string} maxTier - Hardest tier of technique to use
+     * @returns {Object|null} Step or null if no technique applies
+     */
+    function findNextStep(state, maxTier = TIERS[TIERS.length - 1]) {
+        const maxTierIndex = TIERS.indexOf(maxTier);
+        for (const technique of TECHNIQUES) {
+            if (TIERS.indexOf(technique.tier) > maxTierIndex) {
+                break;
+            }
+
+            const step = technique.find(state);
+            if (step) {
+                return step;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check the state of the puzzle
+     * @param {Object} state - Solving state
+     * @returns {string} 'solved' when every cell off the path is filled,
+     *     'stuck' when an empty cell has no candidates, otherwise 'open'
+     */
+    function getProgress(state) {
+        let solved = true;
+        for (let row = 0; row < state.size; row++) {
+            for (let col = 0; col < state.size; col++) {
+                if (state.grid[row][col] !== 0) {
+                    continue;
+                }
+                if (state.candidates[row][col] === 0) {
+                    return 'stuck';
+                }
+                if (!state.pathCells.has(`${row},${col}`)) {
+                    solved = false;
+                }
+            }
+        }
+        return solved ? 'solved' : 'open';
+    }
+
+    /**
+     * Solve a puzzle with human techniques. Path cells never get a tower, so
+     * the puzzle counts as solved once every other cell is filled.
+     * @param {number[][]} board - Puzzle with 0 for empty cells
+     * @param {Object} options - pathCells (Set of "row,col"), maxTier and layout (classic if omitted)
+     * @returns {Object} solved, grid, steps, tier and hardestTechnique
+     */
+    function solve(board, options = {}) {
+        const state = createState(board, options.pathCells, options.layout);
+        const steps = [];
+        let hardest = null;
+        let progress = getProgress(state);
+
+        while (progress === 'open') {
+            const step = findNextStep(state, options.maxTier);
+            if (!step) {
+                break;
+            }
+
+            applyStep(state, step);
+            steps.push(step);
+            if (!hardest || TECHNIQUES.findIndex(t => t.id === step.technique) > TECHNIQUES.findIndex(t => t.id === hardest.technique)) {
+                hardest = step;
+            }
+            progress = getProgress(state);
+        }
+
+        const solved = progress === 'solved';
+        return {
+            solved,
+            grid: state.grid,
+            steps,
+            tier: solved ? (hardest ? hardest.tier : TIERS[0]) : null,
+            hardestTechnique: hardest ? hardest.name : null
+        };
+    }
+
+    /**
+     * Grade a puzzle by the hardest technique it needs
+     * @param {number[][]} board - Puzzle with 0 for empty cells
+     * @param {Set<string>} pathCells - Set of path cell coordinates as "row,col" strings
+     * @param {Object} [layout] - Units of the puzzle, classic if omitted
+     * @returns {Object} tier ('easy', 'medium', 'hard' or null if it can't be
+     *     solved with these techniques) and hardestTechnique
+     */
+    function grade(board, pathCells = new Set(), layout) {
+        const result = solve(board, { pathCells, layout });
+        return { tier: result.tier, hardestTechnique: result.hardestTechnique };
+    }
+
+    // Public API
+    return {
+        solve,
+        grade,
+        createState,
+        findNextStep,
+        applyStep,
+        TIERS: [...TIERS]
+    };
+})();
+
+// Make module available globally
+window.SudokuSolver = SudokuSolver;
@@ -1,47 +1,37 @@
 /**
  * validator.js - Handles validation of Sudoku rules
  * This module provides functions to check if moves are valid
- * according to Sudoku rules and identifies possible values.
+ * according to Sudoku rules and identifies possible values. In Killer
+ * puzzles the digits of a cage must also keep to the cage's sum.
  */
 
 const SudokuValidator = (function() {
+    /**
+     * Get the layout of the puzzle being played
+     * @returns {Object} Layout from SudokuConstraints.createLayout()
+     */
+    function getCurrentLayout() {
+        return window.SudokuBoard ? SudokuBoard.getLayout() : SudokuConstraints.createLayout('classic');
+    }
+    
     /**
      * Check if a move is valid according to Sudoku rules
      * @param {number[][]} board - Current board state
      * @param {number} row - Row index
      * @param {number} col - Column index
      * @param {number} value - Value to check
+     * @param {Object} [layout] - Units to check, defaults to the current puzzle's
      * @returns {boolean} Whether the move is valid
      */
-    function isValidMove(board, row, col, value) {
-        // Check row
-        for (let i = 0; i < 9; i++) {
-            if (i !== col && board[row][i] === value) {
-                return false;
-            }
-        }
-        
-        // Check column
-        for (let i = 0; i < 9; i++) {
-            if (i !== row && board[i][col] === value) {
-                return false;
-            }
+    function isValidMove(board, row, col, value, layout = getCurrentLayout()) {
+        // Check every cell sharing a row, column, box or other unit
+        if (layout.peers[row][col].some(([r, c]) => board[r][c] === value)) {
+            return false;
         }
-        
-        // Check 3x3 box
-        let boxRow = Math.floor(row / 3) * 3;
-        let boxCol = Math.floor(col / 3) * 3;
-        
-        for (let i = 0; i < 3; i++) {
-            for (let j = 0; j < 3; j++) {
-                if ((boxRow + i !== row || boxCol + j !== col) && 
-                    board[boxRow + i][boxCol + j] === value) {
-                    return false;
-                }
-            }
-        }
-        
-        return true;
+
+        // The cage, if any, must still be able to reach its sum
+        const cage = SudokuConstraints.getCage(layout, row, col);
+        return !cage || SudokuConstraints.isCageSumValid(cage, board, { row, col, value });
     }
     
     /**
@@ -49,13 +39,14 @@ const SudokuValidator = (function() {
      * @param {number[][]} board - Current board state
      * @param {number} row - Row index
      * @param {number} col - Column index
-     * @returns {number[]} Array of valid values (1-9)
+     * @param {Object} [layout] - Units to check, defaults to the current puzzle's
+     * @returns {number[]} Array of valid values (1 to the board size)
      */
-    function getPossibleValues(board, row, col) {
+    function getPossibleValues(board, row, col, layout = getCurrentLayout()) {
         const possibleValues = [];
         
-        for (let num = 1; num <= 9; num++) {
-            if (isValidMove(board, row, col, num)) {
+        for (let num = 1; num <= layout.size; num++) {
+            if (isValidMove(board, row, col, num, layout)) {
                 possibleValues.push(num);
             }
         }
@@ -67,13 +58,14 @@ const SudokuValidator = (function() {
      * Check if the entire board is valid
      * @param {number[][]} board - Current board state
      * @param {Set<string>} [pathCells] - Optional set of path cells to exclude
+     * @param {Object} [layout] - Units to check, defaults to the current puzzle's
      * @returns {boolean} Whether the board is valid
      */
-    function isBoardValid(board, pathCells = new Set()) {
-        // Check rows
-        for (let row = 0; row < 9; row++) {
+    function isBoardValid(board, pathCells = new Set(), layout = getCurrentLayout()) {
+        // Check each unit for repeated numbers
+        for (const unit of layout.units) {
             const usedNumbers = new Set();
-            for (let col = 0; col < 9; col++) {
+            for (const [row, col] of unit.cells) {
                 if (pathCells.has(`${row},${col}`)) continue;
                 
                 const value = board[row][col];
@@ -85,47 +77,9 @@ const SudokuValidator = (function() {
                 
                 usedNumbers.add(value);
             }
-        }
-        
-        // Check columns
-        for (let col = 0; col < 9; col++) {
-            const usedNumbers = new Set();
-            for (let row = 0; row < 9; row++) {
-                if (pathCells.has(`${row},${col}`)) continue;
-                
-                const value = board[row][col];
-                if (value === 0) continue;
-                
-                if (usedNumbers.has(value)) {
-                    return false;
-                }
-                
-                usedNumbers.add(value);
-            }
-        }
-        
-        // Check 3x3 boxes
-        for (let boxRow = 0; boxRow < 3; boxRow++) {
-            for (let boxCol = 0; boxCol < 3; boxCol++) {
-                const usedNumbers = new Set();
-                
-                for (let i = 0; i < 3; i++) {
-                    for (let j = 0; j < 3; j++) {
-                        const row = boxRow * 3 + i;
-                        const col = boxCol * 3 + j;
-                        
-                        if (pathCells.has(`${row},${col}`)) continue;
-                        
-                        const value = board[row][col];
-                        if (value === 0) continue;
-                        
-                        if (usedNumbers.has(value)) {
-                            return false;
-                        }
-                        
-                        usedNumbers.add(value);
-                    }
-                }
+
+            if (unit.type === 'cage' && !SudokuConstraints.isCageSumValid(unit, board)) {
+                return false;
             }
         }
         
@@ -140,8 +94,8 @@ const SudokuValidator = (function() {
      * @returns {boolean} Whether the board matches the solution
      */
     function validateSolution(board, solution, pathCells = new Set()) {
-        for (let row = 0; row < 9; row++) {
-            for (let col = 0; col < 9; col++) {
+        for (let row = 0; row < board.length; row++) {
+            for (let col = 0; col < board.length; col++) {
                 if (pathCells.has(`${row},${col}`)) continue;
                 
                 if (board[row][col] !== 0 && board[row][col] !== solution[row][col]) {
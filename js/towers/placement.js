@@ -17,7 +17,7 @@ const TowerPlacement = (function() {
     function init(options = {}) {
         towers = [];
         towerId = 0;
-        cellSize = options.cellSize || 55; // Default cell size
+        cellSize = options.cellSize || cellSize || 55; // Keep the last known size by default
         incorrectTowers.clear();
         console.log("TowerPlacement initialized with cellSize:", cellSize);
     }
@@ -27,9 +27,10 @@ const TowerPlacement = (function() {
      * @param {number|string} type - Tower type
      * @param {number} row - Row index on the grid
      * @param {number} col - Column index on the grid
+     * @param {Object} options - Optional cost to charge instead of the tower type's cost
      * @returns {Object|null} The created tower or null if creation failed
      */
-    function createTower(type, row, col) {
+    function createTower(type, row, col, options = {}) {
         if (!window.TowerTypes || !window.SudokuBoard || !window.PlayerModule) {
             console.error("Required modules not found");
             return null;
@@ -46,10 +47,11 @@ const TowerPlacement = (function() {
         }
         
         // Check if player has enough currency
+        const cost = options.cost !== undefined ? options.cost : typeData.cost;
         const playerState = PlayerModule.getState();
-        if (playerState.currency < typeData.cost) {
+        if (playerState.currency < cost) {
             console.log("Not enough currency to build tower");
-            EventSystem.publish(GameEvents.STATUS_MESSAGE, `Not enough currency to build this tower! Need ${typeData.cost}`);
+            EventSystem.publish(GameEvents.STATUS_MESSAGE, `Not enough currency to build this tower! Need ${cost}`);
             return null;
         }
         
@@ -77,7 +79,7 @@ const TowerPlacement = (function() {
         let isCorrect = true;
         const numberValue = parseInt(type);
         
-        if (!isNaN(numberValue) && numberValue >= 1 && numberValue <= 9) {
+        if (!isNaN(numberValue) && numberValue >= 1 && numberValue <= SudokuBoard.getBoard().length) {
             // Get the solution
             const solution = SudokuBoard.getSolution();
             
@@ -111,13 +113,13 @@ const TowerPlacement = (function() {
         };
         
         // Spend currency
-        PlayerModule.spendCurrency(typeData.cost);
+        PlayerModule.spendCurrency(cost);
         
         // Add to towers array
         towers.push(tower);
         
         // For number towers, set the board value
-        if (!isNaN(numberValue) && numberValue >= 1 && numberValue <= 9) {
+        if (!isNaN(numberValue) && numberValue >= 1 && numberValue <= SudokuBoard.getBoard().length) {
             // Set the cell value in the Sudoku board
             // Use the proper method that will trigger completion checks
             if (SudokuBoard && typeof SudokuBoard.setCellValue === 'function') {
@@ -238,6 +240,52 @@ const TowerPlacement = (function() {
         return towers.find(t => t.id === id);
     }
     
+    /**
+     * Get the tower state for saving
+     * Ranges are stored in cells so they survive a different board size
+     * @returns {Object} Serializable tower state
+     */
+    function getState() {
+        return {
+            towerId: towerId,
+            towers: towers.map(tower => ({
+                id: tower.id,
+                type: tower.type,
+                damage: tower.damage,
+                range: tower.range / cellSize,
+                attackSpeed: tower.attackSpeed,
+                level: tower.level,
+                row: tower.row,
+                col: tower.col,
+                isCorrect: tower.isCorrect
+            })),
+            incorrectTowers: [...incorrectTowers]
+        };
+    }
+    
+    /**
+     * Restore the tower state from getState()
+     * The board values are restored by SudokuBoard, so this does not touch the grid
+     * @param {Object} state - Saved tower state
+     */
+    function loadState(state) {
+        towerId = state.towerId || 0;
+        incorrectTowers = new Set(state.incorrectTowers || []);
+        towers = state.towers.map(saved => {
+            const typeData = TowerTypes.getTowerType(saved.type);
+            
+            return {
+                ...saved,
+                emoji: typeData ? typeData.emoji : '',
+                range: saved.range * cellSize,
+                attackCooldown: 0,
+                x: saved.col * cellSize + cellSize / 2,
+                y: saved.row * cellSize + cellSize / 2,
+                target: null
+            };
+        });
+    }
+    
     /**
      * Set the cell size
      * @param {number} size - Cell size in pixels
@@ -279,6 +327,8 @@ const TowerPlacement = (function() {
         getTowerAt,
         getTowerById,
         setCellSize,
+        getState,
+        loadState,
         getIncorrectTowers: function() { return [...incorrectTowers]; }
     };
 })();
@@ -1,7 +1,9 @@
 /**
  * types.js - Defines tower types and their properties
  * This module contains the configuration for different tower types
- * including their stats, costs, and emoji representations.
+ * including their stats, costs, and emoji representations. There is a
+ * number tower for every digit of the board, so the types depend on the
+ * board size.
  */
 
 const TowerTypes = (function() {
@@ -91,13 +93,60 @@ const TowerTypes = (function() {
         }
     };
     
+    /**
+     * Get the size of the board being played
+     * @returns {number} Board size
+     */
+    function getBoardSize() {
+        return window.SudokuBoard ? SudokuBoard.getLayout().size : SudokuConstraints.DEFAULT_SIZE;
+    }
+    
+    /**
+     * Create the number tower of a digit above 9, for 16x16 boards. Stats
+     * carry on from the 9 tower and the emoji is a boxed letter, like the
+     * keycaps of 1-9.
+     * @param {number} digit - Digit, 10 to 16
+     * @returns {Object} Tower type data
+     */
+    function createNumberTowerType(digit) {
+        const symbol = SudokuConstraints.getDigitSymbol(digit);
+        return {
+            emoji: String.fromCodePoint(0x1F1E6 + digit - 10),
+            damage: 140 + (digit - 9) * 10,
+            range: 3.0,
+            attackSpeed: 0.7,
+            cost: 40 + Math.ceil((digit - 9) / 3) * 5,
+            description: `Attacks enemies with value ${symbol}`
+        };
+    }
+    
+    /**
+     * Find a tower type on a board size
+     * @param {string|number} towerType - Tower type ID
+     * @param {number} size - Board size
+     * @returns {Object|null} Tower type data, not copied, or null if the board has no such tower
+     */
+    function findTowerType(towerType, size) {
+        if (towerType === 'special') {
+            return towerTypes.special;
+        }
+        
+        const digit = Number(towerType);
+        if (!Number.isInteger(digit) || digit < 1 || digit > size) {
+            return null;
+        }
+        return digit <= 9 ? towerTypes[digit] : createNumberTowerType(digit);
+    }
+    
     /**
      * Get a tower type by ID
      * @param {string|number} towerType - Tower type ID
+     * @param {number} [size] - Board size, the current board's if omitted
      * @returns {Object|null} Tower type data or null if not found
      */
-    function getTowerType(towerType) {
-        return towerTypes[towerType] ? { ...towerTypes[towerType] } : null;
+    function getTowerType(towerType, size = getBoardSize()) {
+        const typeData = findTowerType(towerType, size);
+        return typeData ? { ...typeData } : null;
     }
     
     /**
@@ -106,15 +155,22 @@ const TowerTypes = (function() {
      * @returns {number} Cost of the tower or 0 if not found
      */
     function getTowerCost(towerType) {
-        return towerTypes[towerType] ? towerTypes[towerType].cost : 0;
+        const typeData = findTowerType(towerType, getBoardSize());
+        return typeData ? typeData.cost : 0;
     }
     
     /**
-     * Get all tower types
+     * Get all tower types of a board size: a number tower for each digit and the special tower
+     * @param {number} [size] - Board size, the current board's if omitted
      * @returns {Object} Copy of all tower types
      */
-    function getAllTowerTypes() {
-        return { ...towerTypes };
+    function getAllTowerTypes(size = getBoardSize()) {
+        const result = {};
+        for (let digit = 1; digit <= size; digit++) {
+            result[digit] = getTowerType(digit, size);
+        }
+        result.special = getTowerType('special', size);
+        return result;
     }
     
     /**
@@ -124,7 +180,7 @@ const TowerTypes = (function() {
      * @returns {number} Cost to upgrade the tower
      */
     function getUpgradeCost(towerType, currentLevel) {
-        const baseTower = towerTypes[towerType];
+        const baseTower = findTowerType(towerType, getBoardSize());
         if (!baseTower) return 0;
         
         // Upgrade cost scales with level
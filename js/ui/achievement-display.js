@@ -0,0 +1,230 @@
+/**
+ * achievement-display.js - Handles the achievements UI
+ * This module shows a toast when an achievement unlocks and a gallery modal
+ * with the progress of every achievement.
+ */
+
+const AchievementDisplay = (function() {
+    // How long a toast stays on screen, in milliseconds
+    const TOAST_DURATION = 4000;
+
+    /**
+     * Show a toast for an unlocked achievement
+     * @param {Object} achievement - Achievement that was unlocked
+     */
+    function showToast(achievement) {
+        addAchievementStyles();
+
+        let container = document.getElementById('achievement-toasts');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'achievement-toasts';
+            document.body.appendChild(container);
+        }
+
+        const toast = document.createElement('div');
+        toast.className = 'achievement-toast';
+        toast.innerHTML = `
+            <div class="achievement-icon">${achievement.icon}</div>
+            <div>
+                <div class="achievement-toast-title">Achievement unlocked!</div>
+                <div class="achievement-name">${achievement.name}</div>
+            </div>
+        `;
+        container.appendChild(toast);
+
+        // Let the element render before fading it in
+        requestAnimationFrame(() => toast.classList.add('visible'));
+
+        // Toasts use real time so they disappear even while the game is paused
+        setTimeout(() => {
+            toast.classList.remove('visible');
+            setTimeout(() => toast.remove(), 300);
+        }, TOAST_DURATION);
+    }
+
+    /**
+     * Show the achievements gallery
+     */
+    function showGallery() {
+        if (!window.Achievements || !window.ModalSystem) {
+            return;
+        }
+
+        addAchievementStyles();
+
+        // Create or get the modal
+        let modal = document.getElementById('achievements-modal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'achievements-modal';
+            modal.className = 'modal';
+            modal.innerHTML = '<div class="modal-content"></div>';
+            document.body.appendChild(modal);
+        }
+
+        const achievements = Achievements.getAll();
+        const unlockedCount = achievements.filter(achievement => achievement.unlockedAt).length;
+
+        // Set content
+        const content = modal.querySelector('.modal-content');
+        content.innerHTML = `
+            <h2>Achievements</h2>
+            <p>${unlockedCount} of ${achievements.length} unlocked</p>
+            <div class="achievement-gallery">
+                ${achievements.map(achievement => `
+                    <div class="achievement-card ${achievement.unlockedAt ? 'unlocked' : 'locked'}">
+                        <div class="achievement-icon">${achievement.icon}</div>
+                        <div class="achievement-name">${achievement.name}</div>
+                        <div class="achievement-description">${achievement.description}</div>
+                        ${achievement.unlockedAt ? `
+                            <div class="achievement-date">Unlocked ${new Date(achievement.unlockedAt).toLocaleDateString()}</div>
+                        ` : `
+                            <div class="achievement-progress">
+                                <div class="achievement-progress-bar" style="width: ${Math.floor(achievement.progress / achievement.target * 100)}%"></div>
+                            </div>
+                            <div class="achievement-date">${achievement.progress} / ${achievement.target}</div>
+                        `}
+                    </div>
+                `).join('')}
+            </div>
+            <button id="close-achievements">Close</button>
+        `;
+
+        // Add event listeners
+        content.querySelector('#close-achievements').addEventListener('click', function() {
+            ModalSystem.hideModal(modal);
+            if (window.GameLoop) {
+                GameLoop.resume();
+            }
+        });
+
+        // Show the modal
+        ModalSystem.showModal(modal);
+    }
+
+    /**
+     * Add achievement styles to the document
+     */
+    function addAchievementStyles() {
+        if (document.getElementById('achievement-styles')) {
+            return;
+        }
+
+        const style = document.createElement('style');
+        style.id = 'achievement-styles';
+        style.textContent = `
+            #achievement-toasts {
+                position: fixed;
+                bottom: 20px;
+                left: 20px;
+                display: flex;
+                flex-direction: column;
+                gap: 10px;
+                z-index: 1000;
+            }
+
+            .achievement-toast {
+                display: flex;
+                align-items: center;
+                gap: 10px;
+                background-color: rgba(0, 0, 0, 0.85);
+                color: white;
+                padding: 10px 15px;
+                border-radius: 5px;
+                border-left: 4px solid gold;
+                opacity: 0;
+                transform: translateX(-20px);
+                transition: opacity 0.3s, transform 0.3s;
+            }
+
+            .achievement-toast.visible {
+                opacity: 1;
+                transform: translateX(0);
+            }
+
+            .achievement-toast-title {
+                font-size: 0.8rem;
+                color: gold;
+            }
+
+            .achievement-icon {
+                font-size: 1.8rem;
+            }
+
+            .achievement-name {
+                font-weight: bold;
+            }
+
+            #achievements-modal .modal-content {
+                max-height: 90vh;
+                overflow-y: auto;
+            }
+
+            .achievement-gallery {
+                display: grid;
+                grid-template-columns: repeat(3, 1fr);
+                gap: 10px;
+                margin: 15px 0;
+            }
+
+            .achievement-card {
+                border: 1px solid #eee;
+                border-radius: 5px;
+                padding: 10px;
+            }
+
+            .achievement-card.locked {
+                color: #888;
+            }
+
+            .achievement-card.locked .achievement-icon {
+                filter: grayscale(1);
+                opacity: 0.5;
+            }
+
+            .achievement-card.unlocked {
+                border-color: gold;
+                background-color: #fffbea;
+            }
+
+            .achievement-description {
+                font-size: 0.85em;
+                margin: 5px 0;
+            }
+
+            .achievement-date {
+                font-size: 0.8em;
+                color: #888;
+            }
+
+            .achievement-progress {
+                height: 6px;
+                background-color: #eee;
+                border-radius: 3px;
+                overflow: hidden;
+                margin: 5px 0;
+            }
+
+            .achievement-progress-bar {
+                height: 100%;
+                background-color: #4CAF50;
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
+
+    // Listen for unlocks and the achievements button
+    EventSystem.subscribe(GameEvents.ACHIEVEMENT_UNLOCKED, showToast);
+    EventSystem.subscribe('achievements:show', showGallery);
+
+    // Public API
+    return {
+        showToast,
+        showGallery
+    };
+})();
+
+// Make module available globally
+window.AchievementDisplay = AchievementDisplay;
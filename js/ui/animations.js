@@ -20,9 +20,7 @@ const AnimationSystem = (function() {
         
         // Get the board element and its dimensions
         boardElement = document.getElementById('sudoku-board');
-        if (boardElement) {
-            cellSize = boardElement.clientWidth / 9;
-        }
+        updateCellSize();
         
         // Create projectile container
         ensureProjectileContainer();
@@ -62,6 +60,9 @@ const AnimationSystem = (function() {
      * @param {Object} enemy - The target enemy
      */
     function createTowerAttackEffect(tower, enemy) {
+        // Skip moving effects when the player asked for reduced motion
+        if (window.GameSettings && GameSettings.get('reducedMotion')) return;
+        
         // Add glow effect to the tower
         addTowerGlowEffect(tower);
         
@@ -231,7 +232,8 @@ const AnimationSystem = (function() {
         }
         
         if (boardElement) {
-            cellSize = boardElement.clientWidth / 9;
+            const boardSize = window.SudokuBoard ? SudokuBoard.getBoard().length : 9;
+            cellSize = boardElement.clientWidth / boardSize;
         }
     }
     
@@ -272,8 +274,9 @@ const AnimationSystem = (function() {
         // Listen for game pause to pause animations
         EventSystem.subscribe(GameEvents.GAME_PAUSE, clearAllProjectiles);
         
-        // Listen for window resize
+        // Listen for window resize and boards of another size
         window.addEventListener('resize', updateCellSize);
+        EventSystem.subscribe(GameEvents.SUDOKU_GENERATED, updateCellSize);
     }
     
     // Initialize
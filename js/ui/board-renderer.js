@@ -8,6 +8,7 @@ const BoardRenderer = (function() {
     // Private variables
     let boardElement = null;
     let cellSize = 0;
+    let boardSize = 0; // Rows and columns of cells currently on the page
     
     /**
      * Initialize the board renderer
@@ -21,9 +22,6 @@ const BoardRenderer = (function() {
             return;
         }
         
-        // Calculate cell size
-        cellSize = boardElement.clientWidth / 9;
-        
         // Set up the Sudoku board
         setupBoard();
         
@@ -34,7 +32,19 @@ const BoardRenderer = (function() {
     }
     
     /**
-     * Set up the Sudoku board
+     * Measure the cells of the board and keep the simulation's positions in
+     * sync with the rendered board
+     */
+    function updateCellSize() {
+        cellSize = boardElement.clientWidth / boardSize;
+        
+        if (window.GameLoop && GameLoop.getCellSize() && Math.floor(cellSize) > 0) {
+            GameLoop.setCellSize(Math.floor(cellSize));
+        }
+    }
+    
+    /**
+     * Set up the Sudoku board with a cell for every square of the current puzzle
      */
     function setupBoard() {
         console.log("Setting up board");
@@ -42,9 +52,17 @@ const BoardRenderer = (function() {
         // Clear any existing board
         clearBoard();
         
+        boardSize = window.SudokuBoard ? SudokuBoard.getLayout().size : SudokuConstraints.DEFAULT_SIZE;
+        boardElement.style.gridTemplateColumns = `repeat(${boardSize}, 1fr)`;
+        boardElement.style.gridTemplateRows = `repeat(${boardSize}, 1fr)`;
+        Object.keys(SudokuConstraints.BOARD_SIZES).forEach(size => {
+            boardElement.classList.toggle(`size-${size}`, Number(size) === boardSize);
+        });
+        updateCellSize();
+        
         // Create cells
-        for (let row = 0; row < 9; row++) {
-            for (let col = 0; col < 9; col++) {
+        for (let row = 0; row < boardSize; row++) {
+            for (let col = 0; col < boardSize; col++) {
                 const cell = document.createElement('div');
                 cell.className = 'sudoku-cell';
                 cell.dataset.row = row;
@@ -89,14 +107,26 @@ const BoardRenderer = (function() {
             return;
         }
         
+        const layout = SudokuBoard.getLayout();
+        
+        // A puzzle of another size needs new cells, which then redraws the board
+        if (layout.size !== boardSize) {
+            setupBoard();
+            return;
+        }
+        
         console.log("Updating board display");
         const board = SudokuBoard.getBoard();
         const fixedCells = SudokuBoard.getFixedCells();
         const pathCells = SudokuBoard.getPathCells();
+        const pathGraph = SudokuBoard.getPathGraph();
+        const entrances = new Set(pathGraph.entrances.map(([row, col]) => `${row},${col}`));
+        const regions = SudokuConstraints.getRegionMap(layout);
+        const last = boardSize - 1;
         
         // Update each cell
-        for (let row = 0; row < 9; row++) {
-            for (let col = 0; col < 9; col++) {
+        for (let row = 0; row < boardSize; row++) {
+            for (let col = 0; col < boardSize; col++) {
                 const cellElement = boardElement.querySelector(`.sudoku-cell[data-row="${row}"][data-col="${col}"]`);
                 
                 if (!cellElement) {
@@ -105,11 +135,16 @@ const BoardRenderer = (function() {
                 }
                 
                 // Clear previous classes
-                cellElement.classList.remove('fixed', 'path');
+                cellElement.classList.remove('fixed', 'path', 'path-entrance', 'path-exit');
+                
+                // Mark box or jigsaw region borders, and the diagonals of X-Sudoku
+                cellElement.classList.toggle('region-right', col < last && regions[row][col] !== regions[row][col + 1]);
+                cellElement.classList.toggle('region-bottom', row < last && regions[row][col] !== regions[row + 1][col]);
+                cellElement.classList.toggle('diagonal-cell', layout.variant === 'diagonal' && (row === col || row + col === last));
                 
                 // Set value
                 const value = board[row][col];
-                cellElement.textContent = value > 0 ? value : '';
+                cellElement.textContent = value > 0 ? SudokuConstraints.getDigitSymbol(value) : '';
                 
                 // Mark fixed cells
                 if (fixedCells[row][col]) {
@@ -119,11 +154,18 @@ const BoardRenderer = (function() {
                 // Mark path cells - a cell can be both a path and have a number
                 if (pathCells.has(`${row},${col}`)) {
                     cellElement.classList.add('path');
+                    
+                    // Mark where enemies come in and where they leave
+                    if (entrances.has(`${row},${col}`)) {
+                        cellElement.classList.add('path-entrance');
+                    } else if (pathGraph.next.get(`${row},${col}`).length === 0) {
+                        cellElement.classList.add('path-exit');
+                    }
                 }
                 
                 // Check for tower
-                if (window.TowersModule) {
-                    const tower = TowersModule.getTowerAt(row, col);
+                if (window.TowerPlacement) {
+                    const tower = TowerPlacement.getTowerAt(row, col);
                     
                     if (tower && !pathCells.has(`${row},${col}`)) {
                         // Clear number and show tower emoji
@@ -143,12 +185,94 @@ const BoardRenderer = (function() {
                             
                             cellElement.appendChild(levelIndicator);
                         }
+                        
+                        // Range ring, shown when the show tower ranges setting is on
+                        cellElement.appendChild(createRangeIndicator(tower));
                     }
                 }
+                
+                // Show pencil-mark notes in empty cells
+                if (value === 0 && !cellElement.hasChildNodes() && !pathCells.has(`${row},${col}`)) {
+                    renderNotes(cellElement, layout, row, col);
+                }
+                
+                // Killer cages are drawn over the cell contents
+                renderCage(cellElement, layout, row, col);
             }
         }
     }
     
+    /**
+     * Draw a cell's part of its Killer cage: a dashed outline on the sides
+     * facing other cages, and the cage sum in the cage's first cell
+     * @param {HTMLElement} cellElement - Cell element
+     * @param {Object} layout - Layout of the puzzle
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     */
+    function renderCage(cellElement, layout, row, col) {
+        const cage = SudokuConstraints.getCage(layout, row, col);
+        if (!cage) return;
+        
+        const inCage = (r, c) => cage.cells.some(([cr, cc]) => cr === r && cc === c);
+        const outline = document.createElement('span');
+        outline.className = 'cage-outline';
+        outline.classList.toggle('cage-top', !inCage(row - 1, col));
+        outline.classList.toggle('cage-bottom', !inCage(row + 1, col));
+        outline.classList.toggle('cage-left', !inCage(row, col - 1));
+        outline.classList.toggle('cage-right', !inCage(row, col + 1));
+        cellElement.appendChild(outline);
+        
+        const [firstRow, firstCol] = cage.cells[0];
+        if (firstRow === row && firstCol === col) {
+            const sum = document.createElement('span');
+            sum.className = 'cage-sum';
+            sum.textContent = cage.sum;
+            cellElement.appendChild(sum);
+        }
+    }
+    
+    /**
+     * Draw a cell's notes as small digits laid out like a box, e.g. 3x3 on a 9x9 board
+     * @param {HTMLElement} cellElement - Cell element
+     * @param {Object} layout - Layout of the puzzle
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     */
+    function renderNotes(cellElement, layout, row, col) {
+        if (!window.SudokuNotes) return;
+        
+        const notes = SudokuNotes.getNotes(row, col);
+        if (notes.length === 0) return;
+        
+        const notesElement = document.createElement('div');
+        notesElement.className = 'cell-notes';
+        notesElement.style.gridTemplateColumns = `repeat(${layout.boxCols}, 1fr)`;
+        notesElement.style.gridTemplateRows = `repeat(${layout.boxRows}, 1fr)`;
+        for (let digit = 1; digit <= layout.size; digit++) {
+            const note = document.createElement('span');
+            note.textContent = notes.includes(digit) ? SudokuConstraints.getDigitSymbol(digit) : '';
+            notesElement.appendChild(note);
+        }
+        cellElement.appendChild(notesElement);
+    }
+    
+    /**
+     * Create the ring that shows a tower's range
+     * @param {Object} tower - Tower to show the range of
+     * @returns {HTMLElement} Range indicator, sized relative to the cell
+     */
+    function createRangeIndicator(tower) {
+        const gameCellSize = window.GameLoop ? GameLoop.getCellSize() : cellSize;
+        const diameter = tower.range / gameCellSize * 2 * 100;
+        
+        const indicator = document.createElement('span');
+        indicator.className = 'tower-range';
+        indicator.style.width = `${diameter}%`;
+        indicator.style.height = `${diameter}%`;
+        return indicator;
+    }
+    
     /**
      * Handle a cell click
      * @param {number} row - Row index of clicked cell
@@ -158,21 +282,27 @@ const BoardRenderer = (function() {
         console.log(`Cell clicked: (${row}, ${col})`);
         
         // Check if a tower type is selected
-        if (window.TowerSelector && TowerSelector.getSelectedTowerType()) {
-            const towerType = TowerSelector.getSelectedTowerType();
-            
-            // Attempt to place tower
-            if (window.TowersModule) {
-                const tower = TowerPlacement.getTowerAt(row, col);
-                
-                if (tower) {
-                    // Tower placed successfully, update board
-                    updateBoard();
-                }
-            }
-        } else {
+        const towerType = window.TowerSelector ? TowerSelector.getSelectedTowerType() : null;
+        if (!towerType) {
             // No tower selected, show message
             EventSystem.publish(GameEvents.STATUS_MESSAGE, "Select a tower type first!");
+            return;
+        }
+        
+        // In notes mode the selected number is noted instead of built
+        if (window.SudokuNotes && SudokuNotes.isNotesMode()) {
+            const digit = parseInt(towerType);
+            if (isNaN(digit)) {
+                EventSystem.publish(GameEvents.STATUS_MESSAGE, "Select a number to add it as a note!");
+                return;
+            }
+            SudokuNotes.toggleNote(row, col, digit);
+            return;
+        }
+        
+        // Attempt to place tower, the board is redrawn when it is placed
+        if (window.TowerPlacement) {
+            TowerPlacement.createTower(towerType, row, col);
         }
     }
     
@@ -222,8 +352,10 @@ const BoardRenderer = (function() {
     
     /**
      * Render enemies on the board
+     * @param {number} [alpha=1] - Interpolation factor between the previous and
+     *                             current simulation step (0-1)
      */
-    function renderEnemies() {
+    function renderEnemies(alpha = 1) {
         if (!window.EnemiesModule) return;
         
         // Get the enemies container
@@ -261,8 +393,12 @@ const BoardRenderer = (function() {
                 enemyContainer.appendChild(enemyElement);
             }
             
-            // Update position
-            enemyElement.style.transform = `translate(${enemy.x}px, ${enemy.y}px)`;
+            // Update position, interpolated between simulation steps
+            const prevX = enemy.prevX !== undefined ? enemy.prevX : enemy.x;
+            const prevY = enemy.prevY !== undefined ? enemy.prevY : enemy.y;
+            const x = prevX + (enemy.x - prevX) * alpha;
+            const y = prevY + (enemy.y - prevY) * alpha;
+            enemyElement.style.transform = `translate(${x}px, ${y}px)`;
             
             // Update health bar
             const healthFill = enemyElement.querySelector('.enemy-health-fill');
@@ -292,11 +428,12 @@ const BoardRenderer = (function() {
             cell.classList.remove('number-highlighted');
         });
         
-        if (number < 1 || number > 9) return;
+        if (number < 1 || number > boardSize) return;
         
         // Highlight cells with the given number
+        const symbol = SudokuConstraints.getDigitSymbol(number);
         document.querySelectorAll(`.sudoku-cell`).forEach(cell => {
-            if (cell.textContent === String(number)) {
+            if (cell.textContent === symbol) {
                 cell.classList.add('number-highlighted');
             }
         });
@@ -343,6 +480,49 @@ const BoardRenderer = (function() {
         }
     }
     
+    /**
+     * Highlight the cells a hint uses and offer to place its tower
+     * @param {Object} hint - Hint from HintSystem
+     */
+    function showHint(hint) {
+        clearHint();
+        
+        hint.cells.forEach(([row, col]) => {
+            const cell = boardElement.querySelector(`.sudoku-cell[data-row="${row}"][data-col="${col}"]`);
+            if (cell) {
+                cell.classList.add('hint-cell');
+            }
+        });
+        
+        const { row, col, value } = hint.placement;
+        const target = boardElement.querySelector(`.sudoku-cell[data-row="${row}"][data-col="${col}"]`);
+        if (target) {
+            target.classList.add('hint-target');
+        }
+        
+        const placeButton = document.getElementById('place-hint');
+        if (placeButton) {
+            placeButton.textContent = `Place ${SudokuConstraints.getDigitSymbol(value)} (${hint.placementCost})`;
+            placeButton.hidden = false;
+        }
+    }
+    
+    /**
+     * Remove hint highlighting
+     */
+    function clearHint() {
+        if (boardElement) {
+            boardElement.querySelectorAll('.hint-cell, .hint-target').forEach(cell => {
+                cell.classList.remove('hint-cell', 'hint-target');
+            });
+        }
+        
+        const placeButton = document.getElementById('place-hint');
+        if (placeButton) {
+            placeButton.hidden = true;
+        }
+    }
+    
     /**
      * Set up event listeners
      */
@@ -352,11 +532,29 @@ const BoardRenderer = (function() {
             updateBoard();
         });
         
+        // Listen for a new enemy path to redraw it
+        EventSystem.subscribe(GameEvents.PATH_UPDATED, function() {
+            updateBoard();
+        });
+        
+        // Towers and enemies of a new game take the cell size given with
+        // GAME_INIT, correct it once the board has its new size
+        EventSystem.subscribe(GameEvents.GAME_INIT, function() {
+            if (boardElement) {
+                updateCellSize();
+            }
+        });
+        
         // Listen for tower placement to update the board
         EventSystem.subscribe(GameEvents.TOWER_PLACED, function() {
             updateBoard();
         });
         
+        // Listen for a restored game to redraw towers and the path
+        EventSystem.subscribe(GameEvents.GAME_RESTORED, function() {
+            updateBoard();
+        });
+        
         // Listen for tower removal to update the board
         EventSystem.subscribe(GameEvents.TOWER_REMOVED, function() {
             updateBoard();
@@ -367,6 +565,15 @@ const BoardRenderer = (function() {
             updateBoard();
         });
         
+        // Listen for hints to highlight the cells they use
+        EventSystem.subscribe(GameEvents.HINT_SHOWN, showHint);
+        EventSystem.subscribe(GameEvents.HINT_CLEARED, clearHint);
+        
+        // Listen for note changes to redraw the notes
+        EventSystem.subscribe(GameEvents.NOTES_CHANGED, function() {
+            updateBoard();
+        });
+        
         // Listen for number highlighting
         EventSystem.subscribe('number:highlight', function(number) {
             highlightNumber(number);
@@ -380,7 +587,8 @@ const BoardRenderer = (function() {
         // Listen for window resize to update cell size
         window.addEventListener('resize', function() {
             if (boardElement) {
-                cellSize = boardElement.clientWidth / 9;
+                updateCellSize();
+                updateBoard();
             }
         });
         
@@ -398,6 +606,11 @@ const BoardRenderer = (function() {
             startWaveButton.addEventListener('click', function() {
                 if (window.EnemiesModule) {
                     if (!EnemiesModule.isWaveInProgress || !EnemiesModule.isWaveInProgress()) {
+                        // Ask first if the player wants waves confirmed
+                        if (window.GameSettings && GameSettings.get('confirmBeforeWave') &&
+                            !window.confirm(`Start wave ${EnemiesModule.getWaveNumber()}?`)) {
+                            return;
+                        }
                         EnemiesModule.startWave();
                     } else {
                         EventSystem.publish(GameEvents.STATUS_MESSAGE, "Wave already in progress!");
@@ -422,6 +635,52 @@ const BoardRenderer = (function() {
             });
         }
         
+        // Hint buttons
+        const hintButton = document.getElementById('hint-button');
+        if (hintButton) {
+            if (window.HintSystem) {
+                hintButton.textContent = `Hint (${HintSystem.HINT_COST})`;
+            }
+            hintButton.addEventListener('click', function() {
+                if (window.HintSystem) {
+                    HintSystem.requestHint();
+                }
+            });
+        }
+        
+        const placeHintButton = document.getElementById('place-hint');
+        if (placeHintButton) {
+            placeHintButton.addEventListener('click', function() {
+                if (window.HintSystem) {
+                    HintSystem.placeHintTower();
+                }
+            });
+        }
+        
+        // Notes buttons
+        const notesButton = document.getElementById('notes-mode');
+        if (notesButton) {
+            notesButton.addEventListener('click', function() {
+                if (window.SudokuNotes) {
+                    SudokuNotes.setNotesMode();
+                }
+            });
+            
+            EventSystem.subscribe(GameEvents.NOTES_MODE_CHANGE, function(data) {
+                notesButton.classList.toggle('active', data.enabled);
+                notesButton.textContent = data.enabled ? 'Notes: On' : 'Notes: Off';
+            });
+        }
+        
+        const autoNotesButton = document.getElementById('auto-notes');
+        if (autoNotesButton) {
+            autoNotesButton.addEventListener('click', function() {
+                if (window.SudokuNotes) {
+                    SudokuNotes.autoFill();
+                }
+            });
+        }
+        
         // Stats button
         const statsButton = document.getElementById('stats-button');
         if (statsButton) {
@@ -431,6 +690,103 @@ const BoardRenderer = (function() {
             });
         }
         
+        // Leaderboard link in the header
+        const leaderboardLink = document.getElementById('leaderboard-link');
+        if (leaderboardLink) {
+            leaderboardLink.addEventListener('click', function() {
+                EventSystem.publish('leaderboard:show');
+            });
+        }
+        
+        // Saves button
+        const savesButton = document.getElementById('saves-button');
+        if (savesButton) {
+            savesButton.addEventListener('click', function() {
+                // Publish event for showing the save slots modal
+                EventSystem.publish('saves:show');
+            });
+        }
+        
+        // Settings button
+        const settingsButton = document.getElementById('settings-button');
+        if (settingsButton) {
+            settingsButton.addEventListener('click', function() {
+                // Publish event for showing the settings panel
+                EventSystem.publish('settings:show');
+            });
+        }
+        
+        // Achievements button
+        const achievementsButton = document.getElementById('achievements-button');
+        if (achievementsButton) {
+            achievementsButton.addEventListener('click', function() {
+                // Publish event for showing the achievements gallery
+                EventSystem.publish('achievements:show');
+            });
+        }
+        
+        // Game speed buttons
+        const speedButtons = document.querySelectorAll('.speed-button');
+        speedButtons.forEach(button => {
+            button.addEventListener('click', function() {
+                if (window.GameLoop) {
+                    GameLoop.setSpeed(Number(button.dataset.speed));
+                }
+            });
+        });
+        
+        // Single-step debug button
+        const stepButton = document.getElementById('step-game');
+        if (stepButton) {
+            stepButton.addEventListener('click', function() {
+                if (window.GameLoop) {
+                    GameLoop.step();
+                }
+            });
+        }
+        
+        // Keep the active speed button highlighted
+        EventSystem.subscribe(GameEvents.GAME_SPEED_CHANGE, function(data) {
+            speedButtons.forEach(button => {
+                button.classList.toggle('active', !data.stepMode && Number(button.dataset.speed) === data.speed);
+            });
+            
+            if (stepButton) {
+                stepButton.classList.toggle('active', data.stepMode);
+            }
+        });
+        
+        // Seed display - click to start a new game from a given seed
+        const seedDisplay = document.getElementById('seed');
+        if (seedDisplay) {
+            seedDisplay.addEventListener('click', function() {
+                const currentSeed = window.GameRandom ? GameRandom.getSeed() : '';
+                const seed = window.prompt("Enter a seed to play (share it to play the same game):", currentSeed);
+                
+                if (seed !== null && seed.trim() !== '' && window.GameLoop) {
+                    GameLoop.reset({ seed: seed });
+                }
+            });
+        }
+        
+        // Daily challenge button
+        const dailyButton = document.getElementById('daily-challenge');
+        if (dailyButton) {
+            dailyButton.addEventListener('click', function() {
+                // Publish event for showing the daily challenge
+                EventSystem.publish('daily:show');
+            });
+        }
+        
+        // Import puzzle button
+        const importButton = document.getElementById('import-puzzle');
+        if (importButton) {
+            importButton.addEventListener('click', function() {
+                // Publish event for showing the puzzle import dialog
+                EventSystem.publish('puzzle-import:show');
+            });
+        }
+        
         // New game button
         const newGameButton = document.getElementById('new-game');
         if (newGameButton) {
@@ -453,7 +809,8 @@ const BoardRenderer = (function() {
         highlightNumber,
         markIncorrectTower,
         clearIncorrectTower,
-        setupEventListeners
+        setupEventListeners,
+        getCellSize: function() { return cellSize; }
     };
 })();
 
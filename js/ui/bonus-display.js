@@ -0,0 +1,354 @@
+/**
+ * bonus-display.js - Handles the UI for Sudoku unit completion bonuses
+ * This module shows the bonus choice modal when a unit is completed and
+ * highlights the cells of units that currently carry a bonus.
+ */
+
+const BonusDisplay = (function() {
+    /**
+     * Show the bonus choice modal
+     * @param {string} unitType - Type of unit ('row', 'column', 'grid', 'diagonal' or 'region')
+     * @param {number|string} unitIndex - Index of the unit
+     */
+    function showBonusChoiceModal(unitType, unitIndex) {
+        // Pause the game while the player chooses
+        if (window.GameLoop && typeof GameLoop.pause === 'function') {
+            GameLoop.pause();
+        }
+        
+        // Create modal if it doesn't exist
+        let modal = document.getElementById('bonus-choice-modal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'bonus-choice-modal';
+            modal.className = 'bonus-choice-modal';
+            document.body.appendChild(modal);
+        }
+        
+        // Set modal content
+        modal.innerHTML = `
+            <div class="bonus-choice-content">
+                <h3>${CompletionBonusModule.describeUnit(unitType, unitIndex)} Completed!</h3>
+                <p>Choose a bonus effect:</p>
+                <div class="bonus-options">
+                    ${createBonusOptionHTML('DAMAGE', unitType, unitIndex)}
+                    ${createBonusOptionHTML('POINTS', unitType, unitIndex)}
+                    ${createBonusOptionHTML('CURRENCY', unitType, unitIndex)}
+                </div>
+            </div>
+        `;
+        
+        // Add event listeners to the buttons
+        const buttons = modal.querySelectorAll('.bonus-option-button');
+        buttons.forEach(button => {
+            button.addEventListener('click', function() {
+                const bonusType = this.dataset.bonusType;
+                CompletionBonusModule.applyBonus(unitType, unitIndex, bonusType);
+                modal.classList.remove('active');
+                
+                // Resume game if it was paused
+                if (window.GameLoop && typeof GameLoop.resume === 'function') {
+                    GameLoop.resume();
+                }
+            });
+        });
+        
+        // Show the modal
+        modal.classList.add('active');
+        
+        // Add CSS if not already in stylesheet
+        addBonusModalStyles();
+    }
+    
+    /**
+     * Create HTML for a bonus option
+     * @param {string} bonusType - Bonus type (DAMAGE, POINTS, CURRENCY)
+     * @param {string} unitType - Type of unit
+     * @param {number|string} unitIndex - Index of the unit
+     * @returns {string} HTML for the bonus option
+     */
+    function createBonusOptionHTML(bonusType, unitType, unitIndex) {
+        const bonus = CompletionBonusModule.BONUS_TYPES[bonusType];
+        return `
+            <div class="bonus-option">
+                <button class="bonus-option-button" data-bonus-type="${bonusType}">
+                    <span class="bonus-icon">${bonus.icon}</span>
+                    <span class="bonus-name">${bonusType}</span>
+                </button>
+                <p class="bonus-description">${bonus.description}</p>
+            </div>
+        `;
+    }
+    
+    /**
+     * Get the cell elements of a unit of the current puzzle
+     * @param {string} unitType - Type of unit ('row', 'column', 'grid', 'diagonal' or 'region')
+     * @param {number|string} unitIndex - Index of the unit
+     * @returns {HTMLElement[]} Cell elements
+     */
+    function getUnitCellElements(unitType, unitIndex) {
+        const unit = SudokuConstraints.findUnit(SudokuBoard.getLayout(), unitType, unitIndex);
+        if (!unit) return [];
+        
+        return unit.cells
+            .map(([row, col]) => document.querySelector(`.sudoku-cell[data-row="${row}"][data-col="${col}"]`))
+            .filter(cell => cell);
+    }
+    
+    /**
+     * Apply visual effect to cells in a completed unit
+     * @param {string} unitType - Type of unit ('row', 'column', 'grid', 'diagonal' or 'region')
+     * @param {number|string} unitIndex - Index of the unit
+     * @param {string} bonusType - Type of bonus (DAMAGE, POINTS, CURRENCY)
+     */
+    function applyVisualEffect(unitType, unitIndex, bonusType) {
+        // Get the color for this bonus type
+        const color = getBonusColor(bonusType);
+        
+        // Apply to all cells in the unit
+        getUnitCellElements(unitType, unitIndex).forEach(cell => {
+            applyBonusStyles(cell, bonusType, color);
+        });
+        
+        // Add animation effect
+        animateCompletedUnit(unitType, unitIndex, bonusType);
+    }
+    
+    /**
+     * Apply bonus styles to a cell
+     * @param {HTMLElement} cell - The cell element
+     * @param {string} bonusType - Type of bonus (DAMAGE, POINTS, CURRENCY)
+     * @param {string} color - CSS color for the bonus
+     */
+    function applyBonusStyles(cell, bonusType, color) {
+        // Clear previous bonus styles
+        cell.classList.remove('bonus-damage', 'bonus-points', 'bonus-currency');
+        
+        // Add appropriate class
+        cell.classList.add(`bonus-${bonusType.toLowerCase()}`);
+        
+        // Apply styles directly for immediate effect
+        cell.style.boxShadow = `0 0 8px ${color}`;
+        cell.style.border = `2px solid ${color}`;
+    }
+    
+    /**
+     * Animate a completed unit
+     * @param {string} unitType - Type of unit ('row', 'column', 'grid', 'diagonal' or 'region')
+     * @param {number|string} unitIndex - Index of the unit
+     * @param {string} bonusType - Type of bonus (DAMAGE, POINTS, CURRENCY)
+     */
+    function animateCompletedUnit(unitType, unitIndex, bonusType) {
+        // Get cells in the unit
+        const cells = getUnitCellElements(unitType, unitIndex);
+        
+        // Add flash animation to each cell with delay
+        cells.forEach((cell, i) => {
+            setTimeout(() => {
+                cell.classList.add('bonus-flash');
+                setTimeout(() => {
+                    cell.classList.remove('bonus-flash');
+                }, 500);
+            }, i * 50);
+        });
+    }
+    
+    /**
+     * Remove visual effects from cells in a unit
+     * @param {string} unitType - Type of unit ('row', 'column', 'grid', 'diagonal' or 'region')
+     * @param {number|string} unitIndex - Index of the unit
+     */
+    function removeVisualEffect(unitType, unitIndex) {
+        // Remove styles from all cells in the unit
+        getUnitCellElements(unitType, unitIndex).forEach(removeBonusStyles);
+    }
+    
+    /**
+     * Remove bonus styles from a cell
+     * @param {HTMLElement} cell - The cell element
+     */
+    function removeBonusStyles(cell) {
+        cell.classList.remove('bonus-damage', 'bonus-points', 'bonus-currency');
+        cell.style.boxShadow = '';
+        cell.style.border = '';
+    }
+    
+    /**
+     * Get color for a bonus type
+     * @param {string} bonusType - Type of bonus (DAMAGE, POINTS, CURRENCY)
+     * @returns {string} CSS color
+     */
+    function getBonusColor(bonusType) {
+        switch (bonusType) {
+            case 'DAMAGE': return '#ff4d4d'; // Red for damage
+            case 'POINTS': return '#4d4dff'; // Blue for points
+            case 'CURRENCY': return '#ffd700'; // Gold for currency
+            default: return '#ffffff';
+        }
+    }
+    
+    /**
+     * Add styles for the bonus modal to the document
+     */
+    function addBonusModalStyles() {
+        // Check if styles are already added
+        if (document.getElementById('bonus-modal-styles')) {
+            return;
+        }
+        
+        // Create style element
+        const style = document.createElement('style');
+        style.id = 'bonus-modal-styles';
+        style.textContent = `
+            /* Modal styling */
+            .bonus-choice-modal {
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background-color: rgba(0, 0, 0, 0.7);
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                z-index: 1000;
+                opacity: 0;
+                pointer-events: none;
+                transition: opacity 0.3s;
+            }
+            
+            .bonus-choice-modal.active {
+                opacity: 1;
+                pointer-events: all;
+            }
+            
+            .bonus-choice-content {
+                background-color: white;
+                padding: 25px;
+                border-radius: 8px;
+                max-width: 500px;
+                width: 90%;
+                text-align: center;
+            }
+            
+            .bonus-options {
+                display: flex;
+                justify-content: space-around;
+                margin-top: 20px;
+            }
+            
+            .bonus-option {
+                flex: 1;
+                margin: 0 10px;
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+            }
+            
+            .bonus-option-button {
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                padding: 15px;
+                background-color: #f5f5f5;
+                border: 2px solid #ddd;
+                border-radius: 8px;
+                cursor: pointer;
+                transition: all 0.2s;
+                width: 100%;
+            }
+            
+            .bonus-option-button:hover {
+                transform: translateY(-3px);
+                box-shadow: 0 5px 15px rgba(0,0,0,0.1);
+            }
+            
+            .bonus-icon {
+                font-size: 24px;
+                margin-bottom: 8px;
+            }
+            
+            .bonus-name {
+                font-weight: bold;
+            }
+            
+            .bonus-description {
+                font-size: 12px;
+                margin-top: 8px;
+                color: #666;
+            }
+            
+            /* Tower bonus styling */
+            .bonus-damage {
+                border: 2px solid #ff4d4d !important;
+                box-shadow: 0 0 8px #ff4d4d !important;
+            }
+            
+            .bonus-points {
+                border: 2px solid #4d4dff !important;
+                box-shadow: 0 0 8px #4d4dff !important;
+            }
+            
+            .bonus-currency {
+                border: 2px solid #ffd700 !important;
+                box-shadow: 0 0 8px #ffd700 !important;
+            }
+            
+            /* Animation for completed units */
+            @keyframes bonus-flash {
+                0% { transform: scale(1); background-color: rgba(255,255,255,0.5); }
+                50% { transform: scale(1.1); background-color: rgba(255,255,255,0.8); }
+                100% { transform: scale(1); background-color: rgba(255,255,255,0); }
+            }
+            
+            .bonus-flash {
+                animation: bonus-flash 0.5s ease-in-out;
+                z-index: 30;
+                pointer-events: none;
+            }
+        `;
+        
+        document.head.appendChild(style);
+    }
+    
+    /**
+     * Initialize event listeners
+     */
+    function initEventListeners() {
+        // Let the player choose a bonus when a unit is completed
+        EventSystem.subscribe(GameEvents.BONUS_CHOICE_REQUIRED, function(data) {
+            showBonusChoiceModal(data.unitType, data.unitIndex);
+        });
+        
+        // Highlight units when a bonus is applied
+        EventSystem.subscribe(GameEvents.BONUS_APPLIED, function(data) {
+            applyVisualEffect(data.unitType, data.unitIndex, data.bonusType);
+        });
+        
+        // Clear highlighting when a unit loses its bonus
+        EventSystem.subscribe(GameEvents.BONUS_REMOVED, function(data) {
+            removeVisualEffect(data.unitType, data.unitIndex);
+        });
+    }
+    
+    // Initialize
+    function init() {
+        // Add modal styles
+        addBonusModalStyles();
+        
+        initEventListeners();
+    }
+    
+    // Initialize the module
+    init();
+    
+    // Public API
+    return {
+        showBonusChoiceModal,
+        applyVisualEffect,
+        removeVisualEffect
+    };
+})();
+
+// Make module available globally
+window.BonusDisplay = BonusDisplay;
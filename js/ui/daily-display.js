@@ -0,0 +1,248 @@
+/**
+ * daily-display.js - Handles the daily challenge UI
+ * This module shows today's challenge with the player's result and streak,
+ * a calendar of past daily results, and starts the scored attempt or a
+ * practice game.
+ */
+
+const DailyDisplay = (function() {
+    // Labels of the result statuses
+    const STATUS_LABELS = {
+        playing: 'Unfinished',
+        lost: 'Lost',
+        completed: 'Completed'
+    };
+
+    // Weekday headings, the calendar starts on Monday
+    const WEEKDAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+
+    // First day of the month shown in the calendar
+    let shownMonth = null;
+
+    /**
+     * Describe a daily result
+     * @param {Object} result - Result from DailyChallenge.getResult()
+     * @returns {string} Score, wave and status
+     */
+    function describeResult(result) {
+        return `Score ${result.score}, wave ${result.wave} (${STATUS_LABELS[result.status] || result.status})`;
+    }
+
+    /**
+     * Build the calendar of a month
+     * @param {Date} month - First day of the month
+     * @returns {string} HTML for the calendar
+     */
+    function createCalendarHTML(month) {
+        const history = DailyChallenge.getHistory();
+        const todayKey = DailyChallenge.getDateKey();
+        const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+
+        // Blank cells before the first, getDay() counts from Sunday
+        const offset = (month.getDay() + 6) % 7;
+
+        let html = '<div class="daily-calendar">';
+        html += WEEKDAYS.map(day => `<div class="daily-weekday">${day}</div>`).join('');
+        html += '<div class="daily-day empty"></div>'.repeat(offset);
+
+        for (let date = 1; date <= daysInMonth; date++) {
+            const dateKey = DailyChallenge.getDateKey(new Date(month.getFullYear(), month.getMonth(), date));
+            const result = history[dateKey];
+            const classes = ['daily-day'];
+
+            if (result) classes.push(result.status);
+            if (dateKey === todayKey) classes.push('today');
+
+            html += `<div class="${classes.join(' ')}" title="${result ? describeResult(result) : dateKey}">${date}</div>`;
+        }
+
+        return html + '</div>';
+    }
+
+    /**
+     * Draw the calendar for the shown month
+     * @param {HTMLElement} modal - Daily modal
+     */
+    function renderCalendar(modal) {
+        modal.querySelector('.daily-month').textContent =
+            shownMonth.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+        modal.querySelector('.daily-calendar-container').innerHTML = createCalendarHTML(shownMonth);
+    }
+
+    /**
+     * Show the daily challenge modal
+     */
+    function show() {
+        if (!window.DailyChallenge || !window.ModalSystem) {
+            return;
+        }
+
+        addDailyStyles();
+
+        // Create or get the modal
+        let modal = document.getElementById('daily-modal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'daily-modal';
+            modal.className = 'modal';
+            modal.innerHTML = '<div class="modal-content"></div>';
+            document.body.appendChild(modal);
+        }
+
+        const today = new Date();
+        const result = DailyChallenge.getResult();
+        const streak = DailyChallenge.getStreak();
+        const settings = DailyChallenge.PUZZLE_SETTINGS;
+        shownMonth = new Date(today.getFullYear(), today.getMonth(), 1);
+
+        // Set content
+        const content = modal.querySelector('.modal-content');
+        content.innerHTML = `
+            <h2>Daily Challenge</h2>
+            <p>${today.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</p>
+            <p class="daily-note">The same ${settings.difficulty} ${settings.size}x${settings.size} board, path and waves for everyone today.</p>
+            <p class="daily-result">${result ?
+                `Today's result: ${describeResult(result)}` :
+                "You haven't played today's challenge yet. Your first game is the one that counts!"}</p>
+            <p class="daily-streak">Streak: ${streak.current} ${streak.current === 1 ? 'day' : 'days'} &middot; Best: ${streak.longest}</p>
+            <div class="daily-month-nav">
+                <button id="daily-previous-month" title="Previous month">&lsaquo;</button>
+                <span class="daily-month"></span>
+                <button id="daily-next-month" title="Next month">&rsaquo;</button>
+            </div>
+            <div class="daily-calendar-container"></div>
+            <div class="upgrade-buttons">
+                <button id="play-daily">${result ? 'Practice' : 'Play'}</button>
+                <button id="close-daily">Close</button>
+            </div>
+        `;
+
+        // Add event listeners
+        content.querySelector('#daily-previous-month').addEventListener('click', function() {
+            shownMonth = new Date(shownMonth.getFullYear(), shownMonth.getMonth() - 1, 1);
+            renderCalendar(modal);
+        });
+
+        content.querySelector('#daily-next-month').addEventListener('click', function() {
+            shownMonth = new Date(shownMonth.getFullYear(), shownMonth.getMonth() + 1, 1);
+            renderCalendar(modal);
+        });
+
+        content.querySelector('#play-daily').addEventListener('click', function() {
+            close(modal);
+            DailyChallenge.start();
+        });
+
+        content.querySelector('#close-daily').addEventListener('click', function() {
+            close(modal);
+        });
+
+        renderCalendar(modal);
+
+        // Show the modal
+        ModalSystem.showModal(modal);
+    }
+
+    /**
+     * Hide the modal and resume the game
+     * @param {HTMLElement} modal - Daily modal
+     */
+    function close(modal) {
+        ModalSystem.hideModal(modal);
+        if (window.GameLoop) {
+            GameLoop.resume();
+        }
+    }
+
+    /**
+     * Add daily challenge styles to the document
+     */
+    function addDailyStyles() {
+        if (document.getElementById('daily-styles')) {
+            return;
+        }
+
+        const style = document.createElement('style');
+        style.id = 'daily-styles';
+        style.textContent = `
+            .daily-note,
+            .daily-streak {
+                font-size: 0.85em;
+                color: #888;
+            }
+
+            .daily-result {
+                font-weight: bold;
+            }
+
+            .daily-month-nav {
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                gap: 15px;
+            }
+
+            .daily-month-nav button {
+                padding: 2px 10px;
+            }
+
+            .daily-month {
+                min-width: 140px;
+            }
+
+            .daily-calendar {
+                display: grid;
+                grid-template-columns: repeat(7, 32px);
+                gap: 3px;
+                justify-content: center;
+                margin: 10px 0;
+            }
+
+            .daily-weekday {
+                font-size: 0.75em;
+                color: #888;
+            }
+
+            .daily-day {
+                height: 28px;
+                line-height: 28px;
+                border-radius: 4px;
+                background-color: #f5f5f5;
+                font-size: 0.85em;
+            }
+
+            .daily-day.empty {
+                background: none;
+            }
+
+            .daily-day.today {
+                outline: 2px solid #2196F3;
+            }
+
+            .daily-day.playing {
+                background-color: #fff3e0;
+            }
+
+            .daily-day.lost {
+                background-color: #ffcdd2;
+            }
+
+            .daily-day.completed {
+                background-color: #c8e6c9;
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
+
+    // Listen for the daily button
+    EventSystem.subscribe('daily:show', show);
+
+    // Public API
+    return {
+        show
+    };
+})();
+
+// Make module available globally
+window.DailyDisplay = DailyDisplay;
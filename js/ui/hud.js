@@ -0,0 +1,71 @@
+/**
+ * hud.js - Handles the heads-up display
+ * This module keeps the score, lives, wave, currency, seed and high score
+ * displays in sync with the game state, and shows status messages.
+ */
+
+const HudDisplay = (function() {
+    /**
+     * Set the text of an element if it exists
+     * @param {string} id - Element ID
+     * @param {string|number} value - Text to show
+     */
+    function setText(id, value) {
+        const element = document.getElementById(id);
+        if (element) {
+            element.textContent = value;
+        }
+    }
+
+    /**
+     * Update all HUD values from the current game state
+     */
+    function update() {
+        if (window.PlayerModule) {
+            const state = PlayerModule.getState();
+            setText('score-value', state.score);
+            setText('lives-value', state.lives);
+            setText('currency-value', state.currency);
+        }
+
+        if (window.EnemyWaves) {
+            setText('wave-value', EnemyWaves.getWaveNumber());
+        }
+
+        if (window.GameRandom) {
+            setText('seed-value', GameRandom.getSeed());
+        }
+
+        if (window.SaveSystem && typeof SaveSystem.getHighScore === 'function') {
+            setText('high-score-value', SaveSystem.getHighScore());
+        }
+    }
+
+    /**
+     * Initialize event listeners
+     */
+    function initEventListeners() {
+        EventSystem.subscribe(GameEvents.PLAYER_UPDATE, update);
+        EventSystem.subscribe(GameEvents.CURRENCY_CHANGE, update);
+        EventSystem.subscribe(GameEvents.LIVES_CHANGE, update);
+        EventSystem.subscribe(GameEvents.SCORE_CHANGE, update);
+        EventSystem.subscribe(GameEvents.WAVE_START, update);
+        EventSystem.subscribe(GameEvents.UI_UPDATE, update);
+
+        // Show status messages in the status area
+        EventSystem.subscribe(GameEvents.STATUS_MESSAGE, function(message) {
+            setText('status-message', message);
+        });
+    }
+
+    // Initialize event listeners
+    initEventListeners();
+
+    // Public API
+    return {
+        update
+    };
+})();
+
+// Make module available globally
+window.HudDisplay = HudDisplay;
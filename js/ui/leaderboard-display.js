@@ -0,0 +1,269 @@
+/**
+ * leaderboard-display.js - Handles the leaderboard UI
+ * This module shows the local top scores for each difficulty in a modal,
+ * opened from the header or after entering a name at game over. Tables are
+ * picked by puzzle type (or imported puzzles) and board size, or a special
+ * mode like the daily challenge.
+ */
+
+const LeaderboardDisplay = (function() {
+    /**
+     * Get the difficulties that have a table
+     * @returns {string[]} Difficulty names
+     */
+    function getDifficulties() {
+        return window.SudokuGenerator ? Object.keys(SudokuGenerator.difficultySettings) : ['easy', 'medium', 'hard'];
+    }
+
+    /**
+     * Get the puzzle types and board sizes that have tables
+     * @returns {Object} Variant and size names as { variants, sizes }
+     */
+    function getPuzzleOptions() {
+        return window.SudokuConstraints
+            ? { variants: SudokuConstraints.VARIANTS, sizes: SudokuConstraints.BOARD_SIZES }
+            : { variants: { classic: { name: 'Classic' } }, sizes: { 9: { name: '9x9' } } };
+    }
+
+    /**
+     * Get the modes with tables of their own, whatever the puzzle type and board size
+     * @returns {Object} Display name by mode
+     */
+    function getSpecialModes() {
+        const modes = {};
+        if (window.DailyChallenge) {
+            modes[DailyChallenge.MODE] = 'Daily challenge';
+        }
+        return modes;
+    }
+
+    /**
+     * Build the filters that pick the table: puzzle type, imported puzzles or special mode, and board size
+     * @param {string} mode - Game mode shown
+     * @returns {string} HTML for the filters
+     */
+    function createFiltersHTML(mode) {
+        const { variants, sizes } = getPuzzleOptions();
+        const puzzleMode = Leaderboard.parsePuzzleMode(mode);
+        const selected = puzzleMode ? puzzleMode.variant : mode;
+        const options = [
+            ...Object.entries(variants).map(([variant, info]) => [variant, info.name]),
+            [Leaderboard.IMPORTED_MODE, 'Imported puzzles'],
+            ...Object.entries(getSpecialModes())
+        ];
+
+        return `
+            <div class="leaderboard-filters">
+                <select id="leaderboard-variant" title="Puzzle type">
+                    ${options.map(([value, name]) => `
+                        <option value="${value}" ${value === selected ? 'selected' : ''}>${name}</option>
+                    `).join('')}
+                </select>
+                <select id="leaderboard-size" title="Board size" ${puzzleMode ? '' : 'disabled'}>
+                    ${Object.entries(sizes).map(([size, info]) => `
+                        <option value="${size}" ${Number(size) === (puzzleMode ? puzzleMode.size : Leaderboard.DEFAULT_SIZE) ? 'selected' : ''}>${info.name}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `;
+    }
+
+    /**
+     * Get the mode the filters pick
+     * @param {HTMLElement} content - Modal content element
+     * @returns {string} Game mode
+     */
+    function readFilters(content) {
+        const variant = content.querySelector('#leaderboard-variant').value;
+        const sizeSelect = content.querySelector('#leaderboard-size');
+        const special = variant in getSpecialModes();
+
+        sizeSelect.disabled = special;
+        return special ? variant : Leaderboard.getPuzzleMode(variant, Number(sizeSelect.value));
+    }
+
+    /**
+     * Fill the table for a difficulty
+     * @param {HTMLElement} modal - Leaderboard modal
+     * @param {string} difficulty - Difficulty to show
+     * @param {string} mode - Game mode to show
+     * @param {number} [highlightRank] - Rank to highlight, e.g. a newly added entry
+     */
+    function renderTable(modal, difficulty, mode, highlightRank) {
+        modal.querySelectorAll('.leaderboard-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.difficulty === difficulty);
+        });
+
+        const body = modal.querySelector('.leaderboard-table tbody');
+        body.innerHTML = '';
+
+        const entries = Leaderboard.getEntries(difficulty, mode);
+        if (entries.length === 0) {
+            body.innerHTML = '<tr><td colspan="7" class="leaderboard-empty">No scores yet</td></tr>';
+            return;
+        }
+
+        entries.forEach((entry, index) => {
+            const row = document.createElement('tr');
+            if (index + 1 === highlightRank) {
+                row.className = 'highlight';
+            }
+
+            // Cells are set as text so names can't inject markup
+            [
+                index + 1,
+                entry.name,
+                entry.score,
+                entry.wave,
+                entry.lives,
+                new Date(entry.date).toLocaleDateString(),
+                entry.seed
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            body.appendChild(row);
+        });
+    }
+
+    /**
+     * Show the leaderboard modal
+     * @param {Object} [options] - Table to show
+     * @param {string} [options.difficulty] - Difficulty, defaults to the current game's
+     * @param {string} [options.mode] - Game mode, defaults to the current game's
+     * @param {number} [options.highlightRank] - Rank to highlight
+     */
+    function show(options = {}) {
+        if (!window.Leaderboard || !window.ModalSystem) {
+            return;
+        }
+
+        const current = window.SudokuBoard ? Leaderboard.getCurrentResult() : null;
+        const difficulty = options.difficulty || (current ? current.difficulty : 'medium');
+        let mode = options.mode || (current ? current.mode : Leaderboard.DEFAULT_MODE);
+        let difficultyShown = difficulty;
+
+        addLeaderboardStyles();
+
+        // Create or get the modal; it is re-added so it shows above other modals
+        let modal = document.getElementById('leaderboard-modal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'leaderboard-modal';
+            modal.className = 'modal';
+            modal.innerHTML = '<div class="modal-content"></div>';
+        }
+        document.body.appendChild(modal);
+
+        // Set content
+        const content = modal.querySelector('.modal-content');
+        content.innerHTML = `
+            <h2>Leaderboard</h2>
+            ${createFiltersHTML(mode)}
+            <div class="leaderboard-tabs">
+                ${getDifficulties().map(name => `<button class="leaderboard-tab" data-difficulty="${name}">${name}</button>`).join('')}
+            </div>
+            <table class="game-stats-table leaderboard-table">
+                <thead>
+                    <tr><th>#</th><th>Name</th><th>Score</th><th>Wave</th><th>Lives</th><th>Date</th><th>Seed</th></tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <button id="close-leaderboard">Close</button>
+        `;
+
+        // Add event listeners
+        content.querySelectorAll('.leaderboard-tab').forEach(tab => {
+            tab.addEventListener('click', function() {
+                difficultyShown = tab.dataset.difficulty;
+                renderTable(modal, difficultyShown, mode);
+            });
+        });
+
+        content.querySelectorAll('#leaderboard-variant, #leaderboard-size').forEach(select => {
+            select.addEventListener('change', function() {
+                mode = readFilters(content);
+                renderTable(modal, difficultyShown, mode);
+            });
+        });
+
+        content.querySelector('#close-leaderboard').addEventListener('click', function() {
+            ModalSystem.hideModal(modal);
+
+            // Only resume if nothing else (like the game over modal) is still open
+            if (window.GameLoop && !document.querySelector('.modal.active')) {
+                GameLoop.resume();
+            }
+        });
+
+        renderTable(modal, difficulty, mode, options.highlightRank);
+
+        // Show the modal
+        ModalSystem.showModal(modal);
+    }
+
+    /**
+     * Add leaderboard styles to the document
+     */
+    function addLeaderboardStyles() {
+        if (document.getElementById('leaderboard-styles')) {
+            return;
+        }
+
+        const style = document.createElement('style');
+        style.id = 'leaderboard-styles';
+        style.textContent = `
+            .leaderboard-filters {
+                display: flex;
+                justify-content: center;
+                gap: 5px;
+                margin-bottom: 10px;
+            }
+
+            .leaderboard-tabs {
+                display: flex;
+                justify-content: center;
+                gap: 5px;
+                margin-bottom: 10px;
+            }
+
+            .leaderboard-tab {
+                background-color: #9e9e9e;
+                text-transform: capitalize;
+            }
+
+            .leaderboard-tab.active {
+                background-color: #4CAF50;
+            }
+
+            .leaderboard-table {
+                margin-bottom: 15px;
+            }
+
+            .leaderboard-table tr.highlight td {
+                background-color: #fff3cd;
+                font-weight: bold;
+            }
+
+            .leaderboard-empty {
+                color: #888;
+                text-align: center;
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
+
+    // Listen for the leaderboard button
+    EventSystem.subscribe('leaderboard:show', show);
+
+    // Public API
+    return {
+        show
+    };
+})();
+
+// Make module available globally
+window.LeaderboardDisplay = LeaderboardDisplay;
@@ -16,16 +16,54 @@ const ModalSystem = (function() {
             modal = createModal('game-over-modal');
         }
         
+        // Offer a leaderboard entry if the score is good enough
+        const result = window.Leaderboard ? Leaderboard.getCurrentResult() : null;
+        const qualifies = result && result.ranked && Leaderboard.qualifies(result.score, result.difficulty, result.mode);
+        
         // Set content
         const content = modal.querySelector('.modal-content');
         content.innerHTML = `
             <h2>Game Over!</h2>
             <p>Final Score: <span class="score-value">${data.score}</span></p>
             ${data.highScore ? `<p>High Score: <span class="high-score-value">${data.highScore}</span></p>` : ''}
-            <button id="new-game-button">New Game</button>
+            ${qualifies ? `
+                <div class="leaderboard-entry">
+                    <p>You made the ${result.difficulty} ${Leaderboard.describeMode(result.mode)} leaderboard! Enter your name:</p>
+                    <input type="text" id="leaderboard-name" maxlength="20">
+                    <button id="save-score-button">Save Score</button>
+                </div>
+            ` : ''}
+            <div class="upgrade-buttons">
+                ${window.LeaderboardDisplay ? '<button id="view-leaderboard-button">Leaderboard</button>' : ''}
+                <button id="new-game-button">New Game</button>
+            </div>
         `;
         
         // Add event listeners
+        const saveScoreButton = content.querySelector('#save-score-button');
+        if (saveScoreButton) {
+            const nameInput = content.querySelector('#leaderboard-name');
+            nameInput.value = Leaderboard.getPlayerName();
+            
+            saveScoreButton.addEventListener('click', function() {
+                Leaderboard.setPlayerName(nameInput.value);
+                const rank = Leaderboard.addEntry({ ...result, name: nameInput.value });
+                
+                content.querySelector('.leaderboard-entry').innerHTML = `<p>Score saved at rank #${rank}!</p>`;
+                
+                if (window.LeaderboardDisplay) {
+                    LeaderboardDisplay.show({ difficulty: result.difficulty, mode: result.mode, highlightRank: rank });
+                }
+            });
+        }
+        
+        const viewLeaderboardButton = content.querySelector('#view-leaderboard-button');
+        if (viewLeaderboardButton) {
+            viewLeaderboardButton.addEventListener('click', function() {
+                LeaderboardDisplay.show({ difficulty: result ? result.difficulty : undefined, mode: result ? result.mode : undefined });
+            });
+        }
+        
         const newGameButton = content.querySelector('#new-game-button');
         if (newGameButton) {
             newGameButton.addEventListener('click', function() {
@@ -142,6 +180,52 @@ const ModalSystem = (function() {
         showModal(modal);
     }
     
+    /**
+     * Show a modal offering to continue a saved game
+     * @param {Object} snapshot - Saved game snapshot from SaveSystem
+     */
+    function showContinueModal(snapshot) {
+        // Create or get the modal
+        let modal = document.getElementById('continue-modal');
+        if (!modal) {
+            modal = createModal('continue-modal');
+        }
+        
+        const savedAt = new Date(snapshot.savedAt).toLocaleString();
+        
+        // Set content
+        const content = modal.querySelector('.modal-content');
+        content.innerHTML = `
+            <h2>Continue Game?</h2>
+            <p>Wave ${snapshot.waveNumber} &middot; Score: <span class="score-value">${snapshot.player.score}</span> &middot; Lives: ${snapshot.player.lives}</p>
+            <p class="saved-at">Saved ${savedAt}</p>
+            <div class="upgrade-buttons">
+                <button id="continue-saved-game">Continue</button>
+                <button id="discard-saved-game">New Game</button>
+            </div>
+        `;
+        
+        // Add event listeners
+        content.querySelector('#continue-saved-game').addEventListener('click', function() {
+            hideModal(modal);
+            SaveSystem.restoreGame(snapshot);
+            if (window.GameLoop) {
+                GameLoop.resume();
+            }
+        });
+        
+        content.querySelector('#discard-saved-game').addEventListener('click', function() {
+            hideModal(modal);
+            SaveSystem.clearSavedGame();
+            if (window.GameLoop) {
+                GameLoop.resume();
+            }
+        });
+        
+        // Show the modal
+        showModal(modal);
+    }
+    
     /**
      * Create a modal element
      * @param {string} id - Modal ID
@@ -231,6 +315,16 @@ const ModalSystem = (function() {
                 margin-bottom: 15px;
             }
             
+            .leaderboard-entry {
+                margin: 15px 0;
+            }
+            
+            .leaderboard-entry input {
+                padding: 8px;
+                margin-right: 5px;
+                font-size: 1rem;
+            }
+            
             .score-value, .high-score-value {
                 font-weight: bold;
                 color: #4CAF50;
@@ -242,6 +336,13 @@ const ModalSystem = (function() {
                 margin-bottom: 15px;
             }
             
+            /* Continue game specific styles */
+            #continue-modal .saved-at {
+                color: #888;
+                font-size: 0.9em;
+                margin-bottom: 15px;
+            }
+            
             /* Tower upgrade specific styles */
             .upgrade-stats {
                 margin: 20px 0;
@@ -314,11 +415,11 @@ const ModalSystem = (function() {
                 transform: translateY(-2px);
             }
             
-            #cancel-upgrade {
+            #cancel-upgrade, #discard-saved-game {
                 background-color: #f44336;
             }
             
-            #cancel-upgrade:hover {
+            #cancel-upgrade:hover, #discard-saved-game:hover {
                 background-color: #d32f2f;
             }
         `;
@@ -335,8 +436,8 @@ const ModalSystem = (function() {
         
         // Listen for Sudoku completion event
         EventSystem.subscribe(GameEvents.SUDOKU_COMPLETE, function(data) {
-            // Wait a bit before showing the level complete modal
-            setTimeout(() => {
+            // Wait a bit of game time before showing the level complete modal
+            GameScheduler.setTimeout(() => {
                 const level = window.LevelsModule ? LevelsModule.getCurrentLevel() : 1;
                 const score = window.PlayerModule ? PlayerModule.getState().score : 0;
                 
@@ -357,14 +458,19 @@ const ModalSystem = (function() {
         initEventListeners();
     }
     
-    // Initialize on DOM content loaded
-    document.addEventListener('DOMContentLoaded', init);
+    // Initialize on DOM content loaded, or now if this module was loaded after it
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
     
     // Public API
     return {
         showGameOverModal,
         showLevelCompleteModal,
         showTowerUpgradeModal,
+        showContinueModal,
         showModal,
         hideModal
     };
@@ -0,0 +1,357 @@
+/**
+ * puzzle-import.js - Handles the puzzle import UI
+ * This module lets the player paste or open a puzzle in a standard text
+ * format, checks it, and lets them draw the enemy path through its empty
+ * cells (or find one automatically) before starting a game with it.
+ */
+
+const PuzzleImportDisplay = (function() {
+    // Puzzle being imported: parsed board, solution and format, null until checked
+    let imported = null;
+
+    // Enemy path picked so far as [row, col] coordinates, entrance first
+    let path = [];
+
+    /**
+     * Build the board used to draw the path
+     * @returns {string} HTML for the board
+     */
+    function createBoardHTML() {
+        const board = imported.board;
+        const size = board.length;
+        const cellSize = Math.floor(270 / size);
+        const pathIndexes = new Map(path.map(([row, col], index) => [`${row},${col}`, index]));
+
+        let html = `<div class="import-board" style="grid-template-columns: repeat(${size}, ${cellSize}px); ` +
+            `grid-template-rows: repeat(${size}, ${cellSize}px); font-size: ${Math.round(cellSize * 0.6)}px; line-height: ${cellSize}px;">`;
+
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const value = board[row][col];
+                const classes = ['import-cell'];
+                const pathIndex = pathIndexes.get(`${row},${col}`);
+
+                if (value !== 0) {
+                    classes.push('fixed');
+                } else if (pathIndex !== undefined) {
+                    classes.push('path');
+                    if (pathIndex === 0) classes.push('path-start');
+                    if (pathIndex === path.length - 1) classes.push('path-end');
+                } else if (SudokuImporter.canExtendPath(path, board, row, col)) {
+                    classes.push('next');
+                }
+
+                html += `<div class="${classes.join(' ')}" data-row="${row}" data-col="${col}">` +
+                    `${value !== 0 ? SudokuConstraints.getDigitSymbol(value) : ''}</div>`;
+            }
+        }
+
+        return html + '</div>';
+    }
+
+    /**
+     * Redraw the path board and the state of the start button
+     * @param {HTMLElement} modal - Import modal
+     */
+    function updatePathBoard(modal) {
+        const container = modal.querySelector('.import-path');
+        if (!imported) {
+            container.style.display = 'none';
+            modal.querySelector('#start-imported-puzzle').disabled = true;
+            return;
+        }
+
+        container.style.display = '';
+        container.querySelector('.import-board-container').innerHTML = createBoardHTML();
+
+        let problem = null;
+        try {
+            SudokuImporter.validatePath(path, imported.board);
+        } catch (error) {
+            problem = error.message;
+        }
+        modal.querySelector('#start-imported-puzzle').disabled = problem !== null;
+        container.querySelector('.import-path-length').textContent =
+            `Path: ${path.length} cells${problem ? ` (${problem})` : ''}`;
+    }
+
+    /**
+     * Handle a click on a cell of the path board. Clicking a cell next to
+     * the end of the path adds it, clicking a path cell cuts the path back to
+     * before that cell.
+     * @param {HTMLElement} modal - Import modal
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     */
+    function handlePathClick(modal, row, col) {
+        const index = path.findIndex(([pathRow, pathCol]) => pathRow === row && pathCol === col);
+
+        if (index !== -1) {
+            path = path.slice(0, index);
+        } else if (SudokuImporter.canExtendPath(path, imported.board, row, col)) {
+            path.push([row, col]);
+        } else {
+            showMessage(modal, path.length === 0 ?
+                "The path starts on an empty cell at the edge of the board" :
+                "The path continues to an empty cell next to its end", true);
+            return;
+        }
+
+        showMessage(modal, '');
+        updatePathBoard(modal);
+    }
+
+    /**
+     * Parse and check the puzzle entered in the modal
+     * @param {HTMLElement} modal - Import modal
+     * @param {string} [filename] - Name of the file the text came from
+     */
+    function checkPuzzle(modal, filename) {
+        imported = null;
+        path = [];
+
+        try {
+            const parsed = SudokuImporter.parse(modal.querySelector('#import-puzzle-text').value, filename);
+            const { solution } = SudokuImporter.validate(parsed.board);
+            imported = { ...parsed, solution };
+
+            const size = parsed.board.length;
+            showMessage(modal, `${SudokuImporter.FORMATS[parsed.format].name}: a ${size}x${size} puzzle with one solution. ` +
+                "Click empty cells from the enemies' entrance to their exit, or find a path.");
+        } catch (error) {
+            showMessage(modal, `Invalid puzzle: ${error.message}`, true);
+        }
+
+        updatePathBoard(modal);
+    }
+
+    /**
+     * Show the puzzle import modal
+     */
+    function show() {
+        if (!window.SudokuImporter || !window.ModalSystem) {
+            return;
+        }
+
+        addPuzzleImportStyles();
+
+        // Create or get the modal
+        let modal = document.getElementById('puzzle-import-modal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'puzzle-import-modal';
+            modal.className = 'modal';
+            modal.innerHTML = '<div class="modal-content"></div>';
+            document.body.appendChild(modal);
+        }
+
+        imported = null;
+        path = [];
+
+        // Set content
+        const content = modal.querySelector('.modal-content');
+        content.innerHTML = `
+            <h2>Import Puzzle</h2>
+            <textarea id="import-puzzle-text" rows="6" spellcheck="false"
+                placeholder="Paste an 81-character puzzle (. or 0 for blanks), or a .sdk or .ss grid"></textarea>
+            <div class="import-buttons">
+                <button id="open-puzzle-file">Open File</button>
+                <input type="file" id="import-puzzle-file" accept=".sdk,.ss,.txt,text/plain" hidden>
+                <button id="check-puzzle">Check Puzzle</button>
+            </div>
+            <p class="puzzle-import-message"></p>
+            <div class="import-path">
+                <div class="import-board-container"></div>
+                <p class="import-path-length"></p>
+                <div class="import-buttons">
+                    <button id="find-import-path">Find Path</button>
+                    <button id="clear-import-path">Clear Path</button>
+                </div>
+            </div>
+            <div class="import-buttons">
+                <button id="start-imported-puzzle" disabled>Start Game</button>
+                <button id="close-puzzle-import">Cancel</button>
+            </div>
+        `;
+
+        // Add event listeners
+        const fileInput = content.querySelector('#import-puzzle-file');
+
+        content.querySelector('#open-puzzle-file').addEventListener('click', function() {
+            fileInput.click();
+        });
+
+        fileInput.addEventListener('change', function() {
+            const file = fileInput.files[0];
+            if (!file) {
+                return;
+            }
+
+            file.text()
+                .then(text => {
+                    content.querySelector('#import-puzzle-text').value = text;
+                    checkPuzzle(modal, file.name);
+                })
+                .catch(error => showMessage(modal, `Could not read the file: ${error.message}`, true));
+        });
+
+        content.querySelector('#check-puzzle').addEventListener('click', function() {
+            checkPuzzle(modal);
+        });
+
+        content.querySelector('.import-board-container').addEventListener('click', function(event) {
+            const cell = event.target.closest('.import-cell');
+            if (cell && imported) {
+                handlePathClick(modal, Number(cell.dataset.row), Number(cell.dataset.col));
+            }
+        });
+
+        content.querySelector('#find-import-path').addEventListener('click', function() {
+            const found = SudokuImporter.findPath(imported.board);
+            if (!found) {
+                showMessage(modal, "The givens block every path across the board, draw one instead", true);
+                return;
+            }
+
+            path = found;
+            showMessage(modal, '');
+            updatePathBoard(modal);
+        });
+
+        content.querySelector('#clear-import-path').addEventListener('click', function() {
+            path = [];
+            updatePathBoard(modal);
+        });
+
+        content.querySelector('#start-imported-puzzle').addEventListener('click', function() {
+            try {
+                const puzzle = SudokuImporter.createPuzzle(imported.board, imported.solution, path);
+                close(modal);
+                GameLoop.reset({ puzzle: puzzle });
+            } catch (error) {
+                showMessage(modal, error.message, true);
+            }
+        });
+
+        content.querySelector('#close-puzzle-import').addEventListener('click', function() {
+            close(modal);
+        });
+
+        updatePathBoard(modal);
+
+        // Show the modal
+        ModalSystem.showModal(modal);
+    }
+
+    /**
+     * Show a message in the import modal
+     * @param {HTMLElement} modal - Import modal
+     * @param {string} message - Message to show
+     * @param {boolean} [isError=false] - Whether the message is an error
+     */
+    function showMessage(modal, message, isError = false) {
+        const element = modal.querySelector('.puzzle-import-message');
+        element.textContent = message;
+        element.classList.toggle('error', isError);
+    }
+
+    /**
+     * Hide the modal and resume the game
+     * @param {HTMLElement} modal - Import modal
+     */
+    function close(modal) {
+        ModalSystem.hideModal(modal);
+        if (window.GameLoop) {
+            GameLoop.resume();
+        }
+    }
+
+    /**
+     * Add puzzle import styles to the document
+     */
+    function addPuzzleImportStyles() {
+        if (document.getElementById('puzzle-import-styles')) {
+            return;
+        }
+
+        const style = document.createElement('style');
+        style.id = 'puzzle-import-styles';
+        style.textContent = `
+            #import-puzzle-text {
+                width: 100%;
+                box-sizing: border-box;
+                font-family: monospace;
+            }
+
+            .import-buttons {
+                display: flex;
+                justify-content: center;
+                gap: 10px;
+                margin: 10px 0;
+            }
+
+            .puzzle-import-message {
+                min-height: 1.2em;
+                color: #4CAF50;
+            }
+
+            .puzzle-import-message.error {
+                color: #f44336;
+            }
+
+            .import-board-container {
+                display: flex;
+                justify-content: center;
+            }
+
+            .import-board {
+                display: grid;
+                border: 2px solid #333;
+            }
+
+            .import-cell {
+                text-align: center;
+                background-color: white;
+                border: 1px solid #ddd;
+                box-sizing: border-box;
+                cursor: pointer;
+            }
+
+            .import-cell.fixed {
+                background-color: #e0e0e0;
+                cursor: default;
+            }
+
+            .import-cell.next {
+                background-color: #fff3e0;
+            }
+
+            .import-cell.path {
+                background-color: #ffcc80;
+            }
+
+            .import-cell.path-start,
+            .import-cell.path-end {
+                background-color: #ff9800;
+            }
+
+            .import-path-length {
+                font-size: 0.85em;
+                color: #888;
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
+
+    // Listen for the import button
+    EventSystem.subscribe('puzzle-import:show', show);
+
+    // Public API
+    return {
+        show
+    };
+})();
+
+// Make module available globally
+window.PuzzleImportDisplay = PuzzleImportDisplay;
@@ -0,0 +1,413 @@
+/**
+ * save-slots.js - Handles the save slot (load screen) UI
+ * This module shows the named save slots with their details and a mini-board
+ * preview, and lets the player save, load, rename and delete them. It also
+ * exports and imports saves as files and share codes.
+ */
+
+const SaveSlotsDisplay = (function() {
+    /**
+     * Build the mini-board preview for a slot
+     * @param {Object} preview - Board, fixed cells and path cells of the saved game
+     * @returns {string} HTML for the preview
+     */
+    function createPreviewHTML(preview) {
+        const pathCells = new Set(preview.pathCells.map(([row, col]) => `${row},${col}`));
+
+        // Previews keep the width of a 9x9 board with 10px cells whatever the board size
+        const size = preview.board.length;
+        const cellSize = Math.floor(90 / size);
+        let html = `<div class="slot-preview" style="grid-template-columns: repeat(${size}, ${cellSize}px); ` +
+            `grid-template-rows: repeat(${size}, ${cellSize}px); font-size: ${Math.round(cellSize * 0.7)}px; line-height: ${cellSize}px;">`;
+
+        for (let row = 0; row < preview.board.length; row++) {
+            for (let col = 0; col < preview.board[row].length; col++) {
+                const value = preview.board[row][col];
+                const classes = ['slot-preview-cell'];
+
+                if (pathCells.has(`${row},${col}`)) {
+                    classes.push('path');
+                } else if (preview.fixedCells[row][col]) {
+                    classes.push('fixed');
+                } else if (value !== 0) {
+                    classes.push('tower');
+                }
+
+                html += `<div class="${classes.join(' ')}">${value !== 0 ? SudokuConstraints.getDigitSymbol(value) : ''}</div>`;
+            }
+        }
+
+        return html + '</div>';
+    }
+
+    /**
+     * Build the HTML for one slot
+     * @param {Object} slot - Slot details from SaveSystem.getSlots()
+     * @returns {string} HTML for the slot
+     */
+    function createSlotHTML(slot) {
+        if (slot.empty) {
+            return `
+                <div class="save-slot empty" data-slot="${slot.slot}">
+                    <div class="slot-details">
+                        <h3>Slot ${slot.slot}</h3>
+                        <p>Empty</p>
+                    </div>
+                    <div class="slot-buttons">
+                        <button class="slot-save">Save Here</button>
+                    </div>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="save-slot" data-slot="${slot.slot}">
+                ${createPreviewHTML(slot.preview)}
+                <div class="slot-details">
+                    <h3 class="slot-name"></h3>
+                    <p>${slot.difficulty} &middot; Wave ${slot.waveNumber}</p>
+                    <p>Score: ${slot.score} &middot; Lives: ${slot.lives}</p>
+                    <p class="slot-time">${new Date(slot.savedAt).toLocaleString()}</p>
+                </div>
+                <div class="slot-buttons">
+                    <button class="slot-load">Load</button>
+                    <button class="slot-save">Overwrite</button>
+                    <button class="slot-rename">Rename</button>
+                    <button class="slot-delete">Delete</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show the save slots modal
+     */
+    function show() {
+        if (!window.SaveSystem || !window.ModalSystem) {
+            return;
+        }
+
+        addSaveSlotStyles();
+
+        // Create or get the modal
+        let modal = document.getElementById('save-slots-modal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'save-slots-modal';
+            modal.className = 'modal';
+            modal.innerHTML = '<div class="modal-content"></div>';
+            document.body.appendChild(modal);
+        }
+
+        const slots = SaveSystem.getSlots();
+
+        // Set content
+        const content = modal.querySelector('.modal-content');
+        content.innerHTML = `
+            <h2>Saved Games</h2>
+            <div class="save-slots">
+                ${slots.map(createSlotHTML).join('')}
+            </div>
+            <div class="save-transfer">
+                <button id="export-save">Export File</button>
+                <button id="import-save">Import File</button>
+                <input type="file" id="import-save-file" accept=".json,application/json" hidden>
+            </div>
+            <div class="save-transfer">
+                <input type="text" id="share-code" placeholder="Paste a share code">
+                <button id="create-share-code">Share Code</button>
+                <button id="load-share-code">Load Code</button>
+            </div>
+            <p class="save-slots-message"></p>
+            <button id="close-save-slots">Close</button>
+        `;
+
+        // Names are set as text so they can't inject markup
+        slots.filter(slot => !slot.empty).forEach(slot => {
+            content.querySelector(`.save-slot[data-slot="${slot.slot}"] .slot-name`).textContent = slot.name;
+        });
+
+        // Add event listeners
+        content.querySelectorAll('.save-slot').forEach(element => {
+            const slotNumber = Number(element.dataset.slot);
+            const slot = slots[slotNumber - 1];
+
+            addButtonListener(element, '.slot-save', function() {
+                if (!slot.empty && !window.confirm(`Overwrite "${slot.name}" with the current game?`)) {
+                    return;
+                }
+
+                const name = slot.empty ? window.prompt("Name this save:", `Slot ${slotNumber}`) : slot.name;
+                if (name === null) {
+                    return;
+                }
+
+                SaveSystem.saveToSlot(slotNumber, name);
+                show();
+            });
+
+            addButtonListener(element, '.slot-load', function() {
+                close(modal);
+                SaveSystem.loadFromSlot(slotNumber);
+            });
+
+            addButtonListener(element, '.slot-rename', function() {
+                const name = window.prompt("Rename this save:", slot.name);
+                if (name !== null && SaveSystem.renameSlot(slotNumber, name)) {
+                    show();
+                }
+            });
+
+            addButtonListener(element, '.slot-delete', function() {
+                if (window.confirm(`Delete "${slot.name}"?`)) {
+                    SaveSystem.deleteSlot(slotNumber);
+                    show();
+                }
+            });
+        });
+
+        setupTransferButtons(modal);
+
+        content.querySelector('#close-save-slots').addEventListener('click', function() {
+            close(modal);
+        });
+
+        // Show the modal
+        ModalSystem.showModal(modal);
+    }
+
+    /**
+     * Set up the export, import and share code controls
+     * @param {HTMLElement} modal - Save slots modal
+     */
+    function setupTransferButtons(modal) {
+        const fileInput = modal.querySelector('#import-save-file');
+        const codeInput = modal.querySelector('#share-code');
+
+        modal.querySelector('#export-save').addEventListener('click', function() {
+            const data = SaveSystem.exportGame();
+            if (!data) {
+                showMessage(modal, "There is no game to export", true);
+                return;
+            }
+
+            // Download the save through a temporary link
+            const url = URL.createObjectURL(new Blob([data], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `sudoku-td-${window.GameRandom ? GameRandom.getSeed() : 'save'}-wave-${EnemyWaves.getWaveNumber()}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+
+            showMessage(modal, "Game exported");
+        });
+
+        modal.querySelector('#import-save').addEventListener('click', function() {
+            fileInput.click();
+        });
+
+        fileInput.addEventListener('change', function() {
+            const file = fileInput.files[0];
+            if (!file) {
+                return;
+            }
+
+            file.text()
+                .then(text => {
+                    SaveSystem.importGame(text);
+                    close(modal);
+                })
+                .catch(error => showMessage(modal, `Import failed: ${error.message}`, true));
+        });
+
+        modal.querySelector('#create-share-code').addEventListener('click', function() {
+            const code = SaveSystem.getShareCode();
+            if (!code) {
+                showMessage(modal, "There is no game to share", true);
+                return;
+            }
+
+            codeInput.value = code;
+            codeInput.select();
+
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(code)
+                    .then(() => showMessage(modal, "Share code copied to the clipboard"))
+                    .catch(() => showMessage(modal, "Copy the share code above"));
+            } else {
+                showMessage(modal, "Copy the share code above");
+            }
+        });
+
+        modal.querySelector('#load-share-code').addEventListener('click', function() {
+            try {
+                SaveSystem.loadShareCode(codeInput.value);
+                close(modal);
+            } catch (error) {
+                showMessage(modal, `Invalid share code: ${error.message}`, true);
+            }
+        });
+    }
+
+    /**
+     * Show a message in the save slots modal
+     * @param {HTMLElement} modal - Save slots modal
+     * @param {string} message - Message to show
+     * @param {boolean} [isError=false] - Whether the message is an error
+     */
+    function showMessage(modal, message, isError = false) {
+        const element = modal.querySelector('.save-slots-message');
+        element.textContent = message;
+        element.classList.toggle('error', isError);
+    }
+
+    /**
+     * Add a click listener to a slot button if it exists
+     * @param {HTMLElement} element - Slot element
+     * @param {string} selector - Button selector
+     * @param {function} handler - Click handler
+     */
+    function addButtonListener(element, selector, handler) {
+        const button = element.querySelector(selector);
+        if (button) {
+            button.addEventListener('click', handler);
+        }
+    }
+
+    /**
+     * Hide the modal and resume the game
+     * @param {HTMLElement} modal - Save slots modal
+     */
+    function close(modal) {
+        ModalSystem.hideModal(modal);
+        if (window.GameLoop) {
+            GameLoop.resume();
+        }
+    }
+
+    /**
+     * Add save slot styles to the document
+     */
+    function addSaveSlotStyles() {
+        if (document.getElementById('save-slot-styles')) {
+            return;
+        }
+
+        const style = document.createElement('style');
+        style.id = 'save-slot-styles';
+        style.textContent = `
+            .save-slots {
+                display: flex;
+                flex-direction: column;
+                gap: 10px;
+                margin: 15px 0;
+            }
+
+            .save-slot {
+                display: flex;
+                align-items: center;
+                gap: 15px;
+                padding: 10px;
+                border: 1px solid #eee;
+                border-radius: 5px;
+                text-align: left;
+            }
+
+            .save-slot.empty {
+                color: #888;
+            }
+
+            .slot-details {
+                flex: 1;
+            }
+
+            .slot-details h3 {
+                margin: 0 0 5px 0;
+            }
+
+            .slot-details p {
+                margin: 2px 0;
+                text-transform: capitalize;
+            }
+
+            .slot-time {
+                font-size: 0.85em;
+                color: #888;
+            }
+
+            .slot-buttons {
+                display: flex;
+                flex-direction: column;
+                gap: 5px;
+            }
+
+            .slot-buttons button {
+                padding: 5px 10px;
+                font-size: 0.85rem;
+            }
+
+            .slot-buttons .slot-delete {
+                background-color: #f44336;
+            }
+
+            .save-transfer {
+                display: flex;
+                justify-content: center;
+                gap: 10px;
+                margin-bottom: 10px;
+            }
+
+            .save-transfer input[type="text"] {
+                flex: 1;
+                padding: 8px;
+                font-family: monospace;
+            }
+
+            .save-slots-message {
+                min-height: 1.2em;
+                color: #4CAF50;
+            }
+
+            .save-slots-message.error {
+                color: #f44336;
+            }
+
+            .slot-preview {
+                display: grid;
+                border: 1px solid #333;
+            }
+
+            .slot-preview-cell {
+                text-align: center;
+                background-color: white;
+            }
+
+            .slot-preview-cell.fixed {
+                background-color: #e0e0e0;
+            }
+
+            .slot-preview-cell.path {
+                background-color: #ffcc80;
+            }
+
+            .slot-preview-cell.tower {
+                background-color: #c8e6c9;
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
+
+    // Listen for the saves button
+    EventSystem.subscribe('saves:show', show);
+
+    // Public API
+    return {
+        show
+    };
+})();
+
+// Make module available globally
+window.SaveSlotsDisplay = SaveSlotsDisplay;
@@ -0,0 +1,329 @@
+/**
+ * settings-display.js - Handles the settings panel
+ * This module shows a modal where the player changes the preferences kept by
+ * GameSettings, opened by the Settings button.
+ */
+
+const SettingsDisplay = (function() {
+    // On/off settings: name and label
+    const TOGGLES = [
+        ['reducedMotion', 'Reduced motion'],
+        ['confirmBeforeWave', 'Confirm before starting a wave'],
+        ['autoStartWaves', 'Start waves automatically'],
+        ['showTowerRanges', 'Show tower ranges']
+    ];
+
+    /**
+     * Get the difficulties the player can choose from
+     * @returns {string[]} Difficulty names
+     */
+    function getDifficulties() {
+        return window.SudokuGenerator ? Object.keys(SudokuGenerator.difficultySettings) : ['easy', 'medium', 'hard'];
+    }
+
+    /**
+     * Get the puzzle variants the player can choose from
+     * @returns {Object} Variant name and description by variant
+     */
+    function getVariants() {
+        return window.SudokuConstraints ? SudokuConstraints.VARIANTS : { classic: { name: 'Classic', description: '' } };
+    }
+    
+    /**
+     * Get the board sizes the player can choose from
+     * @returns {Object} Size name and box shape by size
+     */
+    function getBoardSizes() {
+        return window.SudokuConstraints ? SudokuConstraints.BOARD_SIZES : { 9: { name: '9x9' } };
+    }
+    
+    /**
+     * Get the enemy path shapes the player can choose from
+     * @returns {Object} Shape name and description by shape
+     */
+    function getPathShapes() {
+        return window.EnemyPaths ? EnemyPaths.SHAPES : { edge: { name: 'Edge to edge', description: '' } };
+    }
+    
+    /**
+     * Get the most entrances and forks the enemy paths can have
+     * @returns {Object} Limits as { entrances, forks }
+     */
+    function getPathLimits() {
+        return window.EnemyPaths
+            ? { entrances: EnemyPaths.MAX_ENTRANCES, forks: EnemyPaths.MAX_FORKS }
+            : { entrances: 1, forks: 0 };
+    }
+    
+    /**
+     * Describe a path layout for the settings note
+     * @param {Object} pathLayout - Path layout as { shape, entrances, forks }
+     * @returns {string} Shape name with the entrances and forks
+     */
+    function describePathLayout(pathLayout) {
+        const pathShapes = getPathShapes();
+        const shapeName = pathShapes[pathLayout.shape] ? pathShapes[pathLayout.shape].name : pathLayout.shape;
+        const entrances = `${pathLayout.entrances} ${pathLayout.entrances === 1 ? 'entrance' : 'entrances'}`;
+        const forks = `${pathLayout.forks} ${pathLayout.forks === 1 ? 'fork' : 'forks'}`;
+        return `${shapeName} path with ${entrances} and ${forks}`;
+    }
+    
+    /**
+     * Get the game speeds the player can choose from
+     * @returns {number[]} Speed multipliers
+     */
+    function getSpeeds() {
+        return window.GameLoop ? GameLoop.getSpeeds() : [1, 2, 4];
+    }
+
+    /**
+     * Read the values entered in the form
+     * @param {HTMLElement} content - Modal content element
+     * @returns {Object} Settings by name
+     */
+    function readForm(content) {
+        const values = {
+            difficulty: content.querySelector('#setting-difficulty').value,
+            variant: content.querySelector('#setting-variant').value,
+            boardSize: Number(content.querySelector('#setting-board-size').value),
+            pathShape: content.querySelector('#setting-path-shape').value,
+            pathEntrances: Number(content.querySelector('#setting-path-entrances').value),
+            pathForks: Number(content.querySelector('#setting-path-forks').value),
+            gameSpeed: Number(content.querySelector('#setting-game-speed').value),
+            volume: Number(content.querySelector('#setting-volume').value)
+        };
+
+        TOGGLES.forEach(([name]) => {
+            values[name] = content.querySelector(`[data-setting="${name}"]`).checked;
+        });
+
+        return values;
+    }
+
+    /**
+     * Disable the puzzle types that can't be played at the chosen board size
+     * @param {HTMLElement} content - Modal content element
+     */
+    function updateVariantOptions(content) {
+        if (!window.SudokuConstraints) {
+            return;
+        }
+
+        const variantSelect = content.querySelector('#setting-variant');
+        const size = Number(content.querySelector('#setting-board-size').value);
+
+        Array.from(variantSelect.options).forEach(option => {
+            option.disabled = !SudokuConstraints.isVariantSupported(option.value, size);
+        });
+
+        if (variantSelect.selectedOptions[0] && variantSelect.selectedOptions[0].disabled) {
+            variantSelect.value = 'classic';
+        }
+    }
+
+    /**
+     * Close the settings modal and resume the game
+     * @param {HTMLElement} modal - Modal element
+     */
+    function close(modal) {
+        ModalSystem.hideModal(modal);
+        if (window.GameLoop) {
+            GameLoop.resume();
+        }
+    }
+
+    /**
+     * Show the settings modal
+     */
+    function show() {
+        if (!window.GameSettings || !window.ModalSystem) {
+            return;
+        }
+
+        addSettingsStyles();
+
+        // Create or get the modal
+        let modal = document.getElementById('settings-modal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'settings-modal';
+            modal.className = 'modal';
+            modal.innerHTML = '<div class="modal-content"></div>';
+            document.body.appendChild(modal);
+        }
+
+        const settings = GameSettings.getAll();
+        const currentDifficulty = window.SudokuBoard ? SudokuBoard.getDifficulty() : settings.difficulty;
+        const variants = getVariants();
+        const currentVariant = window.SudokuBoard ? SudokuBoard.getLayout().variant : settings.variant;
+        const boardSizes = getBoardSizes();
+        const currentSize = window.SudokuBoard ? SudokuBoard.getLayout().size : settings.boardSize;
+        const pathShapes = getPathShapes();
+        const pathLimits = getPathLimits();
+        const currentPathLayout = window.SudokuBoard
+            ? SudokuBoard.getGamePathLayout()
+            : { shape: settings.pathShape, entrances: settings.pathEntrances, forks: settings.pathForks };
+
+        // Set content
+        const content = modal.querySelector('.modal-content');
+        content.innerHTML = `
+            <h2>Settings</h2>
+            <div class="settings-form">
+                <label for="setting-difficulty">Default difficulty</label>
+                <select id="setting-difficulty">
+                    ${getDifficulties().map(difficulty => `
+                        <option value="${difficulty}" ${difficulty === settings.difficulty ? 'selected' : ''}>
+                            ${difficulty.charAt(0).toUpperCase() + difficulty.slice(1)}
+                        </option>
+                    `).join('')}
+                </select>
+                <label for="setting-variant">Puzzle type</label>
+                <select id="setting-variant">
+                    ${Object.entries(variants).map(([variant, info]) => `
+                        <option value="${variant}" ${variant === settings.variant ? 'selected' : ''} title="${info.description}">
+                            ${info.name}
+                        </option>
+                    `).join('')}
+                </select>
+                <label for="setting-board-size">Board size</label>
+                <select id="setting-board-size">
+                    ${Object.entries(boardSizes).map(([size, info]) => `
+                        <option value="${size}" ${Number(size) === settings.boardSize ? 'selected' : ''}>${info.name}</option>
+                    `).join('')}
+                </select>
+                <label for="setting-path-shape">Enemy path</label>
+                <select id="setting-path-shape">
+                    ${Object.entries(pathShapes).map(([shape, info]) => `
+                        <option value="${shape}" ${shape === settings.pathShape ? 'selected' : ''} title="${info.description}">
+                            ${info.name}
+                        </option>
+                    `).join('')}
+                </select>
+                <label for="setting-path-entrances">Enemy entrances</label>
+                <select id="setting-path-entrances">
+                    ${Array.from({ length: pathLimits.entrances }, (_, i) => i + 1).map(count => `
+                        <option value="${count}" ${count === settings.pathEntrances ? 'selected' : ''}>${count}</option>
+                    `).join('')}
+                </select>
+                <label for="setting-path-forks">Path forks</label>
+                <select id="setting-path-forks">
+                    ${Array.from({ length: pathLimits.forks + 1 }, (_, i) => i).map(count => `
+                        <option value="${count}" ${count === settings.pathForks ? 'selected' : ''}>${count}</option>
+                    `).join('')}
+                </select>
+                <label for="setting-game-speed">Game speed</label>
+                <select id="setting-game-speed">
+                    ${getSpeeds().map(speed => `
+                        <option value="${speed}" ${speed === settings.gameSpeed ? 'selected' : ''}>${speed}x</option>
+                    `).join('')}
+                </select>
+                <label for="setting-volume">Sound volume</label>
+                <div class="settings-volume">
+                    <input type="range" id="setting-volume" min="0" max="100" step="5" value="${settings.volume}">
+                    <span id="setting-volume-value">${settings.volume}%</span>
+                </div>
+                ${TOGGLES.map(([name, label]) => `
+                    <label class="settings-toggle">
+                        <input type="checkbox" data-setting="${name}" ${settings[name] ? 'checked' : ''}>
+                        ${label}
+                    </label>
+                `).join('')}
+            </div>
+            <p class="settings-note">A new difficulty, puzzle type, board size or enemy path is used from the next new game (this game: ${currentDifficulty}, ${variants[currentVariant] ? variants[currentVariant].name : currentVariant}, ${boardSizes[currentSize] ? boardSizes[currentSize].name : currentSize}, ${describePathLayout(currentPathLayout)}).</p>
+            <div class="upgrade-buttons">
+                <button id="save-settings">Save</button>
+                <button id="reset-settings">Defaults</button>
+                <button id="close-settings">Cancel</button>
+            </div>
+        `;
+
+        // Add event listeners
+        updateVariantOptions(content);
+        content.querySelector('#setting-board-size').addEventListener('change', function() {
+            updateVariantOptions(content);
+        });
+
+        const volumeInput = content.querySelector('#setting-volume');
+        volumeInput.addEventListener('input', function() {
+            content.querySelector('#setting-volume-value').textContent = `${volumeInput.value}%`;
+        });
+
+        content.querySelector('#save-settings').addEventListener('click', function() {
+            GameSettings.update(readForm(content));
+            close(modal);
+            EventSystem.publish(GameEvents.STATUS_MESSAGE, "Settings saved");
+        });
+
+        content.querySelector('#reset-settings').addEventListener('click', function() {
+            GameSettings.reset();
+            show();
+        });
+
+        content.querySelector('#close-settings').addEventListener('click', function() {
+            close(modal);
+        });
+
+        // Show the modal
+        ModalSystem.showModal(modal);
+    }
+
+    /**
+     * Add settings styles to the document
+     */
+    function addSettingsStyles() {
+        if (document.getElementById('settings-styles')) {
+            return;
+        }
+
+        const style = document.createElement('style');
+        style.id = 'settings-styles';
+        style.textContent = `
+            .settings-form {
+                display: grid;
+                grid-template-columns: auto 1fr;
+                gap: 10px 15px;
+                align-items: center;
+                text-align: left;
+                margin: 15px 0;
+            }
+
+            .settings-form select,
+            .settings-volume {
+                width: 100%;
+            }
+
+            .settings-volume {
+                display: flex;
+                align-items: center;
+                gap: 10px;
+            }
+
+            .settings-volume input {
+                flex: 1;
+            }
+
+            .settings-toggle {
+                grid-column: 1 / -1;
+                cursor: pointer;
+            }
+
+            .settings-note {
+                font-size: 0.85em;
+                color: #888;
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
+
+    // Listen for the Settings button
+    EventSystem.subscribe('settings:show', show);
+
+    // Public API
+    return {
+        show
+    };
+})();
+
+// Make module available globally
+window.SettingsDisplay = SettingsDisplay;
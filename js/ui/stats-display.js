@@ -0,0 +1,138 @@
+/**
+ * stats-display.js - Handles the statistics screen
+ * This module shows the run and lifetime totals collected by GameStats in
+ * a modal, opened by the Stats button.
+ */
+
+const StatsDisplay = (function() {
+    // Summary rows: label and statistic
+    const SUMMARY_ROWS = [
+        ['Waves survived', 'wavesSurvived'],
+        ['Towers built', 'towersBuilt'],
+        ['Incorrect placements', 'incorrectPlacements'],
+        ['Enemies leaked', 'enemiesLeaked'],
+        ['Currency earned', 'currencyEarned'],
+        ['Currency spent', 'currencySpent']
+    ];
+
+    /**
+     * Build table rows comparing run and lifetime values
+     * @param {Array} rows - Label and value pairs: [label, runValue, lifetimeValue]
+     * @returns {string} HTML table rows
+     */
+    function createRowsHTML(rows) {
+        return rows.map(([label, runValue, lifetimeValue]) => `
+            <tr>
+                <td>${label}</td>
+                <td class="stat-value">${runValue}</td>
+                <td class="stat-value">${lifetimeValue}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Build rows for a breakdown such as kills by digit
+     * @param {Object} run - Run totals by key
+     * @param {Object} lifetime - Lifetime totals by key
+     * @param {function} getLabel - Turns a key into a label
+     * @returns {string} HTML table rows
+     */
+    function createBreakdownHTML(run, lifetime, getLabel) {
+        const keys = Object.keys(lifetime).sort((a, b) => (parseInt(a) || Infinity) - (parseInt(b) || Infinity));
+        if (keys.length === 0) {
+            return '<tr><td colspan="3">None yet</td></tr>';
+        }
+
+        return createRowsHTML(keys.map(key => [
+            getLabel(key),
+            Math.round(run[key] || 0),
+            Math.round(lifetime[key] || 0)
+        ]));
+    }
+
+    /**
+     * Get a label for a tower type
+     * @param {string} type - Tower type
+     * @returns {string} Tower label
+     */
+    function getTowerLabel(type) {
+        // Towers of every board size are counted, so look types up on the largest board
+        const typeData = window.TowerTypes ? TowerTypes.getTowerType(type, 16) : null;
+        const name = type === 'special' ? 'Special tower' : `Tower ${window.SudokuConstraints ? SudokuConstraints.getDigitSymbol(Number(type)) : type}`;
+        return typeData ? `${typeData.emoji} ${name}` : name;
+    }
+
+    /**
+     * Show the statistics modal
+     */
+    function show() {
+        if (!window.GameStats || !window.ModalSystem) {
+            return;
+        }
+
+        const run = GameStats.getRunStats();
+        const lifetime = GameStats.getLifetimeStats();
+
+        // Create or get the modal
+        let modal = document.getElementById('stats-modal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'stats-modal';
+            modal.className = 'modal';
+            modal.innerHTML = '<div class="modal-content"></div>';
+            document.body.appendChild(modal);
+        }
+
+        const header = '<thead><tr><th></th><th>This game</th><th>Lifetime</th></tr></thead>';
+
+        // Set content
+        const content = modal.querySelector('.modal-content');
+        content.innerHTML = `
+            <h2>Statistics</h2>
+            <p>Games played: <span class="stat-value stat-highlight">${lifetime.gamesPlayed}</span></p>
+            <table class="game-stats-table">
+                ${header}
+                <tbody>
+                    ${createRowsHTML(SUMMARY_ROWS.map(([label, key]) => [label, run[key], lifetime[key]]))}
+                </tbody>
+            </table>
+            <h3>Kills by enemy</h3>
+            <table class="game-stats-table">
+                ${header}
+                <tbody>
+                    ${createBreakdownHTML(run.killsByDigit, lifetime.killsByDigit, digit => `Enemy ${digit}`)}
+                </tbody>
+            </table>
+            <h3>Damage by tower</h3>
+            <table class="game-stats-table">
+                ${header}
+                <tbody>
+                    ${createBreakdownHTML(run.damageByTowerType, lifetime.damageByTowerType, getTowerLabel)}
+                </tbody>
+            </table>
+            <button id="close-stats">Close</button>
+        `;
+
+        // Add event listeners
+        content.querySelector('#close-stats').addEventListener('click', function() {
+            ModalSystem.hideModal(modal);
+            if (window.GameLoop) {
+                GameLoop.resume();
+            }
+        });
+
+        // Show the modal
+        ModalSystem.showModal(modal);
+    }
+
+    // Listen for the Stats button
+    EventSystem.subscribe('stats:show', show);
+
+    // Public API
+    return {
+        show
+    };
+})();
+
+// Make module available globally
+window.StatsDisplay = StatsDisplay;
@@ -1,46 +1,72 @@
 /**
  * tower-selector.js - Handles tower selection UI
  * This module manages the tower selection panel and user interaction
- * with tower options.
+ * with tower options. The options are built from TowerTypes, one number
+ * tower for each digit of the board plus the special tower.
  */
 
 const TowerSelector = (function() {
     // Private variables
     let towerOptions = [];
     let selectedTowerType = null;
+    let optionsSize = 0; // Board size the options were built for
     
     /**
      * Initialize the tower selector
      */
     function init() {
-        // Get all tower options from the DOM
-        towerOptions = document.querySelectorAll('.tower-option');
+        createTowerOptions();
         
         if (towerOptions.length === 0) {
             console.error("No tower options found in the DOM");
             return;
         }
         
-        // Set up event listeners for tower options
-        setupTowerOptionListeners();
-        
         console.log("TowerSelector initialized with", towerOptions.length, "options");
     }
     
     /**
-     * Set up event listeners for tower options
+     * Build an option for every tower type of the current board
      */
-    function setupTowerOptionListeners() {
-        towerOptions.forEach(option => {
-            // Remove any existing listeners by cloning and replacing
-            const newOption = option.cloneNode(true);
-            option.parentNode.replaceChild(newOption, option);
+    function createTowerOptions() {
+        const container = document.getElementById('tower-selection');
+        if (!container || !window.TowerTypes) {
+            return;
+        }
+        
+        optionsSize = window.SudokuBoard ? SudokuBoard.getLayout().size : SudokuConstraints.DEFAULT_SIZE;
+        container.innerHTML = '';
+        
+        Object.entries(TowerTypes.getAllTowerTypes(optionsSize)).forEach(([towerType, typeData]) => {
+            const option = document.createElement('div');
+            option.className = 'tower-option';
+            option.dataset.towerType = towerType;
+            option.title = towerType === 'special'
+                ? `Special Tower: ${typeData.description}`
+                : `Number Tower (${SudokuConstraints.getDigitSymbol(Number(towerType))}): Attacks enemies with matching number`;
+            option.textContent = typeData.emoji;
+            option.classList.toggle('selected', towerType === selectedTowerType);
             
-            // Add click event listener
-            newOption.addEventListener('click', function() {
+            option.addEventListener('click', function() {
                 selectTowerOption(this);
             });
+            
+            container.appendChild(option);
         });
+        
+        towerOptions = container.querySelectorAll('.tower-option');
+        
+        // A number the new board doesn't have can't stay selected
+        if (selectedTowerType && !TowerTypes.getTowerType(selectedTowerType, optionsSize)) {
+            selectedTowerType = null;
+            if (window.PlayerModule) {
+                PlayerModule.selectTower(null);
+            }
+        }
+        
+        if (window.PlayerModule) {
+            updateAffordableTowers(PlayerModule.getState().currency);
+        }
     }
     
     /**
@@ -62,10 +88,10 @@ const TowerSelector = (function() {
         // Update selected tower
         selectedTowerType = towerType;
         
-        // Get tower cost from TowersModule
+        // Get tower cost from TowerTypes
         let cost = 0;
-        if (window.TowersModule && typeof TowersModule.getTowerCost === 'function') {
-            cost = TowersModule.getTowerCost(towerType);
+        if (window.TowerTypes) {
+            cost = TowerTypes.getTowerCost(towerType);
         }
         
         // Update Player module's selected tower
@@ -74,7 +100,7 @@ const TowerSelector = (function() {
         }
         
         // Display selection message
-        const towerName = towerType === 'special' ? 'Special' : towerType;
+        const towerName = towerType === 'special' ? 'Special' : SudokuConstraints.getDigitSymbol(Number(towerType));
         EventSystem.publish(GameEvents.STATUS_MESSAGE, 
             `Selected ${towerName} Tower. Cost: ${cost}`);
     }
@@ -107,11 +133,11 @@ const TowerSelector = (function() {
      * @param {number} currency - Current currency
      */
     function updateAffordableTowers(currency) {
-        if (!window.TowersModule) return;
+        if (!window.TowerTypes) return;
         
         towerOptions.forEach(option => {
             const towerType = option.dataset.towerType;
-            const cost = TowersModule.getTowerCost(towerType);
+            const cost = TowerTypes.getTowerCost(towerType);
             
             // Add or remove "affordable" class
             if (currency >= cost) {
@@ -130,13 +156,20 @@ const TowerSelector = (function() {
     function initEventListeners() {
         // Listen for currency changes to update affordable towers
         EventSystem.subscribe(GameEvents.CURRENCY_CHANGE, updateAffordableTowers);
+        
+        // Boards of another size have other number towers
+        EventSystem.subscribe(GameEvents.SUDOKU_GENERATED, function(data) {
+            if (data.layout.size !== optionsSize) {
+                createTowerOptions();
+            }
+        });
     }
     
+    // Listen from the start: this module may be loaded after the page is
+    initEventListeners();
+    
     // Initialize on DOM content loaded
-    document.addEventListener('DOMContentLoaded', function() {
-        init();
-        initEventListeners();
-    });
+    document.addEventListener('DOMContentLoaded', init);
     
     // Public API
     return {